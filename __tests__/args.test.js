@@ -0,0 +1,94 @@
+const { parseArgs, suggestOption } = require('../lib/args');
+
+const spec = {
+  description: { type: 'string', alias: 'd' },
+  author: { type: 'string' },
+  'skill-version': { type: 'string' },
+  'version-flag': { type: 'string', deprecated: 'skill-version' },
+  var: { type: 'string', multiple: true },
+  'print-config': { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+describe('parseArgs', () => {
+  test('parses "--key value" and "--key=value"', () => {
+    const { options } = parseArgs(['--description', 'A skill', '--author=Jane Doe'], spec);
+    expect(options).toEqual({ description: 'A skill', author: 'Jane Doe' });
+  });
+
+  test('keeps everything after the first "=" as the value', () => {
+    const { options } = parseArgs(['--description=a=b'], spec);
+    expect(options.description).toBe('a=b');
+  });
+
+  test('parses short aliases', () => {
+    expect(parseArgs(['-d', 'x'], spec).options).toEqual({ description: 'x' });
+    expect(parseArgs(['-d=x'], spec).options).toEqual({ description: 'x' });
+    expect(parseArgs(['-h'], spec).options).toEqual({ help: true });
+  });
+
+  test('parses booleans and --no-* negations', () => {
+    expect(parseArgs(['--print-config'], spec).options).toEqual({ 'print-config': true });
+    expect(parseArgs(['--no-print-config'], spec).options).toEqual({ 'print-config': false });
+  });
+
+  test('collects positionals anywhere in argv', () => {
+    const { options, positionals } = parseArgs(['--author', 'Jane', 'my-skill', '-d', 'x'], spec);
+    expect(positionals).toEqual(['my-skill']);
+    expect(options).toEqual({ author: 'Jane', description: 'x' });
+  });
+
+  test('treats everything after -- as positionals', () => {
+    expect(parseArgs(['--', '--author'], spec).positionals).toEqual(['--author']);
+  });
+
+  test('collects repeated multiple options', () => {
+    expect(parseArgs(['--var', 'a=1', '--var=b=2'], spec).options.var).toEqual(['a=1', 'b=2']);
+  });
+
+  test('maps deprecated options to their replacement with a warning', () => {
+    const { options, warnings } = parseArgs(['--version-flag', '1.0.0'], spec);
+    expect(options).toEqual({ 'skill-version': '1.0.0' });
+    expect(warnings).toEqual(['--version-flag is deprecated, use --skill-version instead']);
+  });
+
+  test('rejects unknown options with a suggestion', () => {
+    expect(() => parseArgs(['--autor', 'x'], spec)).toThrow('Unknown option "--autor". Did you mean "--author"?');
+    expect(() => parseArgs(['--desc', 'x'], spec)).toThrow('Did you mean "--description"?');
+  });
+
+  test('rejects unknown options without a close match', () => {
+    expect(() => parseArgs(['--zzzzzz'], spec)).toThrow(/^Unknown option "--zzzzzz"$/);
+    expect(() => parseArgs(['-x'], spec)).toThrow('Unknown option "-x"');
+  });
+
+  test('does not take a following flag as a value', () => {
+    expect(() => parseArgs(['--author', '--license', 'MIT'], spec)).toThrow('Option "--author" requires a value');
+  });
+
+  test('rejects a missing value at the end', () => {
+    expect(() => parseArgs(['--author'], spec)).toThrow('Option "--author" requires a value');
+  });
+
+  test('rejects values for booleans', () => {
+    expect(() => parseArgs(['--help=yes'], spec)).toThrow('Option "--help" does not take a value');
+  });
+
+  test('treats a lone dash as a positional', () => {
+    expect(parseArgs(['-'], spec).positionals).toEqual(['-']);
+  });
+});
+
+describe('suggestOption', () => {
+  test('suggests options within a small edit distance', () => {
+    expect(suggestOption('licence', ['license', 'author'])).toBe('license');
+  });
+
+  test('suggests options sharing a prefix', () => {
+    expect(suggestOption('print', ['print-config', 'preset'])).toBe('print-config');
+  });
+
+  test('returns null when nothing is close', () => {
+    expect(suggestOption('zzzz', ['license', 'author'])).toBeNull();
+  });
+});
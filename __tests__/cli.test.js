@@ -23,6 +23,8 @@ describe('CLI Integration Tests', () => {
     try {
       const output = execSync(`node ${cliPath} ${args}`, {
         cwd,
+        // Keep the developer's own ~/.create-skillsrc out of the tests
+        env: { ...process.env, HOME: testDir },
         encoding: 'utf8',
         stdio: ['pipe', 'pipe', 'pipe'],
       });
@@ -162,4 +164,735 @@ describe('CLI Integration Tests', () => {
     expect(content).toContain('- full');
     expect(content).toContain('license: Apache-2.0');
   });
+
+  test('validate accepts a freshly created skill', () => {
+    runCli('valid-skill --description "Test"');
+    const result = runCli('validate valid-skill');
+    expect(result.success).toBe(true);
+    expect(result.output).toContain('valid-skill is a valid skill');
+  });
+
+  test('validate reports problems by file and line and exits non-zero', () => {
+    const skillPath = path.join(testDir, 'broken-skill');
+    fs.mkdirSync(skillPath);
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), '---\nname: Other\ntags: pdf\n---\n');
+
+    const result = runCli('validate broken-skill');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(`${path.join('broken-skill', 'SKILL.md')}:1  Missing required field "description"`);
+    expect(result.error).toContain(`${path.join('broken-skill', 'SKILL.md')}:2  Skill name "Other" does not match directory name "broken-skill"`);
+    expect(result.error).toContain(`${path.join('broken-skill', 'SKILL.md')}:3  Field "tags" must be a list`);
+  });
+
+  test('validate rejects a version that is not a semantic version', () => {
+    const skillPath = path.join(testDir, 'pdf-tools');
+    fs.mkdirSync(skillPath);
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), '---\nname: pdf-tools\ndescription: Work with PDFs\nversion: banana\n---\n');
+
+    const result = runCli('validate pdf-tools');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(`${path.join('pdf-tools', 'SKILL.md')}:4  Invalid version "banana"`);
+  });
+
+  test('validate requires a directory argument', () => {
+    const result = runCli('validate');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Please provide the path of the skill to validate');
+  });
+
+  test('creates a skill from a built-in template', () => {
+    const result = runCli('csv-cleaner --description "Clean CSV files" --template tool');
+    expect(result.success).toBe(true);
+    expect(result.output).toContain('from the "tool" template');
+
+    const scriptPath = path.join(testDir, 'csv-cleaner', 'scripts', 'run.sh');
+    expect(fs.existsSync(scriptPath)).toBe(true);
+    expect(fs.statSync(scriptPath).mode & 0o111).not.toBe(0);
+    expect(fs.existsSync(path.join(testDir, 'csv-cleaner', 'template.json'))).toBe(false);
+
+    const content = fs.readFileSync(path.join(testDir, 'csv-cleaner', 'SKILL.md'), 'utf8');
+    expect(content).toContain('# Csv-cleaner Skill');
+    expect(content).toContain('scripts/run.sh');
+  });
+
+  test('creates a skill from the instructions template without optional folders', () => {
+    const result = runCli('guide -d "Guide" -t instructions');
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'guide', 'SKILL.md'))).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'guide', 'scripts'))).toBe(false);
+  });
+
+  test('rejects unknown templates', () => {
+    const result = runCli('some-skill --description "Test" --template nope');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Unknown template "nope"');
+    expect(fs.existsSync(path.join(testDir, 'some-skill'))).toBe(false);
+  });
+
+  test('creates a skill from a local template with custom variables', () => {
+    const templateDir = path.join(testDir, 'my-template');
+    fs.mkdirSync(templateDir);
+    fs.writeFileSync(path.join(templateDir, 'SKILL.md'), '{{frontmatter}}\n\nOwned by {{team}} ({{region}})\n');
+    fs.writeFileSync(path.join(templateDir, 'template.json'), JSON.stringify({
+      prompts: [
+        { name: 'team', message: 'Team?' },
+        { name: 'region', message: 'Region?', initial: 'eu' },
+      ],
+    }));
+
+    const result = runCli('custom-skill -d "Test" --template ./my-template --var team=docs');
+    expect(result.success).toBe(true);
+
+    const content = fs.readFileSync(path.join(testDir, 'custom-skill', 'SKILL.md'), 'utf8');
+    expect(content).toContain('name: custom-skill');
+    expect(content).toContain('Owned by docs (eu)');
+  });
+
+  test('rejects --var for built-in variables', () => {
+    const result = runCli('var-skill -d "Test" --var name=other');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Invalid --var "name=other"');
+  });
+
+  test('uses defaults from .create-skillsrc and lets flags override them', () => {
+    fs.writeFileSync(path.join(testDir, '.create-skillsrc'), 'author: Config Author\nlicense: MIT\ntags: [a, b]\n');
+
+    const result = runCli('config-skill -d "Test" --license Apache-2.0');
+    expect(result.success).toBe(true);
+
+    const content = fs.readFileSync(path.join(testDir, 'config-skill', 'SKILL.md'), 'utf8');
+    expect(content).toContain('author: Config Author');
+    expect(content).toContain('license: Apache-2.0');
+    expect(content).toContain('tags:\n  - a\n  - b');
+  });
+
+  test('applies presets from .create-skillsrc', () => {
+    fs.writeFileSync(path.join(testDir, '.create-skillsrc'), JSON.stringify({
+      license: 'MIT',
+      presets: { internal: { license: 'UNLICENSED', template: 'instructions' } },
+    }));
+
+    const result = runCli('preset-skill -d "Test" --preset internal');
+    expect(result.success).toBe(true);
+    expect(result.output).toContain('from the "instructions" template');
+
+    const content = fs.readFileSync(path.join(testDir, 'preset-skill', 'SKILL.md'), 'utf8');
+    expect(content).toContain('license: UNLICENSED');
+  });
+
+  test('rejects unknown presets', () => {
+    const result = runCli('preset-skill -d "Test" --preset nope');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Unknown preset "nope"');
+  });
+
+  test('prints the resolved config with sources', () => {
+    const configPath = path.join(testDir, '.create-skillsrc');
+    fs.writeFileSync(configPath, 'author: Config Author\nlicense: MIT\n');
+
+    const result = runCli('--print-config --license Apache-2.0');
+    expect(result.success).toBe(true);
+    expect(result.output).toContain(`Config files:\n  ${configPath}`);
+    expect(result.output).toContain(`author: Config Author  # from ${configPath}`);
+    expect(result.output).toContain('license: Apache-2.0  # from the command line');
+  });
+
+  test('accepts --option=value and the skill name after options', () => {
+    const result = runCli('--description="Equals form" --author=Jane eq-skill');
+    expect(result.success).toBe(true);
+
+    const content = fs.readFileSync(path.join(testDir, 'eq-skill', 'SKILL.md'), 'utf8');
+    expect(content).toContain('description: Equals form');
+    expect(content).toContain('author: Jane');
+  });
+
+  test('sets the skill version with --skill-version', () => {
+    const result = runCli('semver-skill -d "Test" --skill-version 1.2.3');
+    expect(result.success).toBe(true);
+    const content = fs.readFileSync(path.join(testDir, 'semver-skill', 'SKILL.md'), 'utf8');
+    expect(content).toContain('version: 1.2.3');
+  });
+
+  test('warns that --version-flag is deprecated', () => {
+    const output = execSync(`node ${cliPath} old-flag -d "Test" --version-flag 1.0.0 2>&1`, { cwd: testDir, encoding: 'utf8' });
+    expect(output).toContain('--version-flag is deprecated, use --skill-version instead');
+    expect(fs.readFileSync(path.join(testDir, 'old-flag', 'SKILL.md'), 'utf8')).toContain('version: 1.0.0');
+  });
+
+  test('rejects unknown options with a suggestion', () => {
+    const result = runCli('my-skill -d "Test" --autor Jane');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Unknown option "--autor". Did you mean "--author"?');
+    expect(fs.existsSync(path.join(testDir, 'my-skill'))).toBe(false);
+  });
+
+  test('does not take a following flag as a value', () => {
+    const result = runCli('my-skill -d "Test" --author --license MIT');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Option "--author" requires a value');
+  });
+
+  test('rejects a second positional argument', () => {
+    const result = runCli('my-skill extra -d "Test"');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Unexpected argument "extra"');
+  });
+
+  test('prints a JSON summary with --json', () => {
+    const result = runCli('json-skill -d "Test" --tags a,b --json');
+    expect(result.success).toBe(true);
+
+    const summary = JSON.parse(result.output);
+    expect(summary).toEqual({
+      success: true,
+      dryRun: false,
+      name: 'json-skill',
+      path: path.join(testDir, 'json-skill'),
+      template: 'basic',
+      directories: ['assets', 'references', 'scripts'],
+      files: ['CHANGELOG.md', 'README.md', 'SKILL.md', 'assets/.gitkeep', 'references/.gitkeep', 'scripts/.gitkeep'],
+      metadata: { name: 'json-skill', description: 'Test', tags: ['a', 'b'] },
+    });
+  });
+
+  test('prints structured errors with stable codes in JSON mode', () => {
+    const invalid = runCli('"bad name" -d "Test" --json');
+    expect(invalid.success).toBe(false);
+    expect(JSON.parse(invalid.output).error.code).toBe('INVALID_NAME');
+
+    runCli('taken -d "Test"');
+    const exists = runCli('taken -d "Test" --json');
+    expect(JSON.parse(exists.output)).toMatchObject({
+      success: false,
+      error: { code: 'DIRECTORY_EXISTS', message: expect.stringContaining('already exists') },
+    });
+
+    const missing = runCli('no-description --json');
+    expect(JSON.parse(missing.output).error.code).toBe('MISSING_DESCRIPTION');
+  });
+
+  test('reports argument errors as JSON when --json is given', () => {
+    const result = runCli('my-skill --autor x --json');
+    expect(result.success).toBe(false);
+    expect(JSON.parse(result.output).error).toMatchObject({ code: 'INVALID_ARGUMENT', message: expect.stringContaining('--autor') });
+  });
+
+  test('fails instead of prompting with --yes when the description is missing', () => {
+    const result = runCli('yes-skill --yes');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Please provide a description');
+  });
+
+  test('accepts --non-interactive', () => {
+    const result = runCli('ni-skill -d "Test" --non-interactive');
+    expect(result.success).toBe(true);
+  });
+
+  test('previews the skill with --dry-run without writing anything', () => {
+    const result = runCli('preview-skill -d "Test" --template knowledge --dry-run');
+    expect(result.success).toBe(true);
+    expect(result.output).toContain('Dry run: nothing was written.');
+    expect(result.output).toContain('└── references/\n    ├── glossary.md\n    └── overview.md');
+    expect(result.output).not.toContain('==> SKILL.md <==');
+    expect(fs.existsSync(path.join(testDir, 'preview-skill'))).toBe(false);
+  });
+
+  test('prints file contents with --dry-run --contents', () => {
+    const result = runCli('preview-skill -d "Previewed" --dry-run --contents');
+    expect(result.success).toBe(true);
+    expect(result.output).toContain('==> SKILL.md <==\n---\nname: preview-skill\ndescription: Previewed');
+    expect(fs.existsSync(path.join(testDir, 'preview-skill'))).toBe(false);
+  });
+
+  test('includes the plan and contents in JSON dry runs', () => {
+    const result = runCli('preview-skill -d "Test" --dry-run --contents --json');
+    const summary = JSON.parse(result.output);
+    expect(summary.dryRun).toBe(true);
+    expect(summary.contents['SKILL.md']).toContain('name: preview-skill');
+    expect(summary.contents['scripts/.gitkeep']).toBe('');
+    expect(fs.existsSync(path.join(testDir, 'preview-skill'))).toBe(false);
+  });
+
+  test('leaves no partial skill behind when writing fails', () => {
+    // Declaring README.md as a directory makes writing the README file fail
+    const templateDir = path.join(testDir, 'broken-template');
+    fs.mkdirSync(templateDir);
+    fs.writeFileSync(path.join(templateDir, 'SKILL.md'), '{{frontmatter}}\n');
+    fs.writeFileSync(path.join(templateDir, 'README.md'), '# {{title}}\n');
+    fs.writeFileSync(path.join(templateDir, 'template.json'), JSON.stringify({ directories: ['README.md'] }));
+
+    const result = runCli('broken-skill -d "Test" --template ./broken-template --json');
+    expect(result.success).toBe(false);
+    expect(JSON.parse(result.output).error.code).toBe('WRITE_FAILED');
+    expect(fs.readdirSync(testDir).sort()).toEqual(['broken-template']);
+
+    expect(runCli('broken-skill -d "Test"').success).toBe(true);
+  });
+
+  describe('existing directories', () => {
+    const skillPath = path.join(testDir, 'collected');
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(skillPath, 'scripts'), { recursive: true });
+      fs.writeFileSync(path.join(skillPath, 'scripts', 'fetch.py'), 'print("hi")\n');
+      fs.writeFileSync(path.join(skillPath, 'README.md'), '# My notes\n');
+    });
+
+    test('suggests --merge and --force when the directory exists', () => {
+      const result = runCli('collected -d "Test"');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('use --merge to add the missing files or --force');
+    });
+
+    test('--merge adds missing files and skips conflicts', () => {
+      const result = runCli('collected -d "Test" --merge');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('✓ Updated skill "collected"');
+      expect(result.output).toMatch(/create {5}SKILL\.md/);
+      expect(result.output).toMatch(/skip {7}README\.md/);
+      expect(result.output).toContain('1 existing file was left unchanged');
+
+      expect(fs.readFileSync(path.join(skillPath, 'README.md'), 'utf8')).toBe('# My notes\n');
+      expect(fs.readFileSync(path.join(skillPath, 'scripts', 'fetch.py'), 'utf8')).toBe('print("hi")\n');
+      expect(fs.existsSync(path.join(skillPath, 'SKILL.md'))).toBe(true);
+      expect(fs.existsSync(path.join(skillPath, 'references', '.gitkeep'))).toBe(true);
+      // scripts/ already has content, so it needs no .gitkeep
+      expect(fs.existsSync(path.join(skillPath, 'scripts', '.gitkeep'))).toBe(false);
+    });
+
+    test('--force overwrites conflicts but keeps other files', () => {
+      const result = runCli('collected -d "Test" --force --json');
+      expect(result.success).toBe(true);
+      const summary = JSON.parse(result.output);
+      expect(summary.changes).toContainEqual({ path: 'README.md', action: 'overwrite' });
+      expect(summary.changes).toContainEqual({ path: 'SKILL.md', action: 'create' });
+      expect(fs.readFileSync(path.join(skillPath, 'README.md'), 'utf8')).toContain('# collected Skill');
+      expect(fs.existsSync(path.join(skillPath, 'scripts', 'fetch.py'))).toBe(true);
+    });
+
+    test('--merge --dry-run reports changes without writing', () => {
+      const result = runCli('collected -d "Test" --merge --dry-run');
+      expect(result.success).toBe(true);
+      expect(result.output).toMatch(/skip {7}README\.md/);
+      expect(fs.existsSync(path.join(skillPath, 'SKILL.md'))).toBe(false);
+    });
+
+    test('refuses to write into a file', () => {
+      fs.writeFileSync(path.join(testDir, 'plain'), '');
+      const result = runCli('plain -d "Test" --force');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('is not a directory');
+    });
+  });
+
+  test('creates the skill in --dir, creating missing parents', () => {
+    const result = runCli('nested-skill -d "Test" --dir .claude/skills');
+    expect(result.success).toBe(true);
+    expect(result.output).toContain(`cd ${path.join('.claude', 'skills', 'nested-skill')}`);
+    expect(fs.existsSync(path.join(testDir, '.claude', 'skills', 'nested-skill', 'SKILL.md'))).toBe(true);
+  });
+
+  test('names the full path when the skill exists in --dir', () => {
+    runCli('nested-skill -d "Test" --dir skills');
+    const result = runCli('nested-skill -d "Test" --dir skills');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(`Directory "${path.join('skills', 'nested-skill')}" already exists.`);
+  });
+
+  test('does not use a detected skills folder without a terminal', () => {
+    fs.mkdirSync(path.join(testDir, 'skills'));
+    expect(runCli('here-skill -d "Test"').success).toBe(true);
+    expect(fs.existsSync(path.join(testDir, 'here-skill'))).toBe(true);
+  });
+
+  describe('lint', () => {
+    test('warns about placeholders in a freshly created skill but succeeds', () => {
+      runCli('lint-me -d "Extract tables from PDF files when the user asks for them"');
+      const result = runCli('lint lint-me');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('lint-me/SKILL.md:9  warning  Placeholder text "Use this skill when you need to..." has not been replaced  (no-placeholders)');
+      expect(result.output).toContain('! 0 errors and 6 warnings');
+    });
+
+    test('fails when a rule is raised to error with --rule', () => {
+      runCli('lint-me -d "Extract tables from PDF files when the user asks for them"');
+      const result = runCli('lint lint-me --rule no-placeholders=error');
+      expect(result.success).toBe(false);
+      expect(result.output).toContain('✗ 6 errors and 0 warnings');
+    });
+
+    test('reads rule settings from .create-skillsrc', () => {
+      runCli('lint-me -d "Extract tables from PDF files when the user asks for them"');
+      fs.writeFileSync(path.join(testDir, '.create-skillsrc'), 'lint:\n  no-placeholders: off\n');
+      const result = runCli('lint lint-me');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('✓ lint-me has no lint problems');
+    });
+
+    test('prints JSON and SARIF reports', () => {
+      runCli('lint-me -d "Short"');
+      const json = JSON.parse(runCli('lint lint-me --format json').output);
+      expect(json.warningCount).toBe(7);
+      expect(json.results[0].problems[0]).toEqual({
+        rule: 'description-length',
+        severity: 'warning',
+        file: 'lint-me/SKILL.md',
+        line: 3,
+        message: expect.stringContaining('5 characters long'),
+      });
+
+      const sarif = JSON.parse(runCli('lint lint-me --format=sarif').output);
+      expect(sarif.runs[0].results).toHaveLength(7);
+      expect(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri).toBe('lint-me/SKILL.md');
+    });
+
+    test('rejects unknown rules and formats', () => {
+      expect(runCli('lint x --rule nope=off').error).toContain('Unknown lint rule "nope"');
+      expect(runCli('lint x --format xml').error).toContain('Unknown format "xml"');
+    });
+  });
+
+  describe('package', () => {
+    test('bundles a skill and prints the manifest', () => {
+      runCli('zip-me -d "Test" --skill-version 2.0.0');
+      const result = runCli('package zip-me');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('✓ Packaged zip-me 2.0.0 into zip-me-2.0.0.zip');
+      expect(result.output).toMatch(/[0-9a-f]{64} +\d+ {2}zip-me\/SKILL\.md/);
+      expect(result.output).not.toContain('.gitkeep');
+      expect(fs.existsSync(path.join(testDir, 'zip-me-2.0.0.zip'))).toBe(true);
+    });
+
+    test('prints the manifest as JSON and honours --output', () => {
+      runCli('zip-me -d "Test"');
+      const summary = JSON.parse(runCli('package zip-me --output dist --json').output);
+      expect(summary.success).toBe(true);
+      expect(summary.archivePath).toBe(path.join(testDir, 'dist', 'zip-me.zip'));
+      expect(summary.files.map(file => file.path)).toEqual(['zip-me/CHANGELOG.md', 'zip-me/README.md', 'zip-me/SKILL.md']);
+    });
+
+    test('refuses to package an invalid skill', () => {
+      fs.mkdirSync(path.join(testDir, 'broken'));
+      fs.writeFileSync(path.join(testDir, 'broken', 'SKILL.md'), '---\nname: broken\n---\n');
+      const result = runCli('package broken --json');
+      expect(result.success).toBe(false);
+      expect(JSON.parse(result.output).error.code).toBe('INVALID_SKILL');
+      expect(fs.readdirSync(testDir)).toEqual(['broken']);
+    });
+  });
+
+  describe('import', () => {
+    test('imports a packaged skill into --dir', () => {
+      runCli('shared-skill -d "Test"');
+      runCli('package shared-skill');
+      const result = runCli('import shared-skill.zip --dir team/skills');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain(`✓ Imported skill "shared-skill" into ${path.join('team', 'skills', 'shared-skill')}`);
+      expect(fs.existsSync(path.join(testDir, 'team', 'skills', 'shared-skill', 'SKILL.md'))).toBe(true);
+    });
+
+    test('refuses to overwrite an existing skill', () => {
+      runCli('shared-skill -d "Test"');
+      runCli('package shared-skill');
+      const result = runCli('import shared-skill.zip --json');
+      expect(result.success).toBe(false);
+      expect(JSON.parse(result.output).error.code).toBe('DIRECTORY_EXISTS');
+    });
+  });
+
+  describe('skill collections', () => {
+    test('init-repo creates a collection that new skills are added to', () => {
+      const result = runCli('init-repo team --name "Team Skills"');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('✓ Initialized skills collection in team');
+      expect(result.output).toContain('create  README.md');
+
+      const collection = path.join(testDir, 'team');
+      expect(runCli('pdf-tools -d "Work with PDFs" --yes', collection).success).toBe(true);
+      expect(fs.existsSync(path.join(collection, 'skills', 'pdf-tools', 'SKILL.md'))).toBe(true);
+    });
+
+    test('index regenerates the catalog of every skill', () => {
+      runCli('init-repo');
+      runCli('pdf-tools -d "Work with PDFs" --tags pdf');
+      runCli('zip-tools -d "Zip files" --skill-version 1.0.0');
+
+      const result = runCli('index');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('✓ Indexed 2 skills into README.md and skills.json');
+      expect(fs.readFileSync(path.join(testDir, 'README.md'), 'utf8'))
+        .toContain('| [zip-tools](skills/zip-tools) | Zip files |  | 1.0.0 |');
+
+      const summary = JSON.parse(runCli('index --json').output);
+      expect(summary.skills.map(skill => skill.path)).toEqual(['skills/pdf-tools', 'skills/zip-tools']);
+      expect(summary.skills[0].tags).toEqual(['pdf']);
+    });
+
+    test('index rejects a missing directory', () => {
+      const result = runCli('index nowhere --json');
+      expect(result.success).toBe(false);
+      expect(JSON.parse(result.output).error.code).toBe('INVALID_ARGUMENT');
+    });
+  });
+
+  describe('export-manifest', () => {
+    test('writes a marketplace manifest owned by the configured author', () => {
+      runCli('pdf-tools -d "Work with PDFs" --skill-version 1.0.0');
+      fs.writeFileSync(path.join(testDir, '.create-skillsrc'), 'author: Docs Team\n');
+
+      const result = runCli('export-manifest --format marketplace --name team-skills');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain(`✓ Wrote marketplace manifest of 1 skill to ${path.join('.claude-plugin', 'marketplace.json')}`);
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(testDir, '.claude-plugin', 'marketplace.json'), 'utf8'));
+      expect(manifest.owner).toEqual({ name: 'Docs Team' });
+      expect(manifest.plugins[0]).toMatchObject({ name: 'pdf-tools', version: '1.0.0', skills: ['./pdf-tools'] });
+    });
+
+    test('prints the manifest with --stdout', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      const manifest = JSON.parse(runCli('export-manifest --stdout').output);
+      expect(manifest.skills.map(skill => skill.name)).toEqual(['pdf-tools']);
+      expect(fs.existsSync(path.join(testDir, 'skills.json'))).toBe(false);
+    });
+
+    test('--check fails until the manifest is regenerated', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      runCli('export-manifest');
+      expect(runCli('export-manifest --check').output).toContain('✓ skills.json is up to date');
+
+      runCli('zip-tools -d "Zip files"');
+      const result = runCli('export-manifest --check');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('skills.json is out of date.');
+      expect(result.error).toContain('Run "npx create-skills export-manifest" to update it.');
+      expect(JSON.parse(runCli('export-manifest --check --json').output).error.code).toBe('MANIFEST_STALE');
+    });
+
+    test('rejects unknown formats', () => {
+      const result = runCli('export-manifest --format xml --json');
+      expect(result.success).toBe(false);
+      expect(JSON.parse(result.output).error.message).toContain('Unknown manifest format "xml"');
+    });
+  });
+
+  describe('add', () => {
+    test('adds a script to the skill in --skill', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      const result = runCli('add script convert --lang python --skill pdf-tools');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('✓ Added scripts/convert.py to pdf-tools');
+      expect(result.output).toContain('Removed scripts/.gitkeep');
+      expect(fs.readFileSync(path.join(testDir, 'pdf-tools', 'SKILL.md'), 'utf8')).toContain('[convert.py](scripts/convert.py)');
+      expect(runCli('lint pdf-tools --rule no-placeholders=off --rule description-length=off').success).toBe(true);
+    });
+
+    test('adds references and assets from inside the skill', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      const skillPath = path.join(testDir, 'pdf-tools');
+      fs.writeFileSync(path.join(testDir, 'form.pdf'), 'pdf');
+
+      expect(runCli('add reference forms', skillPath).output).toContain('✓ Added references/forms.md');
+      const summary = JSON.parse(runCli('add asset ../form.pdf --json', skillPath).output);
+      expect(summary).toEqual({ success: true, kind: 'asset', path: 'assets/form.pdf', skillMdUpdated: true, removedGitkeep: true });
+    });
+
+    test('reports existing files and bad arguments', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      runCli('add script run --skill pdf-tools');
+      expect(JSON.parse(runCli('add script run --skill pdf-tools --json').output).error.code).toBe('FILE_EXISTS');
+      expect(runCli('add widget x').error).toContain('Please provide what to add');
+      expect(runCli('add reference x --lang node').error).toContain('--lang only applies to scripts.');
+    });
+  });
+
+  describe('set', () => {
+    test('changes fields of an existing skill', () => {
+      runCli('pdf-tools -d "Work with PDFs" --tags pdf');
+      const skillMdPath = path.join(testDir, 'pdf-tools', 'SKILL.md');
+      const body = fs.readFileSync(skillMdPath, 'utf8').split('\n---\n')[1];
+
+      expect(runCli('set pdf-tools version 1.2.0').output).toContain(`✓ Set version to 1.2.0 in ${path.join('pdf-tools', 'SKILL.md')}`);
+      expect(runCli('set pdf-tools tags --add forms').output).toContain('✓ Set tags to [pdf, forms]');
+      expect(runCli('set pdf-tools tags --add forms').output).toContain('already has tags [pdf, forms]');
+
+      const content = fs.readFileSync(skillMdPath, 'utf8');
+      expect(content).toContain('version: 1.2.0\ntags:\n  - pdf\n  - forms\n');
+      expect(content.split('\n---\n')[1]).toBe(body);
+      expect(runCli('validate pdf-tools').success).toBe(true);
+    });
+
+    test('reports invalid changes as JSON', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      const result = runCli('set pdf-tools name other --json');
+      expect(result.success).toBe(false);
+      expect(JSON.parse(result.output).error.code).toBe('INVALID_SKILL');
+      expect(JSON.parse(runCli('set pdf-tools colour red --json').output).error.code).toBe('INVALID_ARGUMENT');
+    });
+
+    test('rejects a version that is not a semantic version', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      const skillMdPath = path.join(testDir, 'pdf-tools', 'SKILL.md');
+      const before = fs.readFileSync(skillMdPath, 'utf8');
+
+      const result = runCli('set pdf-tools version banana');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid version "banana"');
+      expect(fs.readFileSync(skillMdPath, 'utf8')).toBe(before);
+    });
+  });
+
+  describe('versions', () => {
+    test('rejects versions that are not semantic versions', () => {
+      const result = runCli('pdf-tools -d "Work with PDFs" --skill-version 1.0 --json');
+      expect(result.success).toBe(false);
+      expect(JSON.parse(result.output).error).toMatchObject({ code: 'INVALID_ARGUMENT', message: 'Invalid version "1.0"' });
+      expect(fs.existsSync(path.join(testDir, 'pdf-tools'))).toBe(false);
+    });
+
+    test('scaffolds a changelog and bumps the version', () => {
+      runCli('pdf-tools -d "Work with PDFs" --skill-version 1.0.0');
+      const changelogPath = path.join(testDir, 'pdf-tools', 'CHANGELOG.md');
+      expect(fs.readFileSync(changelogPath, 'utf8')).toMatch(/## \[1\.0\.0\] - \d{4}-\d{2}-\d{2}\n- Created the skill\n/);
+
+      const result = runCli('bump pdf-tools minor -m "Added forms"');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('✓ Bumped pdf-tools from 1.0.0 to 1.1.0');
+      expect(fs.readFileSync(path.join(testDir, 'pdf-tools', 'SKILL.md'), 'utf8')).toContain('version: 1.1.0\n');
+      expect(fs.readFileSync(changelogPath, 'utf8')).toMatch(/## \[1\.1\.0\] - [\d-]+\n- Added forms\n\n## \[1\.0\.0\]/);
+    });
+
+    test('starts the changelog as Unreleased without a version', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      expect(fs.readFileSync(path.join(testDir, 'pdf-tools', 'CHANGELOG.md'), 'utf8')).toContain('## Unreleased\n');
+      const result = runCli('bump pdf-tools patch --json');
+      expect(JSON.parse(result.output).error.message).toBe('pdf-tools has no version yet.');
+    });
+  });
+
+  describe('rename', () => {
+    test('previews the rename without changing anything', () => {
+      runCli('init-repo');
+      runCli('pdf-tools -d "Work with PDFs" --dir skills -t basic');
+      runCli('index');
+
+      const result = runCli('rename skills/pdf-tools pdf-kit --dry-run');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('move  skills/pdf-tools -> skills/pdf-kit');
+      expect(result.output).toContain('- name: pdf-tools\n+ name: pdf-kit');
+      expect(result.output).toContain('+ | [pdf-kit](skills/pdf-kit) | Work with PDFs |');
+      expect(fs.existsSync(path.join(testDir, 'skills', 'pdf-tools'))).toBe(true);
+    });
+
+    test('renames the skill and keeps the collection index current', () => {
+      runCli('init-repo');
+      runCli('pdf-tools -d "Work with PDFs" --dir skills -t basic');
+      runCli('index');
+
+      const result = runCli('rename skills/pdf-tools pdf-kit --json');
+      expect(result.success).toBe(true);
+      expect(JSON.parse(result.output)).toMatchObject({ success: true, from: 'pdf-tools', to: 'pdf-kit' });
+      expect(runCli('validate skills/pdf-kit').success).toBe(true);
+      expect(runCli('export-manifest --check').success).toBe(true);
+      expect(fs.readFileSync(path.join(testDir, 'skills', 'pdf-kit', 'README.md'), 'utf8')).toMatch(/^# pdf-kit Skill\n/);
+    });
+
+    test('rejects names that are invalid or taken', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+      runCli('csv-tools -d "Work with CSVs"');
+      expect(JSON.parse(runCli('rename pdf-tools "Bad Name" --json').output).error.code).toBe('INVALID_NAME');
+      expect(JSON.parse(runCli('rename pdf-tools csv-tools --json').output).error.code).toBe('DIRECTORY_EXISTS');
+    });
+  });
+
+  describe('info', () => {
+    test('shows metadata, files, body size and warnings', () => {
+      runCli('pdf-tools -d "Work with PDFs" --tags pdf');
+      runCli('add script extract --skill pdf-tools');
+
+      const result = runCli('info pdf-tools');
+      expect(result.success).toBe(true);
+      expect(result.output).toMatch(/tags +pdf\n/);
+      expect(result.output).toContain('scripts/extract.sh');
+      expect(result.output).toMatch(/Body: \d+ lines, \d+ words, ~\d+ tokens/);
+      expect(result.output).toContain('(description-length)');
+    });
+
+    test('prints JSON for dashboards', () => {
+      runCli('pdf-tools -d "Work with PDFs"');
+
+      const info = JSON.parse(runCli('info pdf-tools --json').output);
+      expect(info).toMatchObject({ success: true, name: 'pdf-tools', metadata: { description: 'Work with PDFs' }, errors: [] });
+      expect(info.resources).toEqual({ scripts: [], references: [], assets: [] });
+      expect(info.warnings[0]).toMatchObject({ rule: 'description-length', file: 'pdf-tools/SKILL.md', line: 3 });
+    });
+
+    test('fails for a directory without SKILL.md', () => {
+      const result = runCli('info . --json');
+      expect(result.success).toBe(false);
+      expect(JSON.parse(result.output).error.code).toBe('INVALID_SKILL');
+    });
+  });
+
+  describe('optional spec fields', () => {
+    test('writes allowed tools, compatibility and metadata from flags', () => {
+      const result = runCli('pdf-tools -d "Work with PDFs" --allowed-tools "Read, Bash(git add:*)" --compatibility "Requires git" --meta team=docs --meta tier=2');
+      expect(result.success).toBe(true);
+
+      const content = fs.readFileSync(path.join(testDir, 'pdf-tools', 'SKILL.md'), 'utf8');
+      expect(content).toContain('compatibility: Requires git\nallowed-tools:\n  - Read\n  - Bash(git add:*)\nmetadata:\n  team: docs\n  tier: \'2\'\n---\n');
+      expect(runCli('validate pdf-tools').success).toBe(true);
+
+      expect(runCli('set pdf-tools metadata --add owner=jane').output).toContain('✓ Set metadata to { team: docs, tier: 2, owner: jane }');
+      expect(runCli('set pdf-tools allowed-tools --remove Read').output).toContain('✓ Set allowed-tools to [Bash(git add:*)]');
+    });
+
+    test('rejects invalid tools and metadata', () => {
+      const tools = JSON.parse(runCli('pdf-tools -d "Work with PDFs" --allowed-tools "Read;" --json').output);
+      expect(tools.error).toMatchObject({ code: 'INVALID_ARGUMENT', message: 'Invalid skill metadata' });
+      expect(tools.error.details[0]).toContain('Invalid tool "Read;"');
+
+      const meta = JSON.parse(runCli('pdf-tools -d "Work with PDFs" --meta team --json').output);
+      expect(meta.error).toMatchObject({ code: 'INVALID_ARGUMENT', message: 'Invalid --meta "team"' });
+      const keyword = JSON.parse(runCli('pdf-tools -d "Work with PDFs" --meta on=yes --json').output);
+      expect(keyword.error.details[0]).toContain('Invalid key "on" in "metadata"');
+      expect(fs.existsSync(path.join(testDir, 'pdf-tools'))).toBe(false);
+
+      runCli('pdf-tools -d "Work with PDFs"');
+      const set = runCli('set pdf-tools metadata --add true=1 --json');
+      expect(set.success).toBe(false);
+      expect(JSON.parse(set.output).error.code).toBe('INVALID_SKILL');
+      expect(fs.readFileSync(path.join(testDir, 'pdf-tools', 'SKILL.md'), 'utf8')).not.toContain('metadata');
+    });
+  });
+
+  describe('name rules', () => {
+    test('lists every reason a name is invalid with a suggestion', () => {
+      const result = runCli('"PDF_Processor" -d "Work with PDFs" --json');
+      expect(result.success).toBe(false);
+      expect(JSON.parse(result.output).error).toEqual({
+        code: 'INVALID_NAME',
+        message: 'Invalid skill name "PDF_Processor"',
+        details: [
+          'The name:',
+          '  - must be lowercase',
+          '  - must only contain letters, digits and hyphens (found "_")',
+          'Suggested name: pdf-processor',
+          'Run again with --slugify to use it.',
+        ],
+      });
+    });
+
+    test('--slugify turns the name into a valid one', () => {
+      const result = runCli('"PDF Processor" -d "Work with PDFs" --slugify');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('Using the name "pdf-processor"');
+      expect(fs.readFileSync(path.join(testDir, 'pdf-processor', 'SKILL.md'), 'utf8')).toContain('name: pdf-processor\n');
+    });
+
+    test('--slugify cannot fix reserved words', () => {
+      const result = runCli('"Claude Helper" -d "Help" --slugify --json');
+      expect(JSON.parse(result.output).error.details).toContain('  - must not contain the reserved word "claude"');
+    });
+  });
 });
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  INDEX_START,
+  INDEX_END,
+  initCollection,
+  scanCollection,
+  formatIndexTable,
+  writeIndex,
+  findCollectionRoot,
+} = require('../lib/collection');
+const { readConfigFile } = require('../lib/config');
+
+describe('collections', () => {
+  const testDir = path.join(__dirname, 'temp-test-collection');
+
+  /**
+   * Writes a SKILL.md below the test directory
+   * @param {string} relativeDir - The skill directory, relative to the test directory
+   * @param {string} frontmatter - The frontmatter lines
+   */
+  const writeSkill = (relativeDir, frontmatter) => {
+    const dir = path.join(testDir, relativeDir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'SKILL.md'), `---\n${frontmatter}\n---\n\n# Skill\n`);
+  };
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('initCollection', () => {
+    test('creates the README, shared config and skills folder', async () => {
+      const changes = await initCollection(testDir, { title: 'Team Skills' });
+
+      expect(changes).toEqual([
+        { path: '.create-skillsrc', action: 'create' },
+        { path: 'README.md', action: 'create' },
+        { path: 'skills/.gitkeep', action: 'create' },
+      ]);
+      const readme = fs.readFileSync(path.join(testDir, 'README.md'), 'utf8');
+      expect(readme).toMatch(/^# Team Skills\n/);
+      expect(readme).toContain(`${INDEX_START}\n_No skills yet._\n${INDEX_END}`);
+      expect(readConfigFile(path.join(testDir, '.create-skillsrc')).options.dir).toBe(path.join(testDir, 'skills'));
+    });
+
+    test('names the collection after its directory by default', async () => {
+      await initCollection(testDir);
+      expect(fs.readFileSync(path.join(testDir, 'README.md'), 'utf8')).toMatch(/^# temp-test-collection\n/);
+    });
+
+    test('leaves existing files untouched', async () => {
+      fs.writeFileSync(path.join(testDir, 'README.md'), '# Ours\n');
+      const changes = await initCollection(testDir);
+
+      expect(changes.find(change => change.path === 'README.md').action).toBe('skip');
+      expect(fs.readFileSync(path.join(testDir, 'README.md'), 'utf8')).toBe('# Ours\n');
+      expect(fs.existsSync(path.join(testDir, 'skills'))).toBe(true);
+    });
+  });
+
+  describe('scanCollection', () => {
+    test('finds skills at any depth, sorted by name', () => {
+      writeSkill('skills/zip-tools', 'name: zip-tools\ndescription: Zip files\nversion: "1.2.0"\nauthor: Docs Team\nlicense: MIT\ntags: [zip, archive]');
+      writeSkill('skills/docs/pdf-tools', 'name: pdf-tools\ndescription: Work with PDFs');
+
+      const { skills, warnings } = scanCollection(testDir);
+
+      expect(warnings).toEqual([]);
+      expect(skills).toEqual([
+        { name: 'pdf-tools', description: 'Work with PDFs', version: null, author: null, license: null, tags: [], path: 'skills/docs/pdf-tools' },
+        { name: 'zip-tools', description: 'Zip files', version: '1.2.0', author: 'Docs Team', license: 'MIT', tags: ['zip', 'archive'], path: 'skills/zip-tools' },
+      ]);
+    });
+
+    test('skips node_modules, .git and folders inside a skill', () => {
+      writeSkill('skills/pdf-tools', 'name: pdf-tools\ndescription: Work with PDFs');
+      writeSkill('skills/pdf-tools/references/example', 'name: example\ndescription: An example');
+      writeSkill('node_modules/dep/skill', 'name: dep\ndescription: A dependency');
+      writeSkill('.git/skill', 'name: git\ndescription: Not a skill');
+
+      expect(scanCollection(testDir).skills.map(skill => skill.name)).toEqual(['pdf-tools']);
+    });
+
+    test('indexes a skill directory as a single skill', () => {
+      writeSkill('', 'name: pdf-tools\ndescription: Work with PDFs');
+      expect(scanCollection(testDir).skills.map(skill => skill.path)).toEqual(['.']);
+    });
+
+    test('warns about skills without a name or description', () => {
+      writeSkill('skills/broken', 'description: No name');
+
+      const { skills, warnings } = scanCollection(testDir);
+
+      expect(skills).toEqual([]);
+      expect(warnings).toEqual([expect.stringContaining('Skipped skills/broken')]);
+    });
+  });
+
+  describe('formatIndexTable', () => {
+    test('links each skill and escapes table syntax', () => {
+      const table = formatIndexTable([
+        { name: 'pdf-tools', description: 'Read | write\nPDFs', tags: ['pdf', 'docs'], version: '1.0.0', path: 'skills/pdf tools' },
+      ]);
+
+      expect(table.split('\n')).toEqual([
+        '| Skill | Description | Tags | Version |',
+        '|-------|-------------|------|---------|',
+        '| [pdf-tools](skills/pdf%20tools) | Read \\| write PDFs | pdf, docs | 1.0.0 |',
+      ]);
+    });
+
+    test('notes an empty collection', () => {
+      expect(formatIndexTable([])).toBe('_No skills yet._');
+    });
+  });
+
+  describe('writeIndex', () => {
+    test('replaces the catalog between the README markers and writes skills.json', async () => {
+      await initCollection(testDir, { title: 'Team Skills' });
+      writeSkill('skills/pdf-tools', 'name: pdf-tools\ndescription: Work with PDFs');
+
+      const result = writeIndex(testDir);
+
+      expect(result.files).toEqual(['README.md', 'skills.json']);
+      const readme = fs.readFileSync(path.join(testDir, 'README.md'), 'utf8');
+      expect(readme).toContain(`${INDEX_START}\n| Skill |`);
+      expect(readme).toContain('| [pdf-tools](skills/pdf-tools) | Work with PDFs |  |  |\n' + INDEX_END);
+      expect(readme).toContain('## Adding a skill');
+      expect(JSON.parse(fs.readFileSync(path.join(testDir, 'skills.json'), 'utf8'))).toEqual({
+        skills: [{ name: 'pdf-tools', description: 'Work with PDFs', version: null, author: null, license: null, tags: [], path: 'skills/pdf-tools' }],
+      });
+    });
+
+    test('is stable when run twice', async () => {
+      await initCollection(testDir);
+      writeSkill('skills/pdf-tools', 'name: pdf-tools\ndescription: Work with PDFs');
+
+      writeIndex(testDir);
+      const first = fs.readFileSync(path.join(testDir, 'README.md'), 'utf8');
+      writeIndex(testDir);
+
+      expect(fs.readFileSync(path.join(testDir, 'README.md'), 'utf8')).toBe(first);
+    });
+
+    test('writes SKILLS.md when the README has no markers', () => {
+      fs.writeFileSync(path.join(testDir, 'README.md'), '# Ours\n');
+      writeSkill('pdf-tools', 'name: pdf-tools\ndescription: Work with PDFs');
+
+      const result = writeIndex(testDir);
+
+      expect(result.files).toEqual(['SKILLS.md', 'skills.json']);
+      expect(fs.readFileSync(path.join(testDir, 'README.md'), 'utf8')).toBe('# Ours\n');
+      expect(fs.readFileSync(path.join(testDir, 'SKILLS.md'), 'utf8')).toContain('[pdf-tools](pdf-tools)');
+    });
+  });
+
+  describe('findCollectionRoot', () => {
+    test('finds the closest directory with a manifest above a skill', () => {
+      writeSkill('skills/pdf-tools', 'name: pdf-tools\ndescription: Work with PDFs');
+      writeIndex(testDir);
+
+      expect(findCollectionRoot(path.join(testDir, 'skills', 'pdf-tools'))).toBe(testDir);
+    });
+
+    test('returns null outside an indexed collection', () => {
+      writeSkill('pdf-tools', 'name: pdf-tools\ndescription: Work with PDFs');
+
+      expect(findCollectionRoot(path.join(testDir, 'pdf-tools'))).toBeNull();
+    });
+  });
+});
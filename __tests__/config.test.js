@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  findConfigFiles,
+  readConfigFile,
+  loadConfig,
+  applyFlags,
+} = require('../lib/config');
+
+describe('config files', () => {
+  const testDir = path.join(__dirname, 'temp-test-config');
+  const homeDir = path.join(testDir, 'home');
+  const projectDir = path.join(testDir, 'project');
+  const nestedDir = path.join(projectDir, 'skills', 'nested');
+
+  const writeConfig = (dir, content, file = '.create-skillsrc') => {
+    fs.writeFileSync(path.join(dir, file), content);
+    return path.join(dir, file);
+  };
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(homeDir, { recursive: true });
+    fs.mkdirSync(nestedDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('findConfigFiles', () => {
+    test('finds the home file first, then files from the root down', () => {
+      const homeFile = writeConfig(homeDir, 'author: Home');
+      const projectFile = writeConfig(projectDir, 'author: Project');
+      const nestedFile = writeConfig(nestedDir, '{}', '.create-skillsrc.json');
+
+      expect(findConfigFiles(nestedDir, homeDir)).toEqual([homeFile, projectFile, nestedFile]);
+    });
+
+    test('does not list the home file twice when it is an ancestor', () => {
+      const projectFile = writeConfig(projectDir, 'author: Project');
+      expect(findConfigFiles(nestedDir, projectDir)).toEqual([projectFile]);
+    });
+
+    test('returns nothing when no config exists', () => {
+      expect(findConfigFiles(nestedDir, homeDir)).toEqual([]);
+    });
+  });
+
+  describe('readConfigFile', () => {
+    test('reads YAML with presets', () => {
+      const file = writeConfig(projectDir, [
+        'author: Jane Doe',
+        'tags: [pdf, docs]',
+        'presets:',
+        '  internal:',
+        '    license: UNLICENSED',
+        '    tags:',
+        '      - internal',
+      ].join('\n'));
+
+      expect(readConfigFile(file)).toEqual({
+        options: { author: 'Jane Doe', tags: ['pdf', 'docs'] },
+        presets: { internal: { license: 'UNLICENSED', tags: ['internal'] } },
+      });
+    });
+
+    test('reads JSON and splits comma-separated tags', () => {
+      const file = writeConfig(projectDir, JSON.stringify({ license: 'MIT', tags: 'a, b' }));
+      expect(readConfigFile(file).options).toEqual({ license: 'MIT', tags: ['a', 'b'] });
+    });
+
+    test('resolves relative template paths against the config file', () => {
+      const file = writeConfig(projectDir, 'template: ./templates/company');
+      expect(readConfigFile(file).options.template).toBe(path.join(projectDir, 'templates', 'company'));
+    });
+
+    test('resolves dir against the config file', () => {
+      const file = writeConfig(projectDir, 'dir: skills');
+      expect(readConfigFile(file).options.dir).toBe(path.join(projectDir, 'skills'));
+    });
+
+    test('keeps template names and git URLs as they are', () => {
+      const file = writeConfig(projectDir, 'template: tool\npresets:\n  git:\n    template: git+file:///srv/t.git');
+      const config = readConfigFile(file);
+      expect(config.options.template).toBe('tool');
+      expect(config.presets.git.template).toBe('git+file:///srv/t.git');
+    });
+
+    test('rejects unknown options', () => {
+      const file = writeConfig(projectDir, 'colour: red');
+      expect(() => readConfigFile(file)).toThrow('unknown option "colour"');
+    });
+
+    test('rejects values of the wrong type', () => {
+      const file = writeConfig(projectDir, 'author:\n  - a');
+      expect(() => readConfigFile(file)).toThrow('option "author" must be a string');
+    });
+
+    test('rejects vars that replace built-in variables', () => {
+      const file = writeConfig(projectDir, 'vars:\n  name: other');
+      expect(() => readConfigFile(file)).toThrow('vars.name would replace a built-in variable');
+    });
+
+    test('rejects versions that are not semantic versions', () => {
+      const file = writeConfig(projectDir, 'version: "1.0"');
+      expect(() => readConfigFile(file)).toThrow(`${file}: version "1.0" is not a semantic version`);
+    });
+
+    test('reads the optional spec fields', () => {
+      const file = writeConfig(projectDir, [
+        'compatibility: Requires git',
+        'allowed-tools: Read Bash(git:*)',
+        'metadata:',
+        '  team: docs',
+        '  tier: 2',
+      ].join('\n'));
+
+      expect(readConfigFile(file).options).toEqual({
+        compatibility: 'Requires git',
+        'allowed-tools': ['Read', 'Bash(git:*)'],
+        metadata: { team: 'docs', tier: '2' },
+      });
+    });
+
+    test('rejects invalid allowed tools', () => {
+      const file = writeConfig(projectDir, 'allowed-tools: [Read, "run it"]');
+      expect(() => readConfigFile(file)).toThrow(`${file}: Invalid tool "run it" in "allowed-tools"`);
+    });
+
+    test('rejects invalid lint rule settings', () => {
+      const file = writeConfig(projectDir, 'lint:\n  body-size: loud');
+      expect(() => readConfigFile(file)).toThrow(`${file}: Invalid severity "loud" for lint rule "body-size"`);
+    });
+
+    test('reports YAML errors with the line number', () => {
+      const file = writeConfig(projectDir, 'author: a\nnot yaml');
+      expect(() => readConfigFile(file)).toThrow(`${file}:2: Expected "key: value"`);
+    });
+
+    test('reports invalid JSON', () => {
+      const file = writeConfig(projectDir, '{ nope', '.create-skillsrc.json');
+      expect(() => readConfigFile(file)).toThrow(file);
+    });
+  });
+
+  describe('loadConfig', () => {
+    test('lets closer files override farther ones', () => {
+      const homeFile = writeConfig(homeDir, 'author: Home\nlicense: MIT\nvars:\n  team: home\n  region: eu');
+      const projectFile = writeConfig(projectDir, 'author: Project\nvars:\n  team: project');
+
+      const config = loadConfig({ cwd: nestedDir, home: homeDir });
+      expect(config.values).toEqual({ author: 'Project', license: 'MIT', vars: { team: 'project', region: 'eu' } });
+      expect(config.sources).toEqual({ author: projectFile, license: homeFile, vars: projectFile });
+    });
+
+    test('merges lint settings key by key', () => {
+      writeConfig(homeDir, 'lint:\n  body-size: error\n  broken-links: warning');
+      writeConfig(projectDir, 'lint:\n  body-size:\n    maxLines: 300');
+
+      const config = loadConfig({ cwd: projectDir, home: homeDir });
+      expect(config.values.lint).toEqual({ 'body-size': { maxLines: 300 }, 'broken-links': 'warning' });
+    });
+
+    test('applies a preset on top of the files', () => {
+      const homeFile = writeConfig(homeDir, 'presets:\n  internal:\n    license: UNLICENSED');
+      writeConfig(projectDir, 'license: MIT\nauthor: Jane');
+
+      const config = loadConfig({ cwd: projectDir, home: homeDir, preset: 'internal' });
+      expect(config.preset).toBe('internal');
+      expect(config.values).toEqual({ license: 'UNLICENSED', author: 'Jane' });
+      expect(config.sources.license).toBe(`preset "internal" (${homeFile})`);
+    });
+
+    test('rejects unknown presets', () => {
+      writeConfig(projectDir, 'presets:\n  internal:\n    license: UNLICENSED');
+      expect(() => loadConfig({ cwd: projectDir, home: homeDir, preset: 'nope' }))
+        .toThrow('Unknown preset "nope". Available presets: internal');
+    });
+
+    test('explains when no presets are defined', () => {
+      expect(() => loadConfig({ cwd: projectDir, home: homeDir, preset: 'nope' }))
+        .toThrow('No presets are defined');
+    });
+  });
+
+  describe('applyFlags', () => {
+    test('lets flags override config values and ignores empty flags', () => {
+      const config = { files: [], preset: null, values: { author: 'Config', license: 'MIT' }, sources: { author: 'a', license: 'a' } };
+      const result = applyFlags(config, { author: 'Flag', license: '', tags: [], vars: {} });
+      expect(result.values).toEqual({ author: 'Flag', license: 'MIT' });
+      expect(result.sources).toEqual({ author: 'the command line', license: 'a' });
+    });
+
+    test('merges vars from config and flags', () => {
+      const config = { files: [], preset: null, values: { vars: { team: 'a', region: 'eu' } }, sources: { vars: 'file' } };
+      const result = applyFlags(config, { vars: { team: 'b' } });
+      expect(result.values.vars).toEqual({ team: 'b', region: 'eu' });
+      expect(result.sources.vars).toBe('file and the command line');
+    });
+  });
+});
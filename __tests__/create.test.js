@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { checkTarget, createSkill } = require('../lib/create');
+
+describe('createSkill', () => {
+  const testDir = path.join(__dirname, 'temp-test-create');
+  const metadata = { name: 'pdf-tools', description: 'Work with PDFs' };
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('creates a skill and returns its path and files', async () => {
+    const result = await createSkill({ metadata: { ...metadata, tags: ['pdf'], author: '' }, dir: testDir });
+
+    expect(result.path).toBe(path.join(testDir, 'pdf-tools'));
+    expect(result.template).toBe('basic');
+    expect(result.files).toEqual(['CHANGELOG.md', 'README.md', 'SKILL.md', 'assets/.gitkeep', 'references/.gitkeep', 'scripts/.gitkeep']);
+    expect(result.metadata).toEqual({ name: 'pdf-tools', description: 'Work with PDFs', tags: ['pdf'] });
+    expect(result.changes).toBeNull();
+    expect(fs.readFileSync(path.join(result.path, 'SKILL.md'), 'utf8')).toContain('tags:\n  - pdf\n');
+  });
+
+  test('uses the given template and its default answers', async () => {
+    const result = await createSkill({ metadata, template: 'tool', dir: testDir });
+
+    expect(result.template).toBe('tool');
+    expect(fs.existsSync(path.join(result.path, 'SKILL.md'))).toBe(true);
+  });
+
+  test('writes nothing in a dry run', async () => {
+    const result = await createSkill({ metadata, dir: testDir, dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.plan.files.length).toBe(result.files.length);
+    expect(fs.existsSync(result.path)).toBe(false);
+  });
+
+  test('throws typed errors instead of exiting', async () => {
+    await expect(createSkill({ metadata: { description: 'x' }, dir: testDir })).rejects.toMatchObject({ code: 'MISSING_NAME' });
+    await expect(createSkill({ metadata: { name: 'bad name', description: 'x' }, dir: testDir })).rejects.toMatchObject({ code: 'INVALID_NAME' });
+    await expect(createSkill({ metadata: { name: 'pdf-tools' }, dir: testDir })).rejects.toMatchObject({ code: 'MISSING_DESCRIPTION' });
+    await expect(createSkill({ metadata: { ...metadata, version: '1.0' }, dir: testDir })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(createSkill({ metadata: { ...metadata, tags: 'pdf' }, dir: testDir })).rejects.toMatchObject({
+      code: 'INVALID_ARGUMENT',
+      details: ['  Field "tags" must be a list, got a string'],
+    });
+    await expect(createSkill({ metadata, template: 'missing', dir: testDir })).rejects.toMatchObject({ code: 'INVALID_TEMPLATE' });
+    await expect(createSkill({ metadata, variables: { name: 'x' }, dir: testDir })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+  });
+
+  test('refuses an existing directory unless merging or forcing', async () => {
+    fs.mkdirSync(path.join(testDir, 'pdf-tools'));
+    fs.writeFileSync(path.join(testDir, 'pdf-tools', 'README.md'), 'Ours\n');
+
+    await expect(createSkill({ metadata, dir: testDir })).rejects.toMatchObject({ code: 'DIRECTORY_EXISTS' });
+
+    const merged = await createSkill({ metadata, dir: testDir, merge: true });
+    expect(merged.changes).toContainEqual({ path: 'README.md', action: 'skip' });
+    expect(fs.readFileSync(path.join(testDir, 'pdf-tools', 'README.md'), 'utf8')).toBe('Ours\n');
+
+    const resolveConflict = jest.fn().mockResolvedValue('overwrite');
+    const resolved = await createSkill({ metadata, dir: testDir, merge: true, resolveConflict });
+    expect(resolveConflict).toHaveBeenCalledWith(expect.objectContaining({ path: 'README.md' }));
+    expect(resolved.changes).toContainEqual({ path: 'README.md', action: 'overwrite' });
+    expect(fs.readFileSync(path.join(testDir, 'pdf-tools', 'README.md'), 'utf8')).toContain('# pdf-tools Skill');
+  });
+
+  test('writes through an injected file system', async () => {
+    const written = [];
+    const recordingFs = {
+      ...fs,
+      promises: {
+        ...fs.promises,
+        writeFile: (file, ...rest) => {
+          written.push(file);
+          return fs.promises.writeFile(file, ...rest);
+        },
+      },
+    };
+
+    const result = await createSkill({ metadata, dir: testDir, fs: recordingFs });
+
+    expect(written).toHaveLength(result.files.length);
+    expect(fs.existsSync(path.join(result.path, 'SKILL.md'))).toBe(true);
+  });
+
+  test('reports write failures and leaves nothing behind', async () => {
+    const failingFs = {
+      ...fs,
+      promises: { ...fs.promises, writeFile: () => Promise.reject(new Error('disk full')) },
+    };
+
+    await expect(createSkill({ metadata, dir: testDir, fs: failingFs })).rejects.toMatchObject({
+      code: 'WRITE_FAILED',
+      message: 'Could not create skill: disk full',
+    });
+    expect(fs.readdirSync(testDir)).toEqual([]);
+  });
+
+  test('checkTarget only allows existing directories with force or merge', () => {
+    const target = path.join(testDir, 'pdf-tools');
+    expect(checkTarget(target)).toBe(false);
+
+    fs.mkdirSync(target);
+    expect(() => checkTarget(target)).toThrow('already exists');
+    expect(checkTarget(target, { merge: true })).toBe(true);
+
+    fs.writeFileSync(path.join(testDir, 'file'), '');
+    expect(() => checkTarget(path.join(testDir, 'file'), { force: true })).toThrow('is not a directory');
+  });
+
+  test('is the package entry point', () => {
+    const api = require('..');
+
+    expect(api.createSkill).toBe(createSkill);
+    expect(api.validateSkillName('pdf-tools')).toBe(true);
+    expect(new api.SkillError(api.ERROR_CODES.INVALID_NAME, 'x').code).toBe('INVALID_NAME');
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { applyFieldChange, replaceFrontmatterField, setField } = require('../lib/edit');
+
+describe('frontmatter editing', () => {
+  const testDir = path.join(__dirname, 'temp-test-edit');
+  const skillPath = path.join(testDir, 'pdf-tools');
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  const body = '\n# PDF Tools\n\nKeep   this  \n\n```yaml\nversion: 0.0.0\n```\n';
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(skillPath, { recursive: true });
+    fs.writeFileSync(skillMdPath, `---\nname: pdf-tools\n# Shown in the catalog\ndescription: Work with PDFs\ntags:\n  - pdf\nlicense: MIT\n---\n${body}`);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('applyFieldChange', () => {
+    test('replaces strings and lists', () => {
+      expect(applyFieldChange({}, 'version', { value: '1.2.0' })).toBe('1.2.0');
+      expect(applyFieldChange({ tags: ['a'] }, 'tags', { value: 'b, c' })).toEqual(['b', 'c']);
+    });
+
+    test('adds and removes list items', () => {
+      expect(applyFieldChange({ tags: ['pdf'] }, 'tags', { add: ['forms,pdf', 'ocr'] })).toEqual(['pdf', 'forms', 'ocr']);
+      expect(applyFieldChange({}, 'tags', { add: ['pdf'] })).toEqual(['pdf']);
+      expect(applyFieldChange({ tags: ['pdf', 'forms'] }, 'tags', { remove: ['pdf'] })).toEqual(['forms']);
+    });
+
+    test('keeps commas inside allowed tool patterns', () => {
+      expect(applyFieldChange({ 'allowed-tools': ['Read'] }, 'allowed-tools', { add: ['Bash(a,b) Write'] }))
+        .toEqual(['Read', 'Bash(a,b)', 'Write']);
+    });
+
+    test('sets and removes metadata keys', () => {
+      expect(applyFieldChange({ metadata: { team: 'docs' } }, 'metadata', { add: ['tier=2', 'url=a=b'] }))
+        .toEqual({ team: 'docs', tier: '2', url: 'a=b' });
+      expect(applyFieldChange({ metadata: { team: 'docs', tier: '2' } }, 'metadata', { remove: ['tier'] }))
+        .toEqual({ team: 'docs' });
+      expect(applyFieldChange({ metadata: { team: 'docs' } }, 'metadata', { remove: ['team'] })).toBeUndefined();
+      expect(() => applyFieldChange({}, 'metadata', { value: 'x' })).toThrow('"metadata" is a map');
+      expect(() => applyFieldChange({}, 'metadata', { add: ['x'] })).toThrow('Invalid value "x" (expected key=value)');
+    });
+
+    test('rejects changes that do not fit the field', () => {
+      expect(() => applyFieldChange({}, 'colour', { value: 'red' })).toThrow('Unknown field "colour"');
+      expect(() => applyFieldChange({}, 'version', { add: ['1'] })).toThrow('--add and --remove only apply to list fields');
+      expect(() => applyFieldChange({}, 'name', { unset: true })).toThrow('"name" is required');
+      expect(() => applyFieldChange({}, 'version', {})).toThrow('Give a new value');
+      expect(() => applyFieldChange({}, 'version', { value: '1', unset: true })).toThrow('Give a new value');
+    });
+  });
+
+  describe('replaceFrontmatterField', () => {
+    const content = '---\nname: a\n# note\ndescription: |\n  Line one\n\n  Line two\ntags:\n  - x\n---\nBody\n';
+
+    test('replaces a multi-line field and keeps comments', () => {
+      expect(replaceFrontmatterField(content, 'description', 'Short'))
+        .toBe('---\nname: a\n# note\ndescription: Short\ntags:\n  - x\n---\nBody\n');
+    });
+
+    test('inserts a new field after the fields before it', () => {
+      expect(replaceFrontmatterField(content, 'version', '1.0.0'))
+        .toBe('---\nname: a\n# note\ndescription: |\n  Line one\n\n  Line two\nversion: 1.0.0\ntags:\n  - x\n---\nBody\n');
+    });
+
+    test('removes a field', () => {
+      expect(replaceFrontmatterField(content, 'tags', undefined))
+        .toBe('---\nname: a\n# note\ndescription: |\n  Line one\n\n  Line two\n---\nBody\n');
+    });
+
+    test('replaces lists written without indentation', () => {
+      expect(replaceFrontmatterField('---\nname: a\ntags:\n- pdf\n- docs\nlicense: MIT\n---\nBody\n', 'tags', ['pdf', 'docs', 'forms']))
+        .toBe('---\nname: a\ntags:\n  - pdf\n  - docs\n  - forms\nlicense: MIT\n---\nBody\n');
+    });
+
+    test('quotes values that need it and keeps CRLF line endings', () => {
+      expect(replaceFrontmatterField('---\r\nname: a\r\n---\r\nBody\r\n', 'version', '1.0'))
+        .toBe('---\r\nname: a\r\nversion: \'1.0\'\r\n---\r\nBody\r\n');
+    });
+  });
+
+  describe('setField', () => {
+    test('updates one field and leaves the body byte-for-byte untouched', async () => {
+      const result = await setField(skillPath, 'version', { value: '1.2.0' });
+
+      expect(result).toEqual({ field: 'version', previous: undefined, value: '1.2.0', changed: true });
+      expect(fs.readFileSync(skillMdPath, 'utf8')).toBe(
+        `---\nname: pdf-tools\n# Shown in the catalog\ndescription: Work with PDFs\nversion: 1.2.0\ntags:\n  - pdf\nlicense: MIT\n---\n${body}`,
+      );
+    });
+
+    test('adds tags to the existing list', async () => {
+      await setField(skillPath, 'tags', { add: ['forms'] });
+      expect(fs.readFileSync(skillMdPath, 'utf8')).toContain('tags:\n  - pdf\n  - forms\nlicense: MIT\n');
+    });
+
+    test('adds tags to a list written without indentation', async () => {
+      fs.writeFileSync(skillMdPath, fs.readFileSync(skillMdPath, 'utf8').replace('tags:\n  - pdf\n', 'tags:\n- pdf\n'));
+      await setField(skillPath, 'tags', { add: ['forms'] });
+      expect(fs.readFileSync(skillMdPath, 'utf8')).toContain('tags:\n  - pdf\n  - forms\nlicense: MIT\n');
+    });
+
+    test('does not rewrite the file when nothing changes', async () => {
+      const before = fs.statSync(skillMdPath).mtimeMs;
+      const result = await setField(skillPath, 'license', { value: 'MIT' });
+      expect(result.changed).toBe(false);
+      expect(fs.statSync(skillMdPath).mtimeMs).toBe(before);
+    });
+
+    test('refuses changes that make the skill invalid', async () => {
+      await expect(setField(skillPath, 'name', { value: 'other-name' })).rejects.toMatchObject({
+        code: 'INVALID_SKILL',
+        details: [expect.stringContaining('does not match directory name "pdf-tools"')],
+      });
+      await expect(setField(skillPath, 'description', { value: '  ' })).rejects.toMatchObject({ code: 'INVALID_SKILL' });
+      expect(fs.readFileSync(skillMdPath, 'utf8')).toContain('description: Work with PDFs\n');
+    });
+
+    test('refuses to edit a frontmatter that does not parse', async () => {
+      fs.writeFileSync(skillMdPath, '---\nname: [\n---\n');
+      await expect(setField(skillPath, 'version', { value: '1.0.0' })).rejects.toMatchObject({ code: 'INVALID_SKILL' });
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const { ERROR_CODES, SkillError } = require('../lib/errors');
+
+describe('SkillError', () => {
+  test('carries a code, message and details', () => {
+    const error = new SkillError(ERROR_CODES.INVALID_NAME, 'Invalid skill name "a b"', ['Use hyphens']);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('SkillError');
+    expect(error.code).toBe('INVALID_NAME');
+    expect(error.message).toBe('Invalid skill name "a b"');
+    expect(error.details).toEqual(['Use hyphens']);
+  });
+
+  test('defaults to no details', () => {
+    expect(new SkillError(ERROR_CODES.WRITE_FAILED, 'Disk full').details).toEqual([]);
+  });
+});
+
+describe('ERROR_CODES', () => {
+  test('keeps the documented codes stable', () => {
+    expect(ERROR_CODES).toMatchObject({
+      INVALID_NAME: 'INVALID_NAME',
+      DIRECTORY_EXISTS: 'DIRECTORY_EXISTS',
+      MISSING_DESCRIPTION: 'MISSING_DESCRIPTION',
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+describe('package entry points', () => {
+  const root = path.join(__dirname, '..');
+  const api = require('..');
+
+  // Node resolves the package's own name through its exports map
+  const runNode = (args) => JSON.parse(execFileSync(process.execPath, args, { cwd: root, encoding: 'utf8' }));
+
+  test('require() loads the CommonJS entry', () => {
+    const keys = runNode(['-e', 'console.log(JSON.stringify(Object.keys(require("create-skills"))))']);
+
+    expect(keys).toEqual(Object.keys(api));
+  });
+
+  test('import loads the ES module entry with the same named exports', () => {
+    const result = runNode(['--input-type=module', '-e', `
+      import * as esm from 'create-skills';
+      import cjs from 'create-skills';
+      const named = Object.keys(esm).filter(key => key !== 'default');
+      console.log(JSON.stringify({ named, same: named.every(key => esm[key] === cjs[key]) }));
+    `]);
+
+    expect(result.named.sort()).toEqual(Object.keys(api).sort());
+    expect(result.same).toBe(true);
+  });
+
+  test('lib/utils stays importable both ways', () => {
+    const script = 'console.log(JSON.stringify(typeof validateSkillName))';
+    expect(runNode(['-e', `const { validateSkillName } = require("create-skills/lib/utils"); ${script}`])).toBe('function');
+    expect(runNode(['--input-type=module', '-e', `import { validateSkillName } from "create-skills/lib/utils.js"; ${script}`])).toBe('function');
+  });
+
+  test('the type declarations cover every export', () => {
+    const declared = ['index.d.ts', 'utils.d.ts']
+      .map(file => fs.readFileSync(path.join(root, 'lib', file), 'utf8'))
+      .join('\n')
+      .match(/^export declare (?:const|function|class) \w+/gm)
+      .map(declaration => declaration.split(' ').pop());
+
+    expect(declared.sort()).toEqual(Object.keys(api).sort());
+  });
+
+  test('package.json points at files that exist', () => {
+    const pkg = require('../package.json');
+    const leaves = value => (typeof value === 'string' ? [value] : Object.values(value).flatMap(leaves));
+    const targets = leaves(pkg.exports).concat(pkg.main, pkg.types);
+
+    targets.forEach(target => expect(fs.existsSync(path.join(root, target))).toBe(true));
+  });
+});
@@ -0,0 +1,256 @@
+const { parseFrontmatter, splitFrontmatter, parseYaml, serializeFrontmatter, formatScalar, isTypedScalar } = require('../lib/frontmatter');
+
+describe('parseFrontmatter', () => {
+  test('parses scalar fields and the body', () => {
+    const result = parseFrontmatter('---\nname: my-skill\ndescription: Test description\n---\n\n# Title\n');
+    expect(result.errors).toEqual([]);
+    expect(result.metadata).toEqual({ name: 'my-skill', description: 'Test description' });
+    expect(result.body).toBe('\n# Title\n');
+  });
+
+  test('records the line of each key', () => {
+    const result = parseFrontmatter('---\nname: my-skill\n\ndescription: Test\n---\n');
+    expect(result.lines).toEqual({ name: 2, description: 4 });
+  });
+
+  test('records the line the body starts on', () => {
+    expect(parseFrontmatter('---\nname: my-skill\n---\n# Title\n').bodyLine).toBe(4);
+    expect(parseFrontmatter('# Title\n').bodyLine).toBe(1);
+  });
+
+  test('parses block lists', () => {
+    const result = parseFrontmatter('---\nname: a\ntags:\n  - pdf\n  - processing\n---\n');
+    expect(result.metadata.tags).toEqual(['pdf', 'processing']);
+  });
+
+  test('parses unindented block lists', () => {
+    const result = parseFrontmatter('---\ntags:\n- pdf\n- docs\nname: a\n---\n');
+    expect(result.metadata).toEqual({ tags: ['pdf', 'docs'], name: 'a' });
+  });
+
+  test('parses flow lists', () => {
+    const result = parseFrontmatter('---\ntags: [pdf, "a, b", \'c\']\n---\n');
+    expect(result.metadata.tags).toEqual(['pdf', 'a, b', 'c']);
+  });
+
+  test('parses nested maps', () => {
+    const result = parseFrontmatter('---\nmetadata:\n  team: docs\n  level: 2\n---\n');
+    expect(result.metadata.metadata).toEqual({ team: 'docs', level: 2 });
+  });
+
+  test('parses quoted strings', () => {
+    const result = parseFrontmatter('---\na: "Say \\"hi\\": now"\nb: \'It\'\'s # fine\'\n---\n');
+    expect(result.errors).toEqual([]);
+    expect(result.metadata).toEqual({ a: 'Say "hi": now', b: 'It\'s # fine' });
+  });
+
+  test('resolves plain scalar types like YAML', () => {
+    const result = parseFrontmatter('---\na: 1.0\nb: true\nc: ~\nd: 2.0.0\ne: text # comment\n---\n');
+    expect(result.metadata).toEqual({ a: 1, b: true, c: null, d: '2.0.0', e: 'text' });
+  });
+
+  test('reports a missing frontmatter block', () => {
+    const result = parseFrontmatter('# Just markdown\n');
+    expect(result.errors).toEqual([{ line: 1, message: expect.stringContaining('Missing YAML frontmatter') }]);
+    expect(result.body).toBe('# Just markdown\n');
+  });
+
+  test('reports an unterminated frontmatter block', () => {
+    const result = parseFrontmatter('---\nname: a\n');
+    expect(result.errors[0].message).toContain('Unterminated YAML frontmatter');
+  });
+
+  test('reports malformed lines with their line number', () => {
+    const result = parseFrontmatter('---\nname: a\nthis is not yaml\ndescription: "open\n---\n');
+    expect(result.errors).toEqual([
+      { line: 3, message: expect.stringContaining('Expected "key: value"') },
+      { line: 4, message: 'Unterminated quoted string' },
+    ]);
+  });
+
+  test('reports duplicate keys', () => {
+    const result = parseFrontmatter('---\nname: a\nname: b\n---\n');
+    expect(result.errors).toEqual([{ line: 3, message: 'Duplicate key "name"' }]);
+  });
+
+  test('parses deeply nested maps', () => {
+    const result = parseFrontmatter('---\npresets:\n  internal:\n    license: MIT\n    tags:\n      - a\n  public: {}\n---\n');
+    expect(result.errors).toEqual([]);
+    expect(result.metadata.presets).toEqual({ internal: { license: 'MIT', tags: ['a'] }, public: {} });
+  });
+
+  test('reports inconsistent indentation in nested maps', () => {
+    const result = parseFrontmatter('---\nmeta:\n    a: 1\n  b: 2\n---\n');
+    expect(result.errors).toEqual([{ line: 4, message: 'Unexpected indentation' }]);
+  });
+
+  test('accepts Windows line endings', () => {
+    const result = parseFrontmatter('---\r\nname: a\r\ndescription: b\r\n---\r\nBody');
+    expect(result.metadata).toEqual({ name: 'a', description: 'b' });
+    expect(result.body).toBe('Body');
+  });
+});
+
+describe('parseYaml', () => {
+  test('parses a standalone document', () => {
+    expect(parseYaml('author: Jane\ntags: [a]\n')).toEqual({ value: { author: 'Jane', tags: ['a'] }, errors: [] });
+  });
+
+  test('reports errors with document line numbers', () => {
+    expect(parseYaml('author: Jane\noops\n').errors).toEqual([{ line: 2, message: 'Expected "key: value", got "oops"' }]);
+  });
+});
+
+describe('parseFrontmatter block scalars', () => {
+  test('parses literal block scalars', () => {
+    const result = parseFrontmatter('---\ndescription: |\n  First line.\n\n  Third: line\nname: a\n---\n');
+    expect(result.metadata).toEqual({ description: 'First line.\n\nThird: line\n', name: 'a' });
+  });
+
+  test('honours strip and keep chomping', () => {
+    expect(parseFrontmatter('---\na: |-\n  text\n---\n').metadata.a).toBe('text');
+    expect(parseFrontmatter('---\na: |+\n  text\n\n---\n').metadata.a).toBe('text\n\n');
+  });
+
+  test('parses folded block scalars', () => {
+    const result = parseFrontmatter('---\na: >-\n  one\n  two\n\n  three\n---\n');
+    expect(result.metadata.a).toBe('one two\nthree');
+  });
+
+  test('does not end the frontmatter at an indented ---', () => {
+    const result = parseFrontmatter('---\na: |-\n  before\n  ---\n  after\n---\nBody');
+    expect(result.metadata.a).toBe('before\n---\nafter');
+    expect(result.body).toBe('Body');
+  });
+});
+
+describe('isTypedScalar', () => {
+  test('detects text that YAML reads as a boolean, null, number or date', () => {
+    ['on', 'Yes', 'true', 'null', '~', '1.0', '0x1f', '2026-01-01'].forEach(text => expect(isTypedScalar(text)).toBe(true));
+    ['team', 'online', 'v1.0', 'x-1'].forEach(text => expect(isTypedScalar(text)).toBe(false));
+  });
+});
+
+describe('formatScalar', () => {
+  test('leaves safe strings unquoted', () => {
+    expect(formatScalar('Process PDF files')).toBe('Process PDF files');
+    expect(formatScalar('2.0.0')).toBe('2.0.0');
+    expect(formatScalar('C# tips')).toBe('C# tips');
+    expect(formatScalar('http://example.com')).toBe('http://example.com');
+  });
+
+  test('quotes strings YAML would retype', () => {
+    expect(formatScalar('yes')).toBe('\'yes\'');
+    expect(formatScalar('No')).toBe('\'No\'');
+    expect(formatScalar('null')).toBe('\'null\'');
+    expect(formatScalar('1.0')).toBe('\'1.0\'');
+    expect(formatScalar('42')).toBe('\'42\'');
+    expect(formatScalar('.inf')).toBe('\'.inf\'');
+    expect(formatScalar('0x1F')).toBe('\'0x1F\'');
+    expect(formatScalar('2024-01-31')).toBe('\'2024-01-31\'');
+  });
+
+  test('quotes strings with YAML syntax', () => {
+    expect(formatScalar('Note: read this')).toBe('\'Note: read this\'');
+    expect(formatScalar('ends with:')).toBe('\'ends with:\'');
+    expect(formatScalar('text # not a comment')).toBe('\'text # not a comment\'');
+    expect(formatScalar('#hashtag')).toBe('\'#hashtag\'');
+    expect(formatScalar('- dash')).toBe('\'- dash\'');
+    expect(formatScalar('[list]')).toBe('\'[list]\'');
+    expect(formatScalar('')).toBe('\'\'');
+    expect(formatScalar(' padded ')).toBe('\' padded \'');
+  });
+
+  test('escapes embedded quotes', () => {
+    expect(formatScalar('\'quoted\' start')).toBe('\'\'\'quoted\'\' start\'');
+    expect(formatScalar('"double" start')).toBe('\'"double" start\'');
+  });
+
+  test('uses double quotes for control characters', () => {
+    expect(formatScalar('tab\there')).toBe('"tab\\there"');
+    expect(formatScalar('a\nb')).toBe('"a\\nb"');
+    expect(formatScalar('bell\u0007')).toBe('"bell\\u0007"');
+  });
+
+  test('formats numbers, booleans and null', () => {
+    expect(formatScalar(1)).toBe('1');
+    expect(formatScalar(true)).toBe('true');
+    expect(formatScalar(null)).toBe('null');
+  });
+});
+
+describe('serializeFrontmatter', () => {
+  test('emits plain fields and lists', () => {
+    expect(serializeFrontmatter({ name: 'a', description: 'b', tags: ['x', 'z'] }))
+      .toBe('---\nname: a\ndescription: b\ntags:\n  - x\n  - z\n---');
+  });
+
+  test('emits block scalars for multi-line strings', () => {
+    expect(serializeFrontmatter({ description: 'Line one.\nLine two: here\n' }))
+      .toBe('---\ndescription: |\n  Line one.\n  Line two: here\n---');
+    expect(serializeFrontmatter({ description: 'Line one.\n\nLine three' }))
+      .toBe('---\ndescription: |-\n  Line one.\n\n  Line three\n---');
+  });
+
+  test('falls back to double quotes for multi-line strings a block cannot hold', () => {
+    expect(serializeFrontmatter({ a: '  indented\nsecond' })).toBe('---\na: "  indented\\nsecond"\n---');
+  });
+
+  test('emits maps and empty collections', () => {
+    expect(serializeFrontmatter({ meta: { team: 'docs', level: '2' }, tags: [], extra: {} }))
+      .toBe('---\nmeta:\n  team: docs\n  level: \'2\'\ntags: []\nextra: {}\n---');
+  });
+
+  test('skips undefined values', () => {
+    expect(serializeFrontmatter({ name: 'a', author: undefined })).toBe('---\nname: a\n---');
+  });
+
+  const hostileValues = {
+    'a colon': 'Use when: the user asks about PDFs',
+    'a hash': 'Handles # headings and C# code',
+    'a leading hash': '#1 tool',
+    'a leading single quote': '\'Quoted\' phrase',
+    'a leading double quote': '"Quoted" phrase',
+    'a trailing newline': 'Paragraph one.\n\nParagraph two.\n',
+    'no trailing newline': 'First line\nSecond line: with colon',
+    'an indented --- line': 'Before\n---\nAfter',
+    'a boolean-like word': 'yes',
+    'a version-like number': '1.0',
+    'a tab': 'a\tb',
+    'windows newlines': 'a\r\nb',
+    'unicode': 'Résumé ✓ 文字',
+    'trailing blank lines': 'text\n\n\n',
+    'a whitespace-only last line': 'a\n  ',
+    'a whitespace-only last line and a newline': 'a\n  \n',
+    'leading whitespace': '   indented',
+    'a backslash': 'C:\\path\\to "file"',
+  };
+
+  Object.keys(hostileValues).forEach(label => {
+    test(`round-trips a value with ${label}`, () => {
+      const metadata = {
+        name: 'my-skill',
+        description: hostileValues[label],
+        tags: ['yes', '1.0', 'a: b', hostileValues[label]],
+        meta: { key: hostileValues[label] },
+      };
+      const result = parseFrontmatter(`${serializeFrontmatter(metadata)}\n\n# Body\n`);
+      expect(result.errors).toEqual([]);
+      expect(result.metadata).toEqual(metadata);
+      expect(result.body).toBe('\n# Body\n');
+    });
+  });
+});
+
+describe('splitFrontmatter', () => {
+  test('keeps line endings and the byte order mark', () => {
+    expect(splitFrontmatter('\uFEFF---\r\nname: a\r\n---\r\n# A\r\n')).toEqual({
+      frontmatter: '\uFEFF---\r\nname: a\r\n---\r\n',
+      body: '# A\r\n',
+    });
+  });
+
+  test('treats content without frontmatter as body', () => {
+    expect(splitFrontmatter('# A\n')).toEqual({ frontmatter: '', body: '# A\n' });
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { createZip } = require('../lib/zip');
+const { packageSkill } = require('../lib/package');
+const { safeEntryPath, findSkillRoot, importSkill } = require('../lib/import');
+
+const SKILL_MD = '---\nname: pdf-tools\ndescription: PDF helpers\n---\n\n# PDF Tools\n';
+
+/**
+ * Marks an entry of an archive made by createZip as a symbolic link
+ * @param {Buffer} archive - The archive
+ * @param {number} index - Index of the entry in the central directory
+ * @returns {Buffer} - The patched archive
+ */
+function markSymlink(archive, index) {
+  let offset = archive.readUInt32LE(archive.length - 22 + 16);
+  for (let i = 0; i < index; i++) {
+    offset += 46 + archive.readUInt16LE(offset + 28);
+  }
+  archive.writeUInt32LE(((0o120000 | 0o777) << 16) >>> 0, offset + 38);
+  return archive;
+}
+
+describe('safeEntryPath', () => {
+  test('normalizes safe paths', () => {
+    expect(safeEntryPath('skill/./scripts/run.sh')).toBe('skill/scripts/run.sh');
+    expect(safeEntryPath('skill/')).toBe('skill');
+    expect(safeEntryPath('skill\\SKILL.md')).toBe('skill/SKILL.md');
+  });
+
+  test('rejects paths that escape', () => {
+    expect(safeEntryPath('../evil')).toBeNull();
+    expect(safeEntryPath('skill/../../evil')).toBeNull();
+    expect(safeEntryPath('/etc/passwd')).toBeNull();
+    expect(safeEntryPath('C:/Windows')).toBeNull();
+    expect(safeEntryPath('..\\evil')).toBeNull();
+  });
+});
+
+describe('findSkillRoot', () => {
+  const file = (entryPath) => ({ path: entryPath, isDirectory: false });
+
+  test('finds SKILL.md at the root or in a single top-level folder', () => {
+    expect(findSkillRoot([file('SKILL.md'), file('scripts/a.sh')])).toBe('');
+    expect(findSkillRoot([{ path: 'pdf', isDirectory: true }, file('pdf/SKILL.md')])).toBe('pdf/');
+  });
+
+  test('returns null when SKILL.md is missing or nested deeper', () => {
+    expect(findSkillRoot([file('README.md')])).toBeNull();
+    expect(findSkillRoot([file('a/b/SKILL.md')])).toBeNull();
+    expect(findSkillRoot([file('a/SKILL.md'), file('b/SKILL.md')])).toBeNull();
+  });
+});
+
+describe('importSkill', () => {
+  const testDir = path.join(__dirname, 'temp-test-import');
+  const targetDir = path.join(testDir, 'skills');
+  const archivePath = path.join(testDir, 'skill.zip');
+
+  const writeArchive = (entries) => {
+    fs.writeFileSync(archivePath, Buffer.isBuffer(entries)
+      ? entries
+      : createZip(entries.map(([entryPath, content, mode = 0o644]) => ({ path: entryPath, content: Buffer.from(content), mode }))));
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('imports an archive made by packageSkill', async () => {
+    const skillPath = path.join(testDir, 'source', 'pdf-tools');
+    fs.mkdirSync(path.join(skillPath, 'scripts'), { recursive: true });
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), SKILL_MD);
+    fs.writeFileSync(path.join(skillPath, 'scripts', 'run.sh'), '#!/bin/sh\n', { mode: 0o755 });
+    packageSkill(skillPath, { output: archivePath });
+
+    const result = await importSkill(archivePath, { dir: targetDir });
+    expect(result).toEqual({ name: 'pdf-tools', path: path.join(targetDir, 'pdf-tools'), files: ['SKILL.md', 'scripts/run.sh'] });
+    expect(fs.readFileSync(path.join(targetDir, 'pdf-tools', 'SKILL.md'), 'utf8')).toBe(SKILL_MD);
+    expect(fs.statSync(path.join(targetDir, 'pdf-tools', 'scripts', 'run.sh')).mode & 0o111).not.toBe(0);
+  });
+
+  test('imports a skill stored at the archive root into a folder named after it', async () => {
+    writeArchive([['SKILL.md', SKILL_MD], ['references/guide.md', '# Guide']]);
+    const result = await importSkill(archivePath, { dir: targetDir });
+    expect(result.path).toBe(path.join(targetDir, 'pdf-tools'));
+    expect(fs.existsSync(path.join(targetDir, 'pdf-tools', 'references', 'guide.md'))).toBe(true);
+  });
+
+  test('rejects path traversal', async () => {
+    writeArchive([['pdf-tools/SKILL.md', SKILL_MD], ['pdf-tools/../../evil.sh', 'boom']]);
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({
+      code: 'INVALID_ARCHIVE',
+      details: ['  pdf-tools/../../evil.sh  escapes the target directory'],
+    });
+    expect(fs.existsSync(path.join(testDir, 'evil.sh'))).toBe(false);
+    expect(fs.existsSync(targetDir)).toBe(false);
+  });
+
+  test('rejects symbolic links pointing outside the skill and keeps those inside', async () => {
+    writeArchive(markSymlink(createZip([
+      { path: 'pdf-tools/SKILL.md', content: Buffer.from(SKILL_MD), mode: 0o644 },
+      { path: 'pdf-tools/secrets', content: Buffer.from('../../.ssh/id_rsa'), mode: 0o777 },
+    ]), 1));
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({
+      code: 'INVALID_ARCHIVE',
+      details: ['  pdf-tools/secrets  is a symbolic link to "../../.ssh/id_rsa" outside the skill'],
+    });
+
+    writeArchive(markSymlink(createZip([
+      { path: 'pdf-tools/SKILL.md', content: Buffer.from(SKILL_MD), mode: 0o644 },
+      { path: 'pdf-tools/README.md', content: Buffer.from('SKILL.md'), mode: 0o777 },
+    ]), 1));
+    await importSkill(archivePath, { dir: targetDir });
+    expect(fs.readlinkSync(path.join(targetDir, 'pdf-tools', 'README.md'))).toBe('SKILL.md');
+  });
+
+  test('rejects chains of links that lead outside the skill', async () => {
+    writeArchive(markSymlink(markSymlink(createZip([
+      { path: 'pdf-tools/SKILL.md', content: Buffer.from(SKILL_MD), mode: 0o644 },
+      { path: 'pdf-tools/a', content: Buffer.from('b/..'), mode: 0o777 },
+      { path: 'pdf-tools/b', content: Buffer.from('.'), mode: 0o777 },
+    ]), 1), 2));
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({
+      code: 'INVALID_ARCHIVE',
+      details: ['  pdf-tools/a  is a symbolic link to "b/.." outside the skill'],
+    });
+
+    writeArchive(markSymlink(markSymlink(createZip([
+      { path: 'pdf-tools/SKILL.md', content: Buffer.from(SKILL_MD), mode: 0o644 },
+      { path: 'pdf-tools/loop', content: Buffer.from('other'), mode: 0o777 },
+      { path: 'pdf-tools/other', content: Buffer.from('loop'), mode: 0o777 },
+    ]), 1), 2));
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({ code: 'INVALID_ARCHIVE' });
+    expect(fs.existsSync(targetDir)).toBe(false);
+  });
+
+  test('requires a SKILL.md at the root or one level down', async () => {
+    writeArchive([['a/b/SKILL.md', SKILL_MD]]);
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({ code: 'INVALID_ARCHIVE' });
+  });
+
+  test('rejects invalid names, existing directories and invalid skills', async () => {
+    writeArchive([['SKILL.md', SKILL_MD.replace('pdf-tools', '../pdf')]]);
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({ code: 'INVALID_NAME' });
+
+    fs.mkdirSync(path.join(targetDir, 'pdf-tools'), { recursive: true });
+    writeArchive([['SKILL.md', SKILL_MD]]);
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({ code: 'DIRECTORY_EXISTS' });
+    fs.rmSync(path.join(targetDir, 'pdf-tools'), { recursive: true });
+
+    writeArchive([['SKILL.md', '---\nname: pdf-tools\n---\n']]);
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({
+      code: 'INVALID_SKILL',
+      details: [expect.stringContaining('Missing required field "description"')],
+    });
+    expect(fs.readdirSync(targetDir)).toEqual([]);
+  });
+
+  test('rejects files that are not zip archives', async () => {
+    fs.writeFileSync(archivePath, 'not a zip');
+    await expect(importSkill(archivePath, { dir: targetDir })).rejects.toMatchObject({ code: 'INVALID_ARCHIVE' });
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { countBody, getSkillInfo } = require('../lib/info');
+const { resolveRules } = require('../lib/lint');
+
+describe('skill info', () => {
+  const testDir = path.join(__dirname, 'temp-test-info');
+  const skillPath = path.join(testDir, 'pdf-tools');
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(path.join(skillPath, 'scripts', 'lib'), { recursive: true });
+    fs.mkdirSync(path.join(skillPath, 'assets'), { recursive: true });
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), [
+      '---',
+      'name: pdf-tools',
+      'description: Work with PDFs',
+      'tags: [pdf]',
+      '---',
+      '',
+      '# PDF Tools',
+      '',
+      'Run `scripts/extract.py` on the file.',
+      '',
+    ].join('\n'));
+    fs.writeFileSync(path.join(skillPath, 'scripts', 'extract.py'), 'print(1)\n');
+    fs.writeFileSync(path.join(skillPath, 'scripts', 'lib', 'util.py'), '');
+    fs.writeFileSync(path.join(skillPath, 'assets', '.gitkeep'), '');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('countBody counts lines, words and estimated tokens', () => {
+    expect(countBody('\n# Title\n\nTwo words\n')).toEqual({ lines: 4, words: 3, tokens: 5 });
+    expect(countBody('')).toEqual({ lines: 0, words: 0, tokens: 0 });
+  });
+
+  test('reports metadata, body size and resource files', () => {
+    const info = getSkillInfo(skillPath);
+
+    expect(info.name).toBe('pdf-tools');
+    expect(info.metadata).toEqual({ name: 'pdf-tools', description: 'Work with PDFs', tags: ['pdf'] });
+    expect(info.body).toEqual({ line: 6, lines: 4, words: 7, tokens: 13 });
+    expect(info.resources).toEqual({
+      scripts: [
+        { path: 'scripts/extract.py', size: 9, linked: true },
+        { path: 'scripts/lib/util.py', size: 0, linked: false },
+      ],
+      references: [],
+      assets: [],
+    });
+  });
+
+  test('splits lint problems into errors and warnings', () => {
+    fs.appendFileSync(path.join(skillPath, 'SKILL.md'), 'See [guide](references/guide.md).\n');
+    const info = getSkillInfo(skillPath);
+
+    expect(info.errors).toEqual([expect.objectContaining({ rule: 'broken-links', line: 10 })]);
+    expect(info.warnings).toEqual([expect.objectContaining({ rule: 'description-length', line: 3 })]);
+    expect(getSkillInfo(skillPath, resolveRules({ 'description-length': 'off' })).warnings).toEqual([]);
+  });
+
+  test('rejects directories without SKILL.md', () => {
+    expect(() => getSkillInfo(testDir)).toThrow(expect.objectContaining({ code: 'INVALID_SKILL' }));
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { LINT_RULES, resolveRules, lintSkill, toSarif } = require('../lib/lint');
+const { getSkillInfo } = require('../lib/info');
+
+describe('resolveRules', () => {
+  test('returns the default severity and options of every rule', () => {
+    const rules = resolveRules();
+    expect(Object.keys(rules)).toEqual(Object.keys(LINT_RULES));
+    expect(rules['body-size']).toEqual({ severity: 'warning', options: { maxLines: 500 } });
+  });
+
+  test('accepts a severity or a map of severity and options', () => {
+    const rules = resolveRules({ 'no-placeholders': 'off', 'body-size': { severity: 'error', maxLines: '300' } });
+    expect(rules['no-placeholders'].severity).toBe('off');
+    expect(rules['body-size']).toEqual({ severity: 'error', options: { maxLines: 300 } });
+  });
+
+  test('keeps the default severity when only options are given', () => {
+    expect(resolveRules({ 'description-length': { min: 10 } })['description-length'])
+      .toEqual({ severity: 'warning', options: { min: 10, max: 1024 } });
+  });
+
+  test('rejects unknown rules, severities and options', () => {
+    expect(() => resolveRules({ nope: 'off' })).toThrow('Unknown lint rule "nope"');
+    expect(() => resolveRules({ spec: 'info' })).toThrow('Invalid severity "info" for lint rule "spec"');
+    expect(() => resolveRules({ 'body-size': { maxWords: 5 } })).toThrow('Unknown option "maxWords" for lint rule "body-size"');
+    expect(() => resolveRules({ 'body-size': { maxLines: 'many' } })).toThrow('must be a number');
+  });
+});
+
+describe('lintSkill', () => {
+  const testDir = path.join(__dirname, 'temp-test-lint');
+  const skillPath = path.join(testDir, 'my-skill');
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  const description = 'Extracts tables from PDF files. Use when the user asks for data from a PDF.';
+
+  const writeSkill = (body, frontmatter = `name: my-skill\ndescription: ${description}`) => {
+    fs.writeFileSync(skillMdPath, `---\n${frontmatter}\n---\n${body}`);
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(skillPath, 'scripts'), { recursive: true });
+    fs.writeFileSync(path.join(skillPath, 'scripts', 'extract.py'), '');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('finds nothing in a finished skill', () => {
+    writeSkill('\n# My Skill\n\nRun [the script](scripts/extract.py) or `scripts/extract.py`.\n');
+    expect(lintSkill(skillPath)).toEqual([]);
+  });
+
+  test('reports scaffold placeholders with their line', () => {
+    writeSkill('\n# My Skill\n\n## When to use this skill\nUse this skill when you need to...\n\n1. First step...\n');
+    expect(lintSkill(skillPath)).toEqual([
+      { rule: 'no-placeholders', severity: 'warning', file: skillMdPath, line: 9, message: 'Placeholder text "Use this skill when you need to..." has not been replaced' },
+      { rule: 'no-placeholders', severity: 'warning', file: skillMdPath, line: 11, message: 'Placeholder text "First step..." has not been replaced' },
+    ]);
+  });
+
+  test('numbers body lines from where the parser says the body starts', () => {
+    writeSkill('Use this skill when you need to...\n', `name: my-skill\n# Comment\ndescription: >\n  ${description}`);
+    expect(lintSkill(skillPath)[0].line).toBe(7);
+    expect(getSkillInfo(skillPath).body.line).toBe(7);
+  });
+
+  test('reports the generated default description', () => {
+    writeSkill('\n# My Skill\n', 'name: my-skill\ndescription: A skill for my-skill functionality.');
+    expect(lintSkill(skillPath).map(problem => [problem.rule, problem.line, problem.message])).toEqual([
+      ['no-placeholders', 3, 'The description is still the generated default'],
+      ['description-length', 3, expect.stringContaining('use at least 40')],
+    ]);
+  });
+
+  test('reports descriptions over the limit', () => {
+    writeSkill('\n# My Skill\n', `name: my-skill\ndescription: ${'a'.repeat(1100)}`);
+    expect(lintSkill(skillPath)[0].message).toBe('The description is 1100 characters long; the limit is 1024');
+  });
+
+  test('reports an oversized body at the first line over the limit', () => {
+    writeSkill(`\n${'line\n'.repeat(20)}`);
+    const rules = resolveRules({ 'body-size': { maxLines: 10 } });
+    expect(lintSkill(skillPath, rules)).toEqual([{
+      rule: 'body-size',
+      severity: 'warning',
+      file: skillMdPath,
+      line: 15,
+      message: expect.stringContaining('The SKILL.md body has 21 lines; keep it under 10'),
+    }]);
+  });
+
+  test('reports broken links to bundled files but not external links or code blocks', () => {
+    writeSkill([
+      '',
+      'See [the guide](references/guide.md#setup) and `assets/logo.png`.',
+      'Read [the docs](https://example.com/references/x.md).',
+      '```bash',
+      'scripts/missing.sh',
+      '[ignored](scripts/ignored.sh)',
+      '```',
+      '',
+    ].join('\n'));
+    expect(lintSkill(skillPath).map(problem => [problem.rule, problem.line, problem.message])).toEqual([
+      ['broken-links', 6, 'Link to "references/guide.md#setup" points to a missing file'],
+      ['broken-links', 6, 'Link to "assets/logo.png" points to a missing file'],
+    ]);
+  });
+
+  test('reports spec violations and honours disabled rules', () => {
+    writeSkill('\nUse this skill when you need to...\n', 'name: Other\ndescription: x');
+    expect(lintSkill(skillPath).filter(problem => problem.rule === 'spec').length).toBeGreaterThan(0);
+
+    const rules = resolveRules({ spec: 'off', 'no-placeholders': 'error', 'description-length': 'off' });
+    expect(lintSkill(skillPath, rules)).toEqual([
+      { rule: 'no-placeholders', severity: 'error', file: skillMdPath, line: 6, message: expect.any(String) },
+    ]);
+  });
+});
+
+describe('toSarif', () => {
+  test('converts problems to a SARIF log', () => {
+    const cwd = path.join(__dirname, 'skills');
+    const log = toSarif([
+      { rule: 'broken-links', severity: 'error', file: path.join(cwd, 'a', 'SKILL.md'), line: 7, message: 'Broken' },
+      { rule: 'spec', severity: 'error', file: path.join(cwd, 'b'), line: 0, message: 'Missing' },
+    ], { cwd, version: '1.2.3' });
+
+    expect(log.version).toBe('2.1.0');
+    expect(log.runs[0].tool.driver).toMatchObject({ name: 'create-skills', version: '1.2.3' });
+    expect(log.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual(Object.keys(LINT_RULES));
+    expect(log.runs[0].results).toEqual([
+      {
+        ruleId: 'broken-links',
+        ruleIndex: Object.keys(LINT_RULES).indexOf('broken-links'),
+        level: 'error',
+        message: { text: 'Broken' },
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'a/SKILL.md' }, region: { startLine: 7 } } }],
+      },
+      {
+        ruleId: 'spec',
+        ruleIndex: 0,
+        level: 'error',
+        message: { text: 'Missing' },
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'b' } } }],
+      },
+    ]);
+  });
+});
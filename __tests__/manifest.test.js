@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { buildManifest, checkManifest } = require('../lib/manifest');
+const { writeIndex } = require('../lib/collection');
+
+describe('manifests', () => {
+  const testDir = path.join(__dirname, 'temp-test-manifest');
+
+  /**
+   * Writes a SKILL.md below the test directory
+   * @param {string} relativeDir - The skill directory, relative to the test directory
+   * @param {string} frontmatter - The frontmatter lines
+   */
+  const writeSkill = (relativeDir, frontmatter) => {
+    const dir = path.join(testDir, relativeDir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'SKILL.md'), `---\n${frontmatter}\n---\n\n# Skill\n`);
+  };
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    writeSkill('skills/pdf-tools', 'name: pdf-tools\ndescription: Work with PDFs\nversion: "1.0.0"\nauthor: Docs Team\nlicense: MIT\ntags: [pdf]');
+    writeSkill('skills/zip-tools', 'name: zip-tools\ndescription: Zip files');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('buildManifest', () => {
+    test('builds the skills.json index by default', () => {
+      const manifest = buildManifest(testDir);
+      writeIndex(testDir);
+
+      expect(manifest.file).toBe('skills.json');
+      expect(manifest.content).toBe(fs.readFileSync(path.join(testDir, 'skills.json'), 'utf8'));
+      expect(JSON.parse(manifest.content).skills[0]).toEqual({
+        name: 'pdf-tools',
+        description: 'Work with PDFs',
+        version: '1.0.0',
+        author: 'Docs Team',
+        license: 'MIT',
+        tags: ['pdf'],
+        path: 'skills/pdf-tools',
+      });
+    });
+
+    test('builds a plugin marketplace with one plugin per skill', () => {
+      const manifest = buildManifest(testDir, { format: 'marketplace', name: 'team-skills', owner: 'Docs Team' });
+
+      expect(manifest.file).toBe(path.join('.claude-plugin', 'marketplace.json'));
+      expect(JSON.parse(manifest.content)).toEqual({
+        name: 'team-skills',
+        owner: { name: 'Docs Team' },
+        plugins: [
+          {
+            name: 'pdf-tools',
+            description: 'Work with PDFs',
+            version: '1.0.0',
+            author: { name: 'Docs Team' },
+            license: 'MIT',
+            keywords: ['pdf'],
+            source: './',
+            strict: false,
+            skills: ['./skills/pdf-tools'],
+          },
+          {
+            name: 'zip-tools',
+            description: 'Zip files',
+            source: './',
+            strict: false,
+            skills: ['./skills/zip-tools'],
+          },
+        ],
+      });
+    });
+
+    test('names the marketplace after the directory by default', () => {
+      const manifest = JSON.parse(buildManifest(testDir, { format: 'marketplace' }).content);
+      expect(manifest.name).toBe('temp-test-manifest');
+      expect(manifest.owner).toEqual({ name: 'temp-test-manifest' });
+    });
+
+    test('reads a single skill', () => {
+      const manifest = JSON.parse(buildManifest(path.join(testDir, 'skills', 'zip-tools'), { format: 'marketplace' }).content);
+      expect(manifest.plugins.map(plugin => plugin.skills)).toEqual([['./']]);
+    });
+
+    test('rejects unknown formats', () => {
+      expect(() => buildManifest(testDir, { format: 'xml' })).toThrow('Unknown manifest format "xml"');
+    });
+  });
+
+  describe('checkManifest', () => {
+    test('accepts a manifest that only differs in formatting', () => {
+      const { content } = buildManifest(testDir);
+      fs.writeFileSync(path.join(testDir, 'skills.json'), JSON.stringify(JSON.parse(content)));
+      expect(checkManifest(path.join(testDir, 'skills.json'), content)).toEqual({ stale: false, reason: null });
+    });
+
+    test('reports missing, invalid and outdated manifests', () => {
+      const manifestPath = path.join(testDir, 'skills.json');
+      const { content } = buildManifest(testDir);
+
+      expect(checkManifest(manifestPath, content)).toEqual({ stale: true, reason: 'does not exist' });
+      fs.writeFileSync(manifestPath, '{');
+      expect(checkManifest(manifestPath, content).reason).toBe('is not valid JSON');
+      fs.writeFileSync(manifestPath, content);
+      writeSkill('skills/csv-tools', 'name: csv-tools\ndescription: Clean CSV files');
+      expect(checkManifest(manifestPath, buildManifest(testDir).content).reason).toBe('is out of date');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseIgnorePatterns, isIgnored, listPackageFiles, packageSkill } = require('../lib/package');
+const { readZip } = require('../lib/zip');
+
+describe('ignore patterns', () => {
+  const rules = parseIgnorePatterns('# comment\n\n*.log\nbuild/\n/top.txt\ndocs/*.draft.md\n!keep.log\n');
+
+  test('matches names at any depth', () => {
+    expect(isIgnored('debug.log', false, rules)).toBe(true);
+    expect(isIgnored('scripts/out.log', false, rules)).toBe(true);
+    expect(isIgnored('debug.txt', false, rules)).toBe(false);
+  });
+
+  test('matches directory-only patterns against directories only', () => {
+    expect(isIgnored('build', true, rules)).toBe(true);
+    expect(isIgnored('scripts/build', true, rules)).toBe(true);
+    expect(isIgnored('build', false, rules)).toBe(false);
+  });
+
+  test('anchors patterns that contain a slash', () => {
+    expect(isIgnored('top.txt', false, rules)).toBe(true);
+    expect(isIgnored('nested/top.txt', false, rules)).toBe(false);
+    expect(isIgnored('docs/a.draft.md', false, rules)).toBe(true);
+  });
+
+  test('re-includes negated paths', () => {
+    expect(isIgnored('keep.log', false, rules)).toBe(false);
+  });
+});
+
+describe('packaging', () => {
+  const testDir = path.join(__dirname, 'temp-test-package');
+  const skillPath = path.join(testDir, 'pdf-tools');
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(skillPath, 'scripts'), { recursive: true });
+    fs.mkdirSync(path.join(skillPath, 'assets'), { recursive: true });
+    fs.mkdirSync(path.join(skillPath, 'drafts'), { recursive: true });
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), '---\nname: pdf-tools\ndescription: PDF helpers\nversion: 1.2.0\n---\n\n# PDF Tools\n');
+    fs.writeFileSync(path.join(skillPath, 'scripts', 'extract.py'), 'print()\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(skillPath, 'assets', '.gitkeep'), '');
+    fs.writeFileSync(path.join(skillPath, 'drafts', 'idea.md'), 'draft');
+    fs.writeFileSync(path.join(skillPath, 'notes.tmp'), 'tmp');
+    fs.writeFileSync(path.join(skillPath, '.skillignore'), 'drafts/\n*.tmp\n');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('listPackageFiles skips .gitkeep, .skillignore and ignored files', () => {
+    expect(listPackageFiles(skillPath).map(file => file.path)).toEqual(['SKILL.md', 'scripts/extract.py']);
+  });
+
+  test('packageSkill writes a named, reproducible archive with a manifest', () => {
+    const first = packageSkill(skillPath, { output: testDir });
+    expect(first.archivePath).toBe(path.join(testDir, 'pdf-tools-1.2.0.zip'));
+    expect(first.files.map(file => file.path)).toEqual(['pdf-tools/SKILL.md', 'pdf-tools/scripts/extract.py']);
+    expect(first.files[1]).toEqual({
+      path: 'pdf-tools/scripts/extract.py',
+      size: 8,
+      sha256: crypto.createHash('sha256').update('print()\n').digest('hex'),
+    });
+    expect(fs.statSync(first.archivePath).size).toBe(first.size);
+
+    // Touching files must not change the archive
+    fs.utimesSync(path.join(skillPath, 'SKILL.md'), new Date(2001, 1, 1), new Date(2001, 1, 1));
+    const second = packageSkill(skillPath, { output: path.join(testDir, 'again.zip') });
+    expect(second.archivePath).toBe(path.join(testDir, 'again.zip'));
+    expect(second.sha256).toBe(first.sha256);
+  });
+
+  test('packageSkill names archives without a version after the skill only', () => {
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), '---\nname: pdf-tools\ndescription: PDF helpers\n---\n');
+    expect(path.basename(packageSkill(skillPath, { output: testDir }).archivePath)).toBe('pdf-tools.zip');
+  });
+
+  test('packageSkill stores links inside the skill as links without following them', () => {
+    fs.symlinkSync('SKILL.md', path.join(skillPath, 'README.md'));
+    fs.symlinkSync('..', path.join(skillPath, 'scripts', 'up'));
+    const result = packageSkill(skillPath, { output: testDir });
+    const entries = readZip(fs.readFileSync(result.archivePath));
+
+    expect(entries.filter(entry => entry.isSymlink).map(entry => `${entry.path} -> ${entry.content}`))
+      .toEqual(['pdf-tools/README.md -> SKILL.md', 'pdf-tools/scripts/up -> ..']);
+  });
+
+  test('listPackageFiles rejects links that leave the skill or loop', () => {
+    fs.writeFileSync(path.join(testDir, 'hostname'), 'secret');
+    fs.symlinkSync('..', path.join(skillPath, 'loop'));
+    fs.symlinkSync(path.join(testDir, 'hostname'), path.join(skillPath, 'host'));
+    fs.symlinkSync('self', path.join(skillPath, 'self'));
+
+    expect(() => listPackageFiles(skillPath)).toThrow(expect.objectContaining({
+      code: 'INVALID_SKILL',
+      details: [
+        `  host  is a symbolic link to "${path.join(testDir, 'hostname')}" outside the skill, or one that cannot be resolved`,
+        '  loop  is a symbolic link to ".." outside the skill, or one that cannot be resolved',
+        '  self  is a symbolic link to "self" outside the skill, or one that cannot be resolved',
+        'Replace them with copies of the files, or leave them out in .skillignore.',
+      ],
+    }));
+  });
+
+  test('packageSkill refuses invalid skills', () => {
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), '---\nname: other\n---\n');
+    expect(() => packageSkill(skillPath, { output: testDir })).toThrow(expect.objectContaining({
+      code: 'INVALID_SKILL',
+      details: expect.arrayContaining([expect.stringContaining('Missing required field "description"')]),
+    }));
+    expect(fs.readdirSync(testDir)).toEqual(['pdf-tools']);
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  planSkill,
+  buildPlan,
+  applyPlan,
+  removeStagingDirs,
+  diffPlan,
+  writePlanFiles,
+  formatDiff,
+  formatPlanTree,
+  contentAsText,
+} = require('../lib/plan');
+const { resolveTemplate } = require('../lib/templates');
+const { parseFrontmatter } = require('../lib/utils');
+
+describe('planSkill', () => {
+  test('plans the default template in memory', () => {
+    const plan = planSkill({ template: resolveTemplate(), metadata: { name: 'my-skill', description: 'Test' } });
+
+    expect(plan.directories).toEqual(['assets', 'references', 'scripts']);
+    expect(plan.files.map(file => file.path)).toEqual([
+      'CHANGELOG.md',
+      'README.md',
+      'SKILL.md',
+      path.join('assets', '.gitkeep'),
+      path.join('references', '.gitkeep'),
+      path.join('scripts', '.gitkeep'),
+    ]);
+
+    const skillMd = plan.files.find(file => file.path === 'SKILL.md');
+    expect(parseFrontmatter(skillMd.content).metadata).toEqual({ name: 'my-skill', description: 'Test' });
+  });
+
+  test('passes extra variables to the template', () => {
+    const template = { path: resolveTemplate().path, manifest: { copy: [], render: null, directories: [] } };
+    const plan = planSkill({ template, metadata: { name: 'a', description: 'b' }, variables: { name: 'ignored' } });
+    const readme = plan.files.find(file => file.path === 'README.md');
+    expect(readme.content).toContain('# a Skill');
+  });
+});
+
+describe('buildPlan', () => {
+  test('derives nested directories and sorts files', () => {
+    const plan = buildPlan([
+      { path: path.join('b', 'c', 'file.txt'), content: '', mode: 0o644 },
+      { path: 'a.md', content: '', mode: 0o644 },
+    ]);
+    expect(plan.directories).toEqual(['b', path.join('b', 'c')]);
+    expect(plan.files.map(file => file.path)).toEqual(['a.md', path.join('b', 'c', 'file.txt')]);
+  });
+});
+
+describe('formatPlanTree', () => {
+  test('draws the plan as a tree', () => {
+    const plan = buildPlan([
+      { path: 'SKILL.md' },
+      { path: path.join('references', 'a.md') },
+      { path: path.join('references', 'b.md') },
+      { path: path.join('scripts', '.gitkeep') },
+    ]);
+    expect(formatPlanTree('my-skill', plan)).toBe([
+      'my-skill/',
+      '├── SKILL.md',
+      '├── references/',
+      '│   ├── a.md',
+      '│   └── b.md',
+      '└── scripts/',
+      '    └── .gitkeep',
+    ].join('\n'));
+  });
+});
+
+describe('formatDiff', () => {
+  test('marks removed, added and unchanged lines', () => {
+    expect(formatDiff('a\nb\nc\n', 'a\nx\nc\nd\n')).toBe('  a\n- b\n+ x\n  c\n+ d');
+  });
+
+  test('shows identical texts without markers', () => {
+    expect(formatDiff('same\n', 'same\n')).toBe('  same');
+  });
+});
+
+describe('contentAsText', () => {
+  test('returns strings and text buffers as text', () => {
+    expect(contentAsText('abc')).toBe('abc');
+    expect(contentAsText(Buffer.from('abc'))).toBe('abc');
+  });
+
+  test('returns null for binary buffers', () => {
+    expect(contentAsText(Buffer.from([0x89, 0x50, 0x00, 0x01]))).toBeNull();
+  });
+});
+
+describe('applyPlan', () => {
+  const testDir = path.join(__dirname, 'temp-test-plan');
+  const targetPath = path.join(testDir, 'my-skill');
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('writes the planned files and directories', async () => {
+    await applyPlan(targetPath, buildPlan([
+      { path: 'SKILL.md', content: 'skill', mode: 0o644 },
+      { path: path.join('scripts', 'run.sh'), content: '#!/bin/sh', mode: 0o755 },
+    ]));
+    expect(fs.readFileSync(path.join(targetPath, 'SKILL.md'), 'utf8')).toBe('skill');
+    expect(fs.statSync(path.join(targetPath, 'scripts', 'run.sh')).mode & 0o111).not.toBe(0);
+    expect(fs.readdirSync(testDir)).toEqual(['my-skill']);
+  });
+
+  test('leaves nothing behind when a write fails', async () => {
+    // A directory and a file with the same path cannot both be written
+    const plan = buildPlan([
+      { path: 'SKILL.md', content: 'skill', mode: 0o644 },
+      { path: path.join('SKILL.md', '.gitkeep'), content: '', mode: 0o644 },
+    ]);
+    await expect(applyPlan(targetPath, plan)).rejects.toThrow();
+    expect(fs.readdirSync(testDir)).toEqual([]);
+  });
+
+  test('does not replace a directory created meanwhile', async () => {
+    const applying = applyPlan(targetPath, buildPlan([{ path: 'SKILL.md', content: 'skill', mode: 0o644 }]));
+    fs.mkdirSync(targetPath);
+    await expect(applying).rejects.toThrow('was created while the skill was being written');
+    expect(fs.readdirSync(testDir)).toEqual(['my-skill']);
+    expect(fs.readdirSync(targetPath)).toEqual([]);
+  });
+
+  test('removeStagingDirs discards an interrupted write', async () => {
+    const applying = applyPlan(targetPath, buildPlan([{ path: 'SKILL.md', content: 'skill', mode: 0o644 }]));
+    removeStagingDirs();
+    await expect(applying).rejects.toThrow();
+    expect(fs.readdirSync(testDir)).toEqual([]);
+  });
+});
+
+describe('diffPlan and writePlanFiles', () => {
+  const testDir = path.join(__dirname, 'temp-test-plan-merge');
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(testDir, 'scripts'), { recursive: true });
+    fs.writeFileSync(path.join(testDir, 'SKILL.md'), 'mine');
+    fs.writeFileSync(path.join(testDir, 'README.md'), 'readme');
+    fs.writeFileSync(path.join(testDir, 'scripts', 'tool.py'), 'print()');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  const plan = buildPlan([
+    { path: 'SKILL.md', content: 'template', mode: 0o644 },
+    { path: 'README.md', content: 'readme', mode: 0o644 },
+    { path: path.join('references', '.gitkeep'), content: '', mode: 0o644 },
+    { path: path.join('scripts', '.gitkeep'), content: '', mode: 0o644 },
+  ]);
+
+  test('classifies planned files against the directory', () => {
+    expect(diffPlan(testDir, plan).map(({ file, status }) => [file.path, status])).toEqual([
+      ['README.md', 'identical'],
+      ['SKILL.md', 'conflict'],
+      [path.join('references', '.gitkeep'), 'create'],
+    ]);
+  });
+
+  test('writes only the given files and keeps the rest', async () => {
+    await writePlanFiles(testDir, plan.files.filter(file => file.path !== 'README.md'));
+    expect(fs.readFileSync(path.join(testDir, 'SKILL.md'), 'utf8')).toBe('template');
+    expect(fs.existsSync(path.join(testDir, 'references', '.gitkeep'))).toBe(true);
+    expect(fs.readFileSync(path.join(testDir, 'scripts', 'tool.py'), 'utf8')).toBe('print()');
+    expect(fs.readdirSync(testDir).sort()).toEqual(['README.md', 'SKILL.md', 'references', 'scripts']);
+  });
+});
+
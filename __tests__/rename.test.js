@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { renameHeading, planRename, renameSkill } = require('../lib/rename');
+const { writeIndex } = require('../lib/collection');
+
+describe('skill renaming', () => {
+  const testDir = path.join(__dirname, 'temp-test-rename');
+  const skillsDir = path.join(testDir, 'skills');
+  const skillPath = path.join(skillsDir, 'pdf-tool');
+
+  const writeSkill = (dir, name, description) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'SKILL.md'), `---\nname: ${name}\n# Shown in the catalog\ndescription: ${description}\n---\n\n# ${name.charAt(0).toUpperCase() + name.slice(1)} Skill\n\nUse ${name} for PDFs.\n`);
+    fs.writeFileSync(path.join(dir, 'README.md'), `# ${name} Skill\n\nSee SKILL.md.\n`);
+  };
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    writeSkill(skillPath, 'pdf-tool', 'Handles PDFs');
+    writeSkill(path.join(skillsDir, 'csv-tool'), 'csv-tool', 'Handles CSVs');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('renameHeading', () => {
+    test('replaces the name and its title form in the first heading only', () => {
+      expect(renameHeading('# Pdf-tool Skill\n\n# pdf-tool notes\n', 'pdf-tool', 'pdf-kit'))
+        .toBe('# Pdf-kit Skill\n\n# pdf-tool notes\n');
+    });
+
+    test('skips headings inside fenced code blocks', () => {
+      expect(renameHeading('```\n# pdf-tool\n```\n# pdf-tool Skill\n', 'pdf-tool', 'pdf-kit'))
+        .toBe('```\n# pdf-tool\n```\n# pdf-kit Skill\n');
+    });
+
+    test('replaces whole names only', () => {
+      expect(renameHeading('# Pdf-tool and Pdf\n', 'pdf', 'doc')).toBe('# Pdf-tool and Doc\n');
+    });
+
+    test('leaves text without a heading alone', () => {
+      expect(renameHeading('pdf-tool\n', 'pdf-tool', 'pdf-kit')).toBe('pdf-tool\n');
+    });
+  });
+
+  describe('planRename', () => {
+    test('plans the frontmatter and heading changes without touching the disk', () => {
+      const plan = planRename(skillPath, 'pdf-kit');
+
+      expect(plan.oldName).toBe('pdf-tool');
+      expect(plan.to).toBe(path.join(skillsDir, 'pdf-kit'));
+      expect(plan.files.map(file => path.basename(file.path))).toEqual(['SKILL.md', 'README.md']);
+      expect(plan.files[0].after).toBe('---\nname: pdf-kit\n# Shown in the catalog\ndescription: Handles PDFs\n---\n\n# Pdf-kit Skill\n\nUse pdf-tool for PDFs.\n');
+      expect(fs.existsSync(skillPath)).toBe(true);
+    });
+
+    test('includes the index files of the collection', () => {
+      writeIndex(testDir);
+      const plan = planRename(skillPath, 'pdf-kit');
+      const manifest = plan.files.find(file => file.path === path.join(testDir, 'skills.json'));
+
+      expect(JSON.parse(manifest.after).skills.map(skill => `${skill.name}:${skill.path}`))
+        .toEqual(['csv-tool:skills/csv-tool', 'pdf-kit:skills/pdf-kit']);
+      expect(plan.files.some(file => file.path === path.join(testDir, 'SKILLS.md'))).toBe(true);
+    });
+
+    test('keeps Windows line endings', () => {
+      fs.writeFileSync(path.join(skillPath, 'SKILL.md'), '---\r\nname: pdf-tool\r\ndescription: Handles PDFs\r\n---\r\n# Pdf-tool Skill\r\n');
+
+      expect(planRename(skillPath, 'pdf-kit').files[0].after)
+        .toBe('---\r\nname: pdf-kit\r\ndescription: Handles PDFs\r\n---\r\n# Pdf-kit Skill\r\n');
+    });
+
+    test('rejects invalid and taken names', () => {
+      expect(() => planRename(skillPath, '-pdf')).toThrow('Invalid skill name "-pdf"');
+      expect(() => planRename(skillPath, 'pdf-tool')).toThrow('already named "pdf-tool"');
+      expect(() => planRename(skillPath, 'csv-tool')).toThrow(expect.objectContaining({ code: 'DIRECTORY_EXISTS' }));
+    });
+
+    test('rejects directories that are not skills', () => {
+      expect(() => planRename(testDir, 'pdf-kit')).toThrow(expect.objectContaining({ code: 'INVALID_SKILL' }));
+    });
+  });
+
+  describe('renameSkill', () => {
+    test('moves the directory and updates the skill and its collection', async () => {
+      writeIndex(testDir);
+      await renameSkill(skillPath, 'pdf-kit');
+      const newPath = path.join(skillsDir, 'pdf-kit');
+
+      expect(fs.existsSync(skillPath)).toBe(false);
+      expect(fs.readFileSync(path.join(newPath, 'SKILL.md'), 'utf8')).toContain('name: pdf-kit\n');
+      expect(fs.readFileSync(path.join(newPath, 'README.md'), 'utf8')).toBe('# pdf-kit Skill\n\nSee SKILL.md.\n');
+      expect(fs.readFileSync(path.join(testDir, 'SKILLS.md'), 'utf8')).toContain('[pdf-kit](skills/pdf-kit)');
+
+      const before = fs.readFileSync(path.join(testDir, 'skills.json'), 'utf8');
+      writeIndex(testDir);
+      expect(fs.readFileSync(path.join(testDir, 'skills.json'), 'utf8')).toBe(before);
+    });
+
+    test('rewrites skills with Windows line endings without touching their bodies', async () => {
+      const skillMd = '---\r\nname: pdf-tool\r\ndescription: Handles PDFs\r\n---\r\n\r\n# Pdf-tool Skill\r\n\r\nUse pdf-tool for PDFs.\r\n';
+      fs.writeFileSync(path.join(skillPath, 'SKILL.md'), skillMd);
+      fs.writeFileSync(path.join(skillPath, 'README.md'), '# pdf-tool Skill\r\n\r\nSee SKILL.md.\r\n');
+      await renameSkill(skillPath, 'pdf-kit');
+      const newPath = path.join(skillsDir, 'pdf-kit');
+
+      expect(fs.readFileSync(path.join(newPath, 'SKILL.md'), 'utf8'))
+        .toBe(skillMd.replace('name: pdf-tool', 'name: pdf-kit').replace('# Pdf-tool', '# Pdf-kit'));
+      expect(fs.readFileSync(path.join(newPath, 'README.md'), 'utf8')).toBe('# pdf-kit Skill\r\n\r\nSee SKILL.md.\r\n');
+    });
+
+    test('fixes a name that does not match its directory', async () => {
+      const skillMdPath = path.join(skillPath, 'SKILL.md');
+      fs.writeFileSync(skillMdPath, fs.readFileSync(skillMdPath, 'utf8').replace('name: pdf-tool', 'name: pdf'));
+      const plan = await renameSkill(skillPath, 'pdf-tool');
+
+      expect(plan.to).toBe(skillPath);
+      expect(fs.readFileSync(skillMdPath, 'utf8')).toContain('name: pdf-tool\n');
+      expect(fs.readFileSync(skillMdPath, 'utf8')).toContain('# Pdf-tool Skill\n');
+    });
+  });
+});
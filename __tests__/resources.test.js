@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { insertResourceLink, addScript, addReference, addAsset } = require('../lib/resources');
+const { planSkill, applyPlan } = require('../lib/plan');
+const { resolveTemplate } = require('../lib/templates');
+
+describe('skill resources', () => {
+  const testDir = path.join(__dirname, 'temp-test-resources');
+  const skillPath = path.join(testDir, 'pdf-tools');
+
+  beforeEach(async () => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(testDir, { recursive: true });
+    const plan = planSkill({
+      template: resolveTemplate('basic'),
+      metadata: { name: 'pdf-tools', description: 'Work with PDF files' },
+    });
+    await applyPlan(skillPath, plan);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('insertResourceLink', () => {
+    const frontmatter = '---\nname: pdf-tools\ndescription: Work with PDFs\n---\n';
+
+    test('adds a section at the end of the body', () => {
+      const content = `${frontmatter}\n# PDF Tools\n\n## Notes\nNone.\n\n`;
+      expect(insertResourceLink(content, 'Scripts', '- [a.sh](scripts/a.sh)', 'scripts/a.sh'))
+        .toBe(`${frontmatter}\n# PDF Tools\n\n## Notes\nNone.\n\n## Scripts\n- [a.sh](scripts/a.sh)\n`);
+    });
+
+    test('appends to an existing list in the section', () => {
+      const content = `${frontmatter}\n## Scripts\n- [a.sh](scripts/a.sh)\n\n## Notes\nNone.\n`;
+      expect(insertResourceLink(content, 'Scripts', '- [b.sh](scripts/b.sh)', 'scripts/b.sh'))
+        .toBe(`${frontmatter}\n## Scripts\n- [a.sh](scripts/a.sh)\n- [b.sh](scripts/b.sh)\n\n## Notes\nNone.\n`);
+    });
+
+    test('starts a list after a paragraph and ignores headings in code blocks', () => {
+      const content = `${frontmatter}\n\`\`\`md\n## References\n\`\`\`\n\n## References\nSee the docs.\n`;
+      expect(insertResourceLink(content, 'References', '- [Guide](references/guide.md)', 'references/guide.md'))
+        .toBe(`${frontmatter}\n\`\`\`md\n## References\n\`\`\`\n\n## References\nSee the docs.\n\n- [Guide](references/guide.md)\n`);
+    });
+
+    test('keeps Windows line endings', () => {
+      const content = '---\r\nname: pdf-tools\r\ndescription: Work with PDFs\r\n---\r\n# PDF Tools\r\n\r\n## Scripts\r\n- [a.sh](scripts/a.sh)\r\n';
+      expect(insertResourceLink(content, 'Scripts', '- [b.sh](scripts/b.sh)', 'scripts/b.sh'))
+        .toBe('---\r\nname: pdf-tools\r\ndescription: Work with PDFs\r\n---\r\n# PDF Tools\r\n\r\n## Scripts\r\n- [a.sh](scripts/a.sh)\r\n- [b.sh](scripts/b.sh)\r\n');
+      expect(insertResourceLink(content, 'Assets', '- [logo.png](assets/logo.png)', 'assets/logo.png'))
+        .toBe(`${content}\r\n## Assets\r\n- [logo.png](assets/logo.png)\r\n`);
+    });
+
+    test('does not list a link twice', () => {
+      const content = `${frontmatter}\nRun [a.sh](scripts/a.sh).\n`;
+      expect(insertResourceLink(content, 'Scripts', '- [a.sh](scripts/a.sh)', 'scripts/a.sh')).toBe(content);
+    });
+  });
+
+  describe('addScript', () => {
+    test('writes an executable stub, links it and removes .gitkeep', async () => {
+      const result = await addScript(skillPath, 'convert', { lang: 'python' });
+
+      expect(result).toEqual({ kind: 'script', path: 'scripts/convert.py', skillMdUpdated: true, removedGitkeep: true });
+      const script = path.join(skillPath, 'scripts', 'convert.py');
+      expect(fs.readFileSync(script, 'utf8')).toMatch(/^#!\/usr\/bin\/env python3\n/);
+      expect(fs.readFileSync(script, 'utf8')).toContain('argparse.ArgumentParser');
+      expect(fs.existsSync(path.join(skillPath, 'scripts', '.gitkeep'))).toBe(false);
+      expect(fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf8'))
+        .toContain('## Scripts\n- [convert.py](scripts/convert.py) - Run `scripts/convert.py --help` for usage\n');
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(script).mode & 0o111).not.toBe(0);
+      }
+    });
+
+    test('generates runnable node and bash stubs', async () => {
+      await addScript(skillPath, 'tool', { lang: 'node' });
+      await addScript(skillPath, 'run.sh');
+
+      expect(execFileSync('node', [path.join(skillPath, 'scripts', 'tool.js'), 'input.pdf'], { encoding: 'utf8' }))
+        .toBe('Processing: input.pdf\n');
+      expect(execFileSync('node', [path.join(skillPath, 'scripts', 'tool.js'), '--help'], { encoding: 'utf8' }))
+        .toContain('Usage: tool.js [--verbose] <input>');
+      expect(fs.readFileSync(path.join(skillPath, 'scripts', 'run.sh'), 'utf8')).toMatch(/^#!\/usr\/bin\/env bash\n/);
+    });
+
+    test('refuses to overwrite a script unless forced', async () => {
+      await addScript(skillPath, 'run');
+      fs.writeFileSync(path.join(skillPath, 'scripts', 'run.sh'), 'custom');
+
+      await expect(addScript(skillPath, 'run')).rejects.toMatchObject({ code: 'FILE_EXISTS' });
+      const result = await addScript(skillPath, 'run', { force: true });
+      expect(result.skillMdUpdated).toBe(false);
+      expect(fs.readFileSync(path.join(skillPath, 'scripts', 'run.sh'), 'utf8')).toContain('#!/usr/bin/env bash');
+    });
+
+    test('rejects unknown languages and unsafe names', async () => {
+      await expect(addScript(skillPath, 'run', { lang: 'ruby' })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+      await expect(addScript(skillPath, '../run')).rejects.toMatchObject({ code: 'INVALID_NAME' });
+    });
+
+    test('requires a skill directory', async () => {
+      await expect(addScript(testDir, 'run')).rejects.toMatchObject({ code: 'INVALID_SKILL' });
+    });
+  });
+
+  describe('addReference', () => {
+    test('creates a titled document and links it', async () => {
+      const result = await addReference(skillPath, 'api-guide');
+
+      expect(result.path).toBe('references/api-guide.md');
+      expect(fs.readFileSync(path.join(skillPath, 'references', 'api-guide.md'), 'utf8')).toMatch(/^# Api Guide\n/);
+      expect(fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf8'))
+        .toContain('## References\n- [Api Guide](references/api-guide.md)\n');
+    });
+  });
+
+  describe('addAsset', () => {
+    test('copies a file into assets/ and links it', async () => {
+      const source = path.join(testDir, 'logo.png');
+      fs.writeFileSync(source, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+      const result = await addAsset(skillPath, source);
+
+      expect(result.path).toBe('assets/logo.png');
+      expect(fs.readFileSync(path.join(skillPath, 'assets', 'logo.png'))).toEqual(fs.readFileSync(source));
+      expect(fs.existsSync(path.join(skillPath, 'assets', '.gitkeep'))).toBe(false);
+      expect(fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf8')).toContain('## Assets\n- [logo.png](assets/logo.png)\n');
+    });
+
+    test('rejects a missing file', async () => {
+      await expect(addAsset(skillPath, path.join(testDir, 'missing.png'))).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+  });
+});
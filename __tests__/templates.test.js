@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const {
+  DEFAULT_TEMPLATE,
+  globToRegExp,
+  readManifest,
+  listTemplates,
+  resolveTemplate,
+  renderString,
+  renderTemplate,
+} = require('../lib/templates');
+const { getTemplateVariables, parseFrontmatter } = require('../lib/utils');
+
+describe('listTemplates', () => {
+  test('lists the built-in templates with the default first', () => {
+    const names = listTemplates().map(template => template.name);
+    expect(names[0]).toBe(DEFAULT_TEMPLATE);
+    expect(names).toEqual(expect.arrayContaining(['basic', 'instructions', 'tool', 'knowledge']));
+  });
+
+  test('includes a description for every template', () => {
+    listTemplates().forEach(template => {
+      expect(template.description).not.toBe('');
+    });
+  });
+});
+
+describe('resolveTemplate', () => {
+  test('resolves the default template', () => {
+    const template = resolveTemplate();
+    expect(template.name).toBe('basic');
+    expect(fs.existsSync(path.join(template.path, 'SKILL.md'))).toBe(true);
+  });
+
+  test('throws for unknown templates', () => {
+    expect(() => resolveTemplate('nope')).toThrow('Unknown template "nope". Available templates: basic');
+  });
+});
+
+describe('custom templates', () => {
+  const testDir = path.join(__dirname, 'temp-test-custom-templates');
+  const templateDir = path.join(testDir, 'company-template');
+
+  const writeFile = (relativePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(templateDir, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(templateDir, relativePath), content);
+  };
+
+  const git = (args, cwd) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    stdio: 'ignore',
+  });
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    writeFile('SKILL.md', '{{frontmatter}}\n\n# {{title}} for {{team}}\n');
+    writeFile('template.json', JSON.stringify({
+      description: 'Company skill',
+      prompts: [{ name: 'team', message: 'Team?', initial: 'platform' }],
+      copy: ['assets/**'],
+      directories: ['scripts', 'references'],
+    }));
+    writeFile(path.join('assets', 'raw.txt'), 'Keep {{name}} as is');
+    writeFile(path.join('references', 'guide.md'), 'Guide for {{name}}');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('resolves a local template directory relative to cwd', () => {
+    const template = resolveTemplate('./company-template', testDir);
+    expect(template.path).toBe(templateDir);
+    expect(template.manifest.description).toBe('Company skill');
+    expect(template.manifest.prompts).toHaveLength(1);
+  });
+
+  test('reports missing template directories', () => {
+    expect(() => resolveTemplate('./missing', testDir)).toThrow('Template directory "./missing" not found');
+  });
+
+  test('requires a SKILL.md in the template', () => {
+    fs.rmSync(path.join(templateDir, 'SKILL.md'));
+    expect(() => resolveTemplate('./company-template', testDir)).toThrow('has no SKILL.md');
+  });
+
+  test('renders, copies and creates directories according to the manifest', () => {
+    const template = resolveTemplate('./company-template', testDir);
+    const files = renderTemplate(template.path, { name: 'my-skill', title: 'My-skill', team: 'docs', frontmatter: '---' }, template.manifest);
+    const byPath = Object.fromEntries(files.map(file => [file.path, file.content]));
+
+    expect(byPath['SKILL.md']).toBe('---\n\n# My-skill for docs\n');
+    expect(Buffer.isBuffer(byPath[path.join('assets', 'raw.txt')])).toBe(true);
+    expect(byPath[path.join('assets', 'raw.txt')].toString()).toBe('Keep {{name}} as is');
+    expect(byPath[path.join('references', 'guide.md')]).toBe('Guide for my-skill');
+    expect(byPath[path.join('scripts', '.gitkeep')]).toBe('');
+    expect(byPath[path.join('references', '.gitkeep')]).toBeUndefined();
+  });
+
+  test('only renders files matching "render" when it is given', () => {
+    writeFile('template.json', JSON.stringify({ render: ['*.md'] }));
+    const files = renderTemplate(templateDir, { name: 'my-skill' });
+    const guide = files.find(file => file.path === path.join('references', 'guide.md'));
+    expect(Buffer.isBuffer(guide.content)).toBe(true);
+  });
+
+  test('clones a local bare git repository', () => {
+    const workDir = path.join(testDir, 'work');
+    const bareDir = path.join(testDir, 'template.git');
+    fs.renameSync(templateDir, workDir);
+    git(['init', '--quiet'], workDir);
+    git(['add', '-A'], workDir);
+    git(['commit', '--quiet', '-m', 'template'], workDir);
+    git(['clone', '--quiet', '--bare', workDir, bareDir], testDir);
+
+    const fromBare = resolveTemplate(bareDir);
+    expect(fs.existsSync(path.join(fromBare.path, 'SKILL.md'))).toBe(true);
+    expect(renderTemplate(fromBare.path, {}, fromBare.manifest).map(file => file.path)).not.toContain('.git');
+    fromBare.cleanup();
+    expect(fs.existsSync(fromBare.path)).toBe(false);
+
+    const fromUrl = resolveTemplate(`git+${pathToFileURL(bareDir).href}`);
+    expect(fromUrl.manifest.description).toBe('Company skill');
+    fromUrl.cleanup();
+  });
+
+  test('reports git clone failures', () => {
+    expect(() => resolveTemplate(`git+${pathToFileURL(path.join(testDir, 'nope.git')).href}`))
+      .toThrow('Could not clone template');
+  });
+
+  test('never reads the repository as a git option', () => {
+    const marker = path.join(testDir, 'uploaded');
+    expect(() => resolveTemplate(`git+--upload-pack=touch ${marker}`)).toThrow('Could not clone template');
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+});
+
+describe('readManifest', () => {
+  const testDir = path.join(__dirname, 'temp-test-manifest');
+
+  const writeManifest = (content) => {
+    fs.writeFileSync(path.join(testDir, 'template.json'), content);
+  };
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('defaults every field when there is no manifest', () => {
+    expect(readManifest(testDir)).toEqual({ description: '', prompts: [], copy: [], render: null, directories: [] });
+  });
+
+  test('rejects invalid JSON', () => {
+    writeManifest('{ nope');
+    expect(() => readManifest(testDir)).toThrow('Invalid template manifest');
+  });
+
+  test('rejects prompts without a name', () => {
+    writeManifest(JSON.stringify({ prompts: [{ message: 'Team?' }] }));
+    expect(() => readManifest(testDir)).toThrow('every prompt needs a "name" and a "message"');
+  });
+
+  test('rejects prompts that replace built-in variables', () => {
+    writeManifest(JSON.stringify({ prompts: [{ name: 'description', message: 'Description?' }] }));
+    expect(() => readManifest(testDir)).toThrow('would replace a built-in variable');
+  });
+
+  test('rejects non-list fields', () => {
+    writeManifest(JSON.stringify({ copy: 'assets/**' }));
+    expect(() => readManifest(testDir)).toThrow('"copy" must be a list');
+  });
+});
+
+describe('globToRegExp', () => {
+  test('matches single path segments with *', () => {
+    expect(globToRegExp('*.md').test('README.md')).toBe(true);
+    expect(globToRegExp('*.md').test('references/guide.md')).toBe(false);
+  });
+
+  test('matches any depth with **', () => {
+    expect(globToRegExp('assets/**').test('assets/images/logo.png')).toBe(true);
+    expect(globToRegExp('**/*.png').test('logo.png')).toBe(true);
+    expect(globToRegExp('**/*.png').test('assets/images/logo.png')).toBe(true);
+  });
+
+  test('escapes regular expression characters', () => {
+    expect(globToRegExp('file(1).txt').test('file(1).txt')).toBe(true);
+    expect(globToRegExp('a.txt').test('abtxt')).toBe(false);
+  });
+});
+
+describe('renderString', () => {
+  test('replaces known placeholders', () => {
+    expect(renderString('# {{ title }} by {{author}}', { title: 'Demo', author: 'Me' })).toBe('# Demo by Me');
+  });
+
+  test('renders empty values as empty strings', () => {
+    expect(renderString('[{{author}}]', { author: '' })).toBe('[]');
+  });
+
+  test('leaves unknown placeholders untouched', () => {
+    expect(renderString('{{name}} {{ other }}', { name: 'a' })).toBe('a {{ other }}');
+  });
+});
+
+describe('renderTemplate', () => {
+  const variables = getTemplateVariables({ name: 'my-skill', description: 'Use when: testing', author: 'Me' });
+
+  test('renders every built-in template into a valid SKILL.md', () => {
+    listTemplates().forEach(({ name }) => {
+      const files = renderTemplate(resolveTemplate(name).path, variables);
+      const skillMd = files.find(file => file.path === 'SKILL.md');
+      const { metadata, errors } = parseFrontmatter(skillMd.content);
+      expect(errors).toEqual([]);
+      expect(metadata).toEqual({ name: 'my-skill', description: 'Use when: testing', author: 'Me' });
+      files.forEach(file => expect(file.content).not.toMatch(/\{\{\s*(name|title|description|frontmatter)\s*\}\}/));
+    });
+  });
+
+  test('does not include the template manifest', () => {
+    const files = renderTemplate(resolveTemplate('basic').path, variables);
+    expect(files.map(file => file.path)).toEqual([
+      'CHANGELOG.md',
+      'README.md',
+      'SKILL.md',
+      path.join('assets', '.gitkeep'),
+      path.join('references', '.gitkeep'),
+      path.join('scripts', '.gitkeep'),
+    ]);
+  });
+
+  test('keeps script files executable', () => {
+    const files = renderTemplate(resolveTemplate('tool').path, variables);
+    const script = files.find(file => file.path === path.join('scripts', 'run.sh'));
+    expect(script.mode & 0o111).not.toBe(0);
+    expect(script.content).toContain('my-skill');
+  });
+});
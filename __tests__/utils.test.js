@@ -2,7 +2,14 @@ const fs = require('fs');
 const path = require('path');
 const {
   validateSkillName,
+  getSkillNameProblems,
+  slugifySkillName,
+  validateMetadata,
+  parseAllowedTools,
+  validateSkill,
+  parseFrontmatter,
   validatePathAvailable,
+  findSkillsDirectories,
   createDirectoryStructure,
   generateSkillMdContent,
   createSkillMd,
@@ -12,11 +19,10 @@ const {
 describe('validateSkillName', () => {
   test('accepts valid skill names', () => {
     expect(validateSkillName('my-skill')).toBe(true);
-    expect(validateSkillName('my_skill')).toBe(true);
-    expect(validateSkillName('mySkill')).toBe(true);
     expect(validateSkillName('my-skill-123')).toBe(true);
     expect(validateSkillName('skill')).toBe(true);
     expect(validateSkillName('123skill')).toBe(true);
+    expect(validateSkillName('a'.repeat(64))).toBe(true);
   });
 
   test('rejects invalid skill names', () => {
@@ -28,6 +34,17 @@ describe('validateSkillName', () => {
     expect(validateSkillName('-dashed')).toBe(false);
     expect(validateSkillName('my/skill')).toBe(false);
     expect(validateSkillName('my\\skill')).toBe(false);
+    expect(validateSkillName('my_skill')).toBe(false);
+    expect(validateSkillName('mySkill')).toBe(false);
+    expect(validateSkillName('trailing-')).toBe(false);
+    expect(validateSkillName('pdf--tools')).toBe(false);
+    expect(validateSkillName('a'.repeat(65))).toBe(false);
+  });
+
+  test('rejects reserved words', () => {
+    expect(validateSkillName('claude-helper')).toBe(false);
+    expect(validateSkillName('anthropic')).toBe(false);
+    expect(validateSkillName('claudette')).toBe(true);
   });
 
   test('rejects non-string values', () => {
@@ -39,6 +56,204 @@ describe('validateSkillName', () => {
   });
 });
 
+describe('getSkillNameProblems', () => {
+  test('returns no problems for a valid name', () => {
+    expect(getSkillNameProblems('my-skill')).toEqual([]);
+  });
+
+  test('gives every reason a name is invalid', () => {
+    expect(getSkillNameProblems('My_Skill-')).toEqual([
+      'must be lowercase',
+      'must only contain letters, digits and hyphens (found "_")',
+      'must not start or end with a hyphen',
+    ]);
+    expect(getSkillNameProblems('pdf--tools')).toEqual(['must not contain consecutive hyphens']);
+    expect(getSkillNameProblems('a'.repeat(65))).toEqual(['must be at most 64 characters (it has 65)']);
+  });
+
+  test('names reserved words', () => {
+    expect(getSkillNameProblems('claude-helper')).toEqual(['must not contain the reserved word "claude"']);
+  });
+
+  test('rejects empty and non-string values', () => {
+    expect(getSkillNameProblems('   ')).toEqual(['must not be empty']);
+    expect(getSkillNameProblems(null)).toEqual(['must be a string']);
+  });
+});
+
+describe('slugifySkillName', () => {
+  test('turns free text into a valid name', () => {
+    expect(slugifySkillName('PDF Processor')).toBe('pdf-processor');
+    expect(slugifySkillName('  my_skill--v2! ')).toBe('my-skill-v2');
+    expect(slugifySkillName('mySkill')).toBe('my-skill');
+    expect(slugifySkillName('Café Résumé')).toBe('cafe-resume');
+  });
+
+  test('keeps names within the length limit', () => {
+    const slug = slugifySkillName(`${'a'.repeat(63)} b`);
+    expect(slug).toBe('a'.repeat(63));
+    expect(validateSkillName(slug)).toBe(true);
+  });
+
+  test('returns an empty name for text without letters or digits', () => {
+    expect(slugifySkillName('!!!')).toBe('');
+  });
+});
+
+describe('validateMetadata', () => {
+  test('accepts complete metadata', () => {
+    expect(validateMetadata({
+      name: 'my-skill',
+      description: 'Test',
+      author: 'Test Author',
+      version: '1.0.0',
+      tags: ['test'],
+      license: 'MIT'
+    })).toEqual([]);
+  });
+
+  test('requires name and description', () => {
+    const fields = validateMetadata({}).map(problem => problem.field);
+    expect(fields).toEqual(['name', 'description']);
+  });
+
+  test('rejects wrong types', () => {
+    const problems = validateMetadata({ name: 'a', description: 'b', version: 1, tags: 'pdf' });
+    expect(problems).toEqual([
+      { field: 'version', message: 'Field "version" must be a string, got a number' },
+      { field: 'tags', message: 'Field "tags" must be a list, got a string' },
+    ]);
+  });
+
+  test('rejects versions that are not semantic versions', () => {
+    expect(validateMetadata({ name: 'a', description: 'b', version: '2.1.0-beta.1' })).toEqual([]);
+    expect(validateMetadata({ name: 'a', description: 'b', version: 'banana' })).toEqual([
+      { field: 'version', message: 'Invalid version "banana" (use a semantic version such as 1.0.0 or 2.1.0-beta.1)' },
+    ]);
+  });
+
+  test('rejects invalid names using validateSkillName', () => {
+    const problems = validateMetadata({ name: 'my skill', description: 'b' });
+    expect(problems[0].message).toContain('Invalid skill name "my skill"');
+  });
+
+  test('rejects unknown fields', () => {
+    const problems = validateMetadata({ name: 'a', description: 'b', colour: 'red' });
+    expect(problems).toEqual([{ field: 'colour', message: 'Unknown field "colour"' }]);
+  });
+
+  test('accepts the optional spec fields', () => {
+    expect(validateMetadata({
+      name: 'a',
+      description: 'b',
+      compatibility: 'Requires git',
+      'allowed-tools': ['Read', 'Bash(git add:*)', 'mcp__github__create_issue'],
+      metadata: { team: 'docs', 'review.date': '2026-01-01' },
+    })).toEqual([]);
+    expect(validateMetadata({ name: 'a', description: 'b', 'allowed-tools': 'Read Bash(git:*)' })).toEqual([]);
+  });
+
+  test('rejects invalid tools, metadata and overlong compatibility', () => {
+    const problems = validateMetadata({
+      name: 'a',
+      description: 'b',
+      compatibility: 'x'.repeat(501),
+      'allowed-tools': ['Read', 'run it!'],
+      metadata: { 'bad key': 'x', count: 3 },
+    }).map(problem => problem.message);
+
+    expect(problems).toEqual([
+      'Field "compatibility" is 501 characters long; the limit is 500',
+      'Invalid tool "run it!" in "allowed-tools" (use a tool name such as Read, optionally with a pattern such as Bash(git:*))',
+      'Invalid key "bad key" in "metadata" (use letters, digits, "_", "." and "-")',
+      'Field "metadata" must map keys to strings; "count" is a number',
+    ]);
+    expect(['on', 'yes', 'true', 'null', '1.0', '2026-01-01'].map(key => validateMetadata({ name: 'a', description: 'b', metadata: { [key]: 'x' } })[0].message))
+      .toEqual(['on', 'yes', 'true', 'null', '1.0', '2026-01-01'].map(key => `Invalid key "${key}" in "metadata" (YAML reads it as a boolean, null, number or date; use a word)`));
+    expect(validateMetadata({ name: 'a', description: 'b', metadata: ['x'] })[0].message)
+      .toBe('Field "metadata" must be a map, got a list');
+  });
+});
+
+describe('parseAllowedTools', () => {
+  test('splits on commas and spaces outside parentheses', () => {
+    expect(parseAllowedTools('Read, Bash(git add:*) Write')).toEqual(['Read', 'Bash(git add:*)', 'Write']);
+    expect(parseAllowedTools('Bash(a,b)')).toEqual(['Bash(a,b)']);
+    expect(parseAllowedTools('')).toEqual([]);
+  });
+
+  test('returns lists as they are', () => {
+    const tools = ['Read'];
+    expect(parseAllowedTools(tools)).toBe(tools);
+  });
+});
+
+describe('validateSkill', () => {
+  const testDir = path.join(__dirname, 'temp-test-validate');
+  const skillDir = path.join(testDir, 'my-skill');
+
+  const writeSkillMd = (content) => {
+    fs.writeFileSync(path.join(skillDir, 'SKILL.md'), content);
+  };
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(skillDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('accepts a generated skill', () => {
+    createSkillMd(skillDir, { name: 'my-skill', description: 'Test', tags: ['a'], license: 'MIT' });
+    expect(validateSkill(skillDir)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports a missing SKILL.md', () => {
+    const result = validateSkill(skillDir);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].message).toBe('SKILL.md not found');
+  });
+
+  test('reports a missing directory', () => {
+    const result = validateSkill(path.join(testDir, 'nope'));
+    expect(result.errors[0].message).toBe('Skill directory not found');
+  });
+
+  test('reports a name that does not match the directory', () => {
+    writeSkillMd('---\nname: other-skill\ndescription: Test\n---\n');
+    const result = validateSkill(skillDir);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([{
+      file: path.join(skillDir, 'SKILL.md'),
+      line: 2,
+      message: 'Skill name "other-skill" does not match directory name "my-skill"',
+    }]);
+  });
+
+  test('reports problems with their line numbers', () => {
+    writeSkillMd('---\nname: my-skill\ntags: pdf\nowner: me\n---\n');
+    const { errors } = validateSkill(skillDir);
+    expect(errors.map(error => [error.line, error.message])).toEqual([
+      [1, 'Missing required field "description"'],
+      [3, 'Field "tags" must be a list, got a string'],
+      [4, 'Unknown field "owner"'],
+    ]);
+  });
+
+  test('reports missing frontmatter once', () => {
+    writeSkillMd('# My skill\n');
+    const { errors } = validateSkill(skillDir);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('Missing YAML frontmatter');
+  });
+});
+
 describe('validatePathAvailable', () => {
   const testDir = path.join(__dirname, 'temp-test-dir');
 
@@ -66,6 +281,37 @@ describe('validatePathAvailable', () => {
   });
 });
 
+describe('findSkillsDirectories', () => {
+  const testDir = path.join(__dirname, 'temp-test-skills-dirs');
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('returns nothing when the project has no skills folder', () => {
+    expect(findSkillsDirectories(testDir)).toEqual([]);
+  });
+
+  test('finds skills/ and .claude/skills/ in order of preference', () => {
+    fs.mkdirSync(path.join(testDir, '.claude', 'skills'), { recursive: true });
+    expect(findSkillsDirectories(testDir)).toEqual([path.join('.claude', 'skills')]);
+
+    fs.mkdirSync(path.join(testDir, 'skills'));
+    expect(findSkillsDirectories(testDir)).toEqual(['skills', path.join('.claude', 'skills')]);
+  });
+
+  test('ignores files named like skills folders', () => {
+    fs.writeFileSync(path.join(testDir, 'skills'), '');
+    expect(findSkillsDirectories(testDir)).toEqual([]);
+  });
+});
+
 describe('createDirectoryStructure', () => {
   const testDir = path.join(__dirname, 'temp-test-structure');
 
@@ -147,11 +393,51 @@ describe('generateSkillMdContent', () => {
     expect(content).toContain('license: MIT');
   });
 
+  test('writes allowed tools as a list and metadata as a map', () => {
+    const content = generateSkillMdContent({
+      name: 'my-skill',
+      description: 'Test description',
+      compatibility: 'Requires git',
+      'allowed-tools': 'Read, Bash(git:*)',
+      metadata: { team: 'docs', note: 'a: b' },
+    });
+    expect(content).toContain([
+      'compatibility: Requires git',
+      'allowed-tools:',
+      '  - Read',
+      '  - Bash(git:*)',
+      'metadata:',
+      '  team: docs',
+      '  note: \'a: b\'',
+    ].join('\n'));
+    expect(parseFrontmatter(content).metadata.metadata).toEqual({ team: 'docs', note: 'a: b' });
+  });
+
   test('capitalizes first letter of skill name in title', () => {
     const content = generateSkillMdContent({ name: 'my-skill' });
     expect(content).toContain('# My-skill Skill');
   });
 
+  test('quotes values that would break the YAML', () => {
+    const content = generateSkillMdContent({
+      name: 'my-skill',
+      description: 'Use when: the user uploads a PDF',
+      version: '1.0',
+      tags: ['yes', 'pdf']
+    });
+    expect(content).toContain('description: \'Use when: the user uploads a PDF\'');
+    expect(content).toContain('version: \'1.0\'');
+    expect(content).toContain('  - \'yes\'\n  - pdf');
+  });
+
+  test('round-trips multi-line descriptions through the parser', () => {
+    const description = 'Extract text from PDFs.\n\nUse it for: forms, invoices #1.';
+    const content = generateSkillMdContent({ name: 'my-skill', description, tags: ['1.0'] });
+    const { metadata, errors } = parseFrontmatter(content);
+    expect(errors).toEqual([]);
+    expect(metadata).toEqual({ name: 'my-skill', description, tags: ['1.0'] });
+  });
+
   test('includes proper YAML frontmatter', () => {
     const content = generateSkillMdContent({ name: 'test-skill', description: 'Test description' });
     expect(content).toMatch(/^---\nname: test-skill\ndescription: Test description\n---/);
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { isValidVersion, bumpVersion, addChangelogEntry, bumpSkill } = require('../lib/version');
+
+describe('isValidVersion', () => {
+  test('accepts semantic versions', () => {
+    ['0.0.0', '1.2.3', '10.20.30', '1.0.0-beta', '1.0.0-beta.1', '1.0.0-0.3.7', '1.0.0+build.5', '1.0.0-rc.1+sha.abc']
+      .forEach(version => expect(isValidVersion(version)).toBe(true));
+  });
+
+  test('rejects anything else', () => {
+    ['', '1', '1.0', 'v1.0.0', '01.0.0', '1.0.0-', '1.0.0-01', '1.0.0+', 'latest', '1.0.0 ']
+      .forEach(version => expect(isValidVersion(version)).toBe(false));
+    expect(isValidVersion(1)).toBe(false);
+  });
+});
+
+describe('bumpVersion', () => {
+  test.each([
+    ['1.2.3', 'major', undefined, '2.0.0'],
+    ['1.2.3', 'minor', undefined, '1.3.0'],
+    ['1.2.3', 'patch', undefined, '1.2.4'],
+    ['1.2.3', 'prerelease', undefined, '1.2.4-0'],
+    ['1.2.3', 'prerelease', 'beta', '1.2.4-beta.0'],
+    ['1.2.4-beta.0', 'prerelease', undefined, '1.2.4-beta.1'],
+    ['1.2.4-beta.0', 'prerelease', 'beta', '1.2.4-beta.1'],
+    ['1.2.4-beta.3', 'prerelease', 'rc', '1.2.4-rc.0'],
+    ['1.2.4-beta', 'prerelease', undefined, '1.2.4-beta.0'],
+    ['1.2.4-beta.1', 'patch', undefined, '1.2.4'],
+    ['1.3.0-beta.1', 'minor', undefined, '1.3.0'],
+    ['1.3.1-beta.1', 'minor', undefined, '1.4.0'],
+    ['2.0.0-rc.1', 'major', undefined, '2.0.0'],
+    ['1.2.3+build.7', 'patch', undefined, '1.2.4'],
+  ])('%s %s %s gives %s', (version, type, preid, expected) => {
+    expect(bumpVersion(version, type, preid)).toBe(expected);
+  });
+
+  test('rejects invalid input', () => {
+    expect(() => bumpVersion('1.0', 'patch')).toThrow('"1.0" is not a semantic version');
+    expect(() => bumpVersion('1.0.0', 'huge')).toThrow('Unknown release type "huge"');
+    expect(() => bumpVersion('1.0.0', 'prerelease', 'be ta')).toThrow('Invalid pre-release identifier');
+  });
+});
+
+describe('addChangelogEntry', () => {
+  test('adds the release above the previous ones', () => {
+    const content = '# Changelog\n\nIntro.\n\n## [1.0.0] - 2026-01-01\n- Created the skill\n';
+    expect(addChangelogEntry(content, '1.1.0', '2026-02-01', ['Added forms']))
+      .toBe('# Changelog\n\nIntro.\n\n## [1.1.0] - 2026-02-01\n- Added forms\n\n## [1.0.0] - 2026-01-01\n- Created the skill\n');
+  });
+
+  test('turns the Unreleased section into the release', () => {
+    const content = '# Changelog\n\n## Unreleased\n- Created the skill\n';
+    expect(addChangelogEntry(content, '0.1.0', '2026-02-01', []))
+      .toBe('# Changelog\n\n## [0.1.0] - 2026-02-01\n- Created the skill\n');
+    expect(addChangelogEntry('# Changelog\n\n## [Unreleased]\n\n## [0.1.0] - 2026-01-01\n- A\n', '0.2.0', '2026-02-01', ['B']))
+      .toBe('# Changelog\n\n## [0.2.0] - 2026-02-01\n- B\n\n## [0.1.0] - 2026-01-01\n- A\n');
+  });
+
+  test('starts a changelog', () => {
+    expect(addChangelogEntry('', '1.0.0', '2026-02-01', []))
+      .toBe('# Changelog\n\n## [1.0.0] - 2026-02-01\n- No notable changes.\n');
+  });
+});
+
+describe('bumpSkill', () => {
+  const testDir = path.join(__dirname, 'temp-test-version');
+  const skillPath = path.join(testDir, 'pdf-tools');
+  const skillMd = '---\nname: pdf-tools\ndescription: Work with PDFs\nversion: 1.0.0\n---\n\n# PDF Tools\n';
+  const changelog = '# Changelog\n\n## [1.0.0] - 2026-01-01\n- Created the skill\n';
+
+  /**
+   * Runs git in the test directory
+   * @param {...string} args - The git arguments
+   * @returns {string} - Standard output
+   */
+  const git = (...args) => execFileSync('git', args, { cwd: testDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+  beforeEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(skillPath, { recursive: true });
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), skillMd);
+    fs.writeFileSync(path.join(skillPath, 'CHANGELOG.md'), changelog);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('updates the version and the changelog', async () => {
+    const result = await bumpSkill(skillPath, 'minor', { notes: ['Added forms'], date: '2026-02-01' });
+
+    expect(result).toEqual({
+      name: 'pdf-tools',
+      previous: '1.0.0',
+      version: '1.1.0',
+      changelog: path.join(skillPath, 'CHANGELOG.md'),
+      committed: false,
+      tag: null,
+    });
+    expect(fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf8')).toBe(skillMd.replace('1.0.0', '1.1.0'));
+    expect(fs.readFileSync(path.join(skillPath, 'CHANGELOG.md'), 'utf8')).toContain('## [1.1.0] - 2026-02-01\n- Added forms\n\n## [1.0.0]');
+  });
+
+  test('creates a missing changelog', async () => {
+    fs.rmSync(path.join(skillPath, 'CHANGELOG.md'));
+    await bumpSkill(skillPath, 'patch', { date: '2026-02-01' });
+    expect(fs.readFileSync(path.join(skillPath, 'CHANGELOG.md'), 'utf8')).toContain('## [1.0.1] - 2026-02-01');
+  });
+
+  test('requires a semantic version to start from', async () => {
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), skillMd.replace('version: 1.0.0\n', ''));
+    await expect(bumpSkill(skillPath, 'patch')).rejects.toThrow('pdf-tools has no version yet.');
+    fs.writeFileSync(path.join(skillPath, 'SKILL.md'), skillMd.replace('1.0.0', '"1.0"'));
+    await expect(bumpSkill(skillPath, 'patch')).rejects.toMatchObject({ code: 'INVALID_SKILL' });
+  });
+
+  test('commits and tags the release', async () => {
+    git('init', '--quiet');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'Initial');
+
+    const result = await bumpSkill(skillPath, 'major', { commit: true, tag: true });
+
+    expect(result).toMatchObject({ committed: true, tag: 'pdf-tools@2.0.0' });
+    expect(git('tag', '--list').trim()).toBe('pdf-tools@2.0.0');
+    expect(git('log', '-1', '--format=%s').trim()).toBe('pdf-tools@2.0.0');
+    expect(git('status', '--porcelain').trim()).toBe('');
+    await expect(bumpSkill(skillPath, 'major', { commit: true, tag: true })).resolves.toMatchObject({ tag: 'pdf-tools@3.0.0' });
+  });
+
+  test('tags the commit that holds the new version and changelog entry', async () => {
+    git('init', '--quiet');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'Initial');
+
+    await bumpSkill(skillPath, 'minor', { notes: ['Added forms'], commit: true, tag: true, date: '2026-01-02' });
+
+    expect(git('show', 'pdf-tools@1.1.0:pdf-tools/SKILL.md')).toContain('version: 1.1.0');
+    expect(git('show', 'pdf-tools@1.1.0:pdf-tools/CHANGELOG.md')).toContain('## [1.1.0] - 2026-01-02\n- Added forms');
+  });
+
+  test('refuses to tag without committing', async () => {
+    git('init', '--quiet');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'Initial');
+
+    await expect(bumpSkill(skillPath, 'minor', { tag: true })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    expect(git('tag', '--list').trim()).toBe('');
+    expect(git('status', '--porcelain').trim()).toBe('');
+  });
+
+  test('refuses to tag outside a git repository without changing anything', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'create-skills-version-'));
+    try {
+      const outsideSkill = path.join(outside, 'pdf-tools');
+      fs.mkdirSync(outsideSkill);
+      fs.writeFileSync(path.join(outsideSkill, 'SKILL.md'), skillMd);
+      await expect(bumpSkill(outsideSkill, 'patch', { commit: true, tag: true })).rejects.toMatchObject({ code: 'GIT_FAILED' });
+      expect(fs.readFileSync(path.join(outsideSkill, 'SKILL.md'), 'utf8')).toBe(skillMd);
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
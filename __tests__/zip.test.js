@@ -0,0 +1,70 @@
+const zlib = require('zlib');
+const { crc32, createZip, readZip } = require('../lib/zip');
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  const entries = [
+    { path: 'skill/SKILL.md', content: Buffer.from('repeated text '.repeat(20)), mode: 0o644 },
+    { path: 'skill/scripts/run.sh', content: Buffer.from('#!/bin/sh'), mode: 0o755 },
+  ];
+
+  test('is deterministic', () => {
+    expect(createZip(entries).equals(createZip(entries))).toBe(true);
+  });
+
+  test('writes local headers, a central directory and its end record', () => {
+    const archive = createZip(entries);
+    expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+
+    const end = archive.length - 22;
+    expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+    expect(archive.readUInt16LE(end + 10)).toBe(2);
+
+    const central = archive.readUInt32LE(end + 16);
+    expect(archive.readUInt32LE(central)).toBe(0x02014b50);
+    expect(archive.readUInt32LE(central + 38) >>> 16).toBe(0o100644);
+  });
+
+  test('deflates compressible entries and stores the rest', () => {
+    const archive = createZip(entries);
+    expect(archive.readUInt16LE(8)).toBe(8);
+
+    const nameLength = archive.readUInt16LE(26);
+    const compressedSize = archive.readUInt32LE(18);
+    const data = archive.subarray(30 + nameLength, 30 + nameLength + compressedSize);
+    expect(zlib.inflateRawSync(data).equals(entries[0].content)).toBe(true);
+
+    const second = 30 + nameLength + compressedSize;
+    expect(archive.readUInt16LE(second + 8)).toBe(0);
+  });
+});
+
+describe('readZip', () => {
+  test('reads back what createZip wrote', () => {
+    const entries = [
+      { path: 'skill/SKILL.md', content: Buffer.from('text '.repeat(40)), mode: 0o644 },
+      { path: 'skill/scripts/run.sh', content: Buffer.from('#!/bin/sh'), mode: 0o755 },
+    ];
+    expect(readZip(createZip(entries))).toEqual(entries.map(entry => ({
+      ...entry,
+      isDirectory: false,
+      isSymlink: false,
+    })));
+  });
+
+  test('rejects data that is not a zip archive', () => {
+    expect(() => readZip(Buffer.from('not a zip archive at all'))).toThrow('Not a zip archive');
+  });
+
+  test('detects corrupted entries', () => {
+    const archive = createZip([{ path: 'a.txt', content: Buffer.from('abc'), mode: 0o644 }]);
+    archive[30 + 'a.txt'.length] ^= 0xff;
+    expect(() => readZip(archive)).toThrow('checksum mismatch for "a.txt"');
+  });
+});
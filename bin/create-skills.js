@@ -4,12 +4,193 @@ const fs = require('fs');
 const path = require('path');
 const prompts = require('prompts');
 const {
+  SKILL_FIELDS,
+  TOOL_PATTERN,
+  parseAllowedTools,
   validateSkillName,
-  validatePathAvailable,
-  createDirectoryStructure,
-  createSkillMd,
-  createReadme,
+  getSkillNameProblems,
+  slugifySkillName,
+  validateSkill,
+  findSkillsDirectories,
 } = require('../lib/utils');
+const { CONFIG_KEYS, loadConfig, applyFlags } = require('../lib/config');
+const { formatScalar } = require('../lib/frontmatter');
+const {
+  DEFAULT_TEMPLATE,
+  RESERVED_VARIABLES,
+  listTemplates,
+  resolveTemplate,
+} = require('../lib/templates');
+const { parseArgs } = require('../lib/args');
+const {
+  removeStagingDirs,
+  formatDiff,
+  formatPlanTree,
+  contentAsText,
+} = require('../lib/plan');
+const { ERROR_CODES, SkillError } = require('../lib/errors');
+const { LINT_RULES, resolveRules, lintSkill, toSarif } = require('../lib/lint');
+const { packageSkill } = require('../lib/package');
+const { importSkill } = require('../lib/import');
+const { MANIFEST_FILE, initCollection, writeIndex } = require('../lib/collection');
+const { MANIFEST_FORMATS, buildManifest, checkManifest } = require('../lib/manifest');
+const { SCRIPT_LANGUAGES, RESOURCE_KINDS, addScript, addReference, addAsset } = require('../lib/resources');
+const { setField } = require('../lib/edit');
+const { RELEASE_TYPES, isValidVersion, bumpSkill } = require('../lib/version');
+const { planRename, renameSkill } = require('../lib/rename');
+const { checkSkillName, checkTarget, createSkill } = require('../lib/create');
+const { getSkillInfo } = require('../lib/info');
+
+/**
+ * Options accepted when creating a skill
+ */
+const CREATE_OPTIONS = {
+  description: { type: 'string', alias: 'd' },
+  author: { type: 'string' },
+  'skill-version': { type: 'string' },
+  'version-flag': { type: 'string', deprecated: 'skill-version' },
+  tags: { type: 'string' },
+  license: { type: 'string' },
+  compatibility: { type: 'string' },
+  'allowed-tools': { type: 'string' },
+  meta: { type: 'string', multiple: true },
+  template: { type: 'string', alias: 't' },
+  dir: { type: 'string' },
+  var: { type: 'string', multiple: true },
+  preset: { type: 'string' },
+  slugify: { type: 'boolean' },
+  'print-config': { type: 'boolean' },
+  yes: { type: 'boolean', alias: 'y' },
+  'non-interactive': { type: 'boolean' },
+  json: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  contents: { type: 'boolean' },
+  force: { type: 'boolean', alias: 'f' },
+  merge: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+  version: { type: 'boolean', alias: 'v' },
+};
+
+/**
+ * Options accepted by the validate subcommand
+ */
+const VALIDATE_OPTIONS = {
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the lint subcommand
+ */
+const LINT_OPTIONS = {
+  format: { type: 'string', alias: 'f' },
+  rule: { type: 'string', multiple: true },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Output formats of the lint subcommand
+ */
+const LINT_FORMATS = ['human', 'json', 'sarif'];
+
+/**
+ * Options accepted by the package subcommand
+ */
+const PACKAGE_OPTIONS = {
+  output: { type: 'string', alias: 'o' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the import subcommand
+ */
+const IMPORT_OPTIONS = {
+  dir: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the init-repo subcommand
+ */
+const INIT_REPO_OPTIONS = {
+  name: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the index subcommand
+ */
+const INDEX_OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the export-manifest subcommand
+ */
+const EXPORT_MANIFEST_OPTIONS = {
+  format: { type: 'string', alias: 'f' },
+  output: { type: 'string', alias: 'o' },
+  stdout: { type: 'boolean' },
+  check: { type: 'boolean' },
+  name: { type: 'string' },
+  owner: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the add subcommand
+ */
+const ADD_OPTIONS = {
+  lang: { type: 'string' },
+  skill: { type: 'string' },
+  force: { type: 'boolean', alias: 'f' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the set subcommand
+ */
+const SET_OPTIONS = {
+  add: { type: 'string', multiple: true },
+  remove: { type: 'string', multiple: true },
+  unset: { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the bump subcommand
+ */
+const BUMP_OPTIONS = {
+  preid: { type: 'string' },
+  message: { type: 'string', alias: 'm', multiple: true },
+  commit: { type: 'boolean' },
+  tag: { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the info subcommand
+ */
+const INFO_OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
+
+/**
+ * Options accepted by the rename subcommand
+ */
+const RENAME_OPTIONS = {
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', alias: 'h' },
+};
 
 /**
  * Main CLI function
@@ -17,45 +198,193 @@ const {
 async function main() {
   const args = process.argv.slice(2);
 
+  if (args[0] === 'validate') {
+    runValidate(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'lint') {
+    runLint(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'package') {
+    runPackage(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'import') {
+    await runImport(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'init-repo') {
+    await runInitRepo(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'index') {
+    runIndex(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'export-manifest') {
+    runExportManifest(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'add') {
+    await runAdd(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'set') {
+    await runSet(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'bump') {
+    await runBump(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'info') {
+    runInfo(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'rename') {
+    await runRename(args.slice(1));
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, CREATE_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message, [
+      '',
+      'Run "npm create skills --help" for more information.',
+    ]), args.includes('--json'));
+  }
+
+  const { options, positionals } = parsed;
+  const json = Boolean(options.json);
+  parsed.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+
   // Check for help and version flags first
-  if (args.includes('--help') || args.includes('-h')) {
+  if (options.help) {
     printHelp();
     process.exit(0);
   }
 
-  if (args.includes('--version') || args.includes('-v')) {
+  if (options.version) {
     printVersion();
     process.exit(0);
   }
 
-  // Parse initial arguments
-  let skillName = args[0];
-  let description = '';
-  let author = '';
-  let version = '';
-  let tags = [];
-  let license = '';
-  let targetDir = process.cwd();
-
-  // Parse optional flags
-  for (let i = 1; i < args.length; i++) {
-    const arg = args[i];
-    if (arg === '--description' || arg === '-d') {
-      description = args[++i] || '';
-    } else if (arg === '--author') {
-      author = args[++i] || '';
-    } else if (arg === '--version-flag') {
-      version = args[++i] || '';
-    } else if (arg === '--tags') {
-      const tagsStr = args[++i] || '';
-      tags = tagsStr.split(',').map(t => t.trim()).filter(t => t);
-    } else if (arg === '--license') {
-      license = args[++i] || '';
+  if (positionals.length > 1) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Unexpected argument "${positionals[1]}"`, [
+      'Only one skill name can be given. Quote descriptions that contain spaces.',
+    ]), json);
+  }
+
+  // Read the parsed arguments
+  let skillName = positionals[0];
+  let description = options.description || '';
+  let author = options.author || '';
+  let version = options['skill-version'] || '';
+  let tags = (options.tags || '').split(',').map(t => t.trim()).filter(t => t);
+  let license = options.license || '';
+  let compatibility = options.compatibility || '';
+  let allowedTools = parseAllowedTools(options['allowed-tools'] || '');
+  let extraMetadata = {};
+  let templateName = options.template || '';
+  let templateVariables = {};
+  const presetName = options.preset || '';
+
+  for (const assignment of options.var || []) {
+    const separator = assignment.indexOf('=');
+    const key = assignment.slice(0, separator).trim();
+    if (separator <= 0 || RESERVED_VARIABLES.includes(key)) {
+      exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Invalid --var "${assignment}"`, [
+        'Use --var key=value with a key other than the built-in variables:',
+        `  ${RESERVED_VARIABLES.join(', ')}`,
+      ]), json);
+    }
+    templateVariables[key] = assignment.slice(separator + 1);
+  }
+
+  for (const pair of options.meta || []) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Invalid --meta "${pair}"`, [
+        'Use --meta key=value, e.g. --meta team=docs.',
+      ]), json);
+    }
+    extraMetadata[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+  }
+
+  if (version && !isValidVersion(version)) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Invalid version "${version}"`, [
+      'Use a semantic version (MAJOR.MINOR.PATCH), e.g. 1.0.0 or 2.1.0-beta.1.',
+    ]), json);
+  }
+
+  // Load defaults from .create-skillsrc files; command-line flags override them
+  let config;
+  try {
+    config = applyFlags(loadConfig({ preset: presetName || null }), {
+      description,
+      author,
+      version,
+      tags,
+      license,
+      compatibility,
+      'allowed-tools': allowedTools,
+      metadata: extraMetadata,
+      template: templateName,
+      dir: options.dir ? path.resolve(options.dir) : '',
+      vars: templateVariables,
+    });
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_CONFIG, error.message), json);
+  }
+
+  if (options['print-config']) {
+    if (json) {
+      console.log(JSON.stringify({ files: config.files, preset: config.preset, values: config.values, sources: config.sources }, null, 2));
+    } else {
+      printResolvedConfig(config);
     }
+    process.exit(0);
   }
 
-  // Check if running in interactive mode (TTY)
-  const isInteractive = process.stdin.isTTY;
+  description = config.values.description || '';
+  author = config.values.author || '';
+  version = config.values.version || '';
+  tags = config.values.tags || [];
+  license = config.values.license || '';
+  compatibility = config.values.compatibility || '';
+  allowedTools = config.values['allowed-tools'] || [];
+  extraMetadata = config.values.metadata || {};
+  templateName = config.values.template || '';
+  templateVariables = config.values.vars || {};
+  let targetDir = config.values.dir || process.cwd();
+
+  // Prompt only in a terminal, and never with --yes, --non-interactive or --json
+  const isInteractive = Boolean(process.stdin.isTTY) && !options.yes && !options['non-interactive'] && !json;
+
+  // Fail early on an unknown or broken template, before prompting for anything
+  let template = null;
+  if (templateName) {
+    try {
+      template = resolveTemplate(templateName);
+    } catch (error) {
+      exitWithError(new SkillError(ERROR_CODES.INVALID_TEMPLATE, error.message), json);
+    }
+    process.on('exit', () => template.cleanup());
+  }
 
   // Interactive mode: prompt for missing required fields
   if (!skillName && isInteractive) {
@@ -68,8 +397,10 @@ async function main() {
         if (!value || value.trim().length === 0) {
           return 'Skill name is required';
         }
-        if (!validateSkillName(value)) {
-          return 'Skill name must contain only alphanumeric characters, hyphens, and underscores';
+        // Names that can be turned into valid ones are offered a fix below
+        const problems = getSkillNameProblems(value);
+        if (problems.length > 0 && !validateSkillName(slugifySkillName(value))) {
+          return `Skill name ${problems[0]}`;
         }
         return true;
       }
@@ -83,33 +414,80 @@ async function main() {
     skillName = response.skillName;
   }
 
-  // Validate skill name if provided via command line
+  // Turn free text such as "PDF Processor" into a valid name, with --slugify or when the user agrees
   if (skillName && !validateSkillName(skillName)) {
-    console.error(`Error: Invalid skill name "${skillName}"`);
-    console.error('Skill names must:');
-    console.error('  - Contain only alphanumeric characters, hyphens, and underscores');
-    console.error('  - Not start with a dot or hyphen');
-    console.error('  - Not be empty');
-    process.exit(1);
+    const slug = slugifySkillName(skillName);
+    if (validateSkillName(slug)) {
+      if (options.slugify) {
+        if (!json) {
+          console.log(`Using the name "${slug}"`);
+        }
+        skillName = slug;
+      } else if (isInteractive) {
+        const response = await prompts({
+          type: 'confirm',
+          name: 'useSlug',
+          message: `"${skillName}" is not a valid skill name. Use "${slug}" instead?`,
+          initial: true,
+        });
+        if (response.useSlug === undefined) {
+          console.log('Cancelled.');
+          process.exit(0);
+        }
+        skillName = response.useSlug ? slug : skillName;
+      }
+    }
+  }
+
+  // Validate skill name if provided via command line
+  if (skillName) {
+    try {
+      checkSkillName(skillName);
+    } catch (error) {
+      if (error.details.some(line => line.startsWith('Suggested name:'))) {
+        error.details.push('Run again with --slugify to use it.');
+      }
+      exitWithError(error, json);
+    }
   }
 
   // If no skill name and not interactive, show error
   if (!skillName && !isInteractive) {
-    console.error('Error: Please provide a skill name.');
-    console.error('Usage: npm create skills <skill-name>');
-    console.error('   or: npx create-skills <skill-name>');
-    console.error('\nRun "npm create skills --help" for more information.');
-    process.exit(1);
+    exitWithError(new SkillError(ERROR_CODES.MISSING_NAME, 'Please provide a skill name.', [
+      'Usage: npm create skills <skill-name>',
+      '   or: npx create-skills <skill-name>',
+      '',
+      'Run "npm create skills --help" for more information.',
+    ]), json);
+  }
+
+  // Offer a well-known skills folder of the project as the location
+  const skillsDirectories = config.values.dir ? [] : findSkillsDirectories();
+  if (skillsDirectories.length > 0 && isInteractive) {
+    const response = await prompts({
+      type: 'text',
+      name: 'dir',
+      message: 'Where should the skill be created?',
+      initial: skillsDirectories[0],
+    });
+
+    if (response.dir === undefined) {
+      console.log('Cancelled.');
+      process.exit(0);
+    }
+
+    targetDir = path.resolve(response.dir);
   }
 
   // Determine target path
   const targetPath = path.join(targetDir, skillName);
+  const displayPath = path.relative(process.cwd(), targetPath) || '.';
 
-  // Check if path already exists
-  if (!validatePathAvailable(targetPath)) {
-    console.error(`Error: Directory "${skillName}" already exists in the current location.`);
-    console.error('Please choose a different name or remove the existing directory.');
-    process.exit(1);
+  // An existing directory is only written into with --force or --merge; check before prompting for more
+  try {
+    checkTarget(targetPath, { force: options.force, merge: options.merge });
+  } catch (error) {
+    exitWithError(error, json);
   }
 
   // Interactive mode: prompt for description if not provided
@@ -136,10 +514,38 @@ async function main() {
 
   // If no description and not interactive, show error
   if (!description && !isInteractive) {
-    console.error('Error: Please provide a description using --description flag.');
-    console.error('Usage: npm create skills <skill-name> --description "Your description"');
-    console.error('\nOr run interactively: npm create skills');
-    process.exit(1);
+    exitWithError(new SkillError(ERROR_CODES.MISSING_DESCRIPTION, 'Please provide a description using --description flag.', [
+      'Usage: npm create skills <skill-name> --description "Your description"',
+      '',
+      'Or run interactively: npm create skills',
+    ]), json);
+  }
+
+  // Interactive mode: let the user pick a template if none was given
+  if (!templateName && isInteractive) {
+    const templates = listTemplates();
+    const response = await prompts({
+      type: 'select',
+      name: 'templateName',
+      message: 'Which template would you like to use?',
+      choices: templates.map(template => ({
+        title: template.name,
+        description: template.description,
+        value: template.name,
+      })),
+      initial: 0,
+    });
+
+    if (!response.templateName) {
+      console.log('Cancelled.');
+      process.exit(0);
+    }
+
+    templateName = response.templateName;
+  }
+
+  if (!template) {
+    template = resolveTemplate(templateName || DEFAULT_TEMPLATE);
   }
 
   // Interactive mode: prompt for optional fields only if not already provided and in interactive mode
@@ -160,6 +566,7 @@ async function main() {
         type: 'text',
         name: 'version',
         message: 'Version (optional, e.g., 1.0.0, press Enter to skip):',
+        validate: value => !value || isValidVersion(value) || 'Use a semantic version such as 1.0.0',
       });
       optionalFields.version = versionResponse.version;
     }
@@ -183,118 +590,1252 @@ async function main() {
       optionalFields.license = licenseResponse.license;
     }
 
+    if (!compatibility) {
+      const compatibilityResponse = await prompts({
+        type: 'text',
+        name: 'compatibility',
+        message: 'Environment requirements (optional, e.g., Requires git and network access, press Enter to skip):',
+        validate: value => !value || value.length <= SKILL_FIELDS.compatibility.maxLength
+          || `Keep it to ${SKILL_FIELDS.compatibility.maxLength} characters`,
+      });
+      optionalFields.compatibility = compatibilityResponse.compatibility;
+    }
+
+    if (allowedTools.length === 0) {
+      const toolsResponse = await prompts({
+        type: 'text',
+        name: 'allowedTools',
+        message: 'Allowed tools (optional, e.g., Read, Bash(git:*), press Enter to skip):',
+        validate: value => {
+          const invalid = parseAllowedTools(value || '').find(tool => !TOOL_PATTERN.test(tool));
+          return !invalid || `"${invalid}" is not a tool name such as Read or Bash(git:*)`;
+        },
+      });
+      optionalFields.allowedTools = parseAllowedTools(toolsResponse.allowedTools || '');
+    }
+
+    if (Object.keys(extraMetadata).length === 0) {
+      const metadataResponse = await prompts({
+        type: 'list',
+        name: 'metadata',
+        message: 'Metadata as key=value pairs (optional, comma-separated, press Enter to skip):',
+        validate: value => !String(value || '').trim() || String(value).split(',').every(pair => pair.indexOf('=') > 0)
+          || 'Use key=value pairs, e.g. team=docs',
+      });
+      optionalFields.metadata = Object.fromEntries((metadataResponse.metadata || [])
+        .filter(pair => pair.indexOf('=') > 0)
+        .map(pair => [pair.slice(0, pair.indexOf('=')).trim(), pair.slice(pair.indexOf('=') + 1).trim()]));
+    }
+
     // Update with responses
     author = optionalFields.author || author;
     version = optionalFields.version || version;
     tags = optionalFields.tags || tags;
     license = optionalFields.license || license;
+    compatibility = optionalFields.compatibility || compatibility;
+    allowedTools = optionalFields.allowedTools && optionalFields.allowedTools.length > 0 ? optionalFields.allowedTools : allowedTools;
+    extraMetadata = optionalFields.metadata && Object.keys(optionalFields.metadata).length > 0 ? optionalFields.metadata : extraMetadata;
+  }
+
+  // Ask the extra questions declared in the template manifest; createSkill uses their defaults otherwise
+  if (isInteractive) {
+    for (const question of template.manifest.prompts) {
+      if (Object.prototype.hasOwnProperty.call(templateVariables, question.name)) {
+        continue;
+      }
+      const response = await prompts({ type: 'text', ...question });
+      if (response[question.name] === undefined) {
+        console.log('Cancelled.');
+        process.exit(0);
+      }
+      templateVariables[question.name] = response[question.name];
+    }
   }
 
+  const dryRun = Boolean(options['dry-run']);
+
+  // Ctrl-C while writing removes the partly written skill
+  const onInterrupt = () => {
+    removeStagingDirs();
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
+
+  let result;
   try {
-    // Create the skill directory
-    fs.mkdirSync(targetPath, { recursive: true });
+    result = await createSkill({
+      metadata: {
+        name: skillName,
+        description,
+        author,
+        version,
+        tags,
+        license,
+        compatibility,
+        'allowed-tools': allowedTools,
+        metadata: extraMetadata,
+      },
+      template,
+      variables: templateVariables,
+      dir: targetDir,
+      force: options.force,
+      merge: options.merge,
+      resolveConflict: isInteractive ? file => promptConflict(targetPath, file) : undefined,
+      dryRun,
+    });
+  } catch (error) {
+    exitWithError(error, json);
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
 
-    // Create directory structure
-    const directories = ['scripts', 'references', 'assets'];
-    createDirectoryStructure(targetPath, directories);
+  const { plan, changes } = result;
 
-    // Create SKILL.md with metadata (only include fields that have values)
-    const metadata = {
-      name: skillName,
-      description
+  if (json) {
+    const summary = {
+      success: true,
+      dryRun,
+      name: result.name,
+      path: result.path,
+      template: result.template,
+      directories: result.directories,
+      files: result.files,
+      metadata: result.metadata,
     };
+    if (changes) {
+      summary.changes = changes;
+    }
+    if (dryRun && options.contents) {
+      summary.contents = Object.fromEntries(plan.files.map((file, index) => [result.files[index], contentAsText(file.content)]));
+    }
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
 
-    // Only add optional fields if they have values
-    if (author) metadata.author = author;
-    if (version) metadata.version = version;
-    if (tags && tags.length > 0) metadata.tags = tags;
-    if (license) metadata.license = license;
+  if (dryRun) {
+    printDryRun(targetPath, plan, Boolean(options.contents), changes);
+    return;
+  }
 
-    createSkillMd(targetPath, metadata);
+  // Success message
+  if (changes) {
+    console.log(`\n✓ Updated skill "${skillName}" from the "${template.name}" template\n`);
+    printChanges(changes);
+    const skipped = changes.filter(change => change.action === 'skip').length;
+    if (skipped > 0) {
+      console.log(`\n${skipped} existing ${skipped === 1 ? 'file was' : 'files were'} left unchanged. Use --force to overwrite.`);
+    }
+  } else {
+    console.log(`\n✓ Successfully created skill "${skillName}" from the "${template.name}" template`);
+  }
+  console.log(`\nLocation: ${targetPath}`);
+  console.log('\nNext steps:');
+  console.log(`  1. cd ${displayPath}`);
+  console.log('  2. Edit SKILL.md to add your skill instructions');
+  console.log('  3. Add scripts, references, and assets as needed');
+  console.log('\nFor more information, visit: https://agentskills.io');
+}
 
-    // Create README.md
-    createReadme(targetPath, skillName);
+/**
+ * Asks what to do with a planned file that differs from the one on disk
+ * @param {string} targetPath - The existing skill directory
+ * @param {{path: string, content: (string|Buffer)}} file - The planned file
+ * @returns {Promise<string>} - 'overwrite' or 'skip'
+ */
+async function promptConflict(targetPath, file) {
+  while (true) {
+    const response = await prompts({
+      type: 'select',
+      name: 'action',
+      message: `${file.path} already exists and differs from the template:`,
+      choices: [
+        { title: 'Overwrite', value: 'overwrite' },
+        { title: 'Skip', value: 'skip' },
+        { title: 'Show diff', value: 'diff' },
+      ],
+    });
 
-    // Success message
-    console.log(`\n✓ Successfully created skill "${skillName}"`);
-    console.log(`\nLocation: ${targetPath}`);
-    console.log('\nNext steps:');
-    console.log(`  1. cd ${skillName}`);
-    console.log('  2. Edit SKILL.md to add your skill instructions');
-    console.log('  3. Add scripts, references, and assets as needed');
-    console.log('\nFor more information, visit: https://agentskills.io');
+    if (!response.action) {
+      console.log('Cancelled.');
+      process.exit(0);
+    }
+    if (response.action !== 'diff') {
+      return response.action;
+    }
 
-  } catch (error) {
-    console.error('Error creating skill:', error.message);
-    process.exit(1);
+    const current = contentAsText(fs.readFileSync(path.join(targetPath, file.path)));
+    const proposed = contentAsText(file.content);
+    console.log(current === null || proposed === null ? 'Binary files differ' : formatDiff(current, proposed));
   }
 }
 
 /**
- * Prints help information
+ * Prints what happens to each planned file in an existing directory
+ * @param {Array<{path: string, action: string}>} changes - 'create', 'overwrite', 'skip' or 'identical' per file
  */
-function printHelp() {
-  console.log(`
-create-skills - Scaffolding tool for Agent Skills
+function printChanges(changes) {
+  changes.forEach(change => console.log(`  ${change.action.padEnd(9)}  ${change.path}`));
+}
 
-USAGE:
-  npm create skills [skill-name] [options]
-  npx create-skills [skill-name] [options]
+/**
+ * Prints what a dry run would create: the file tree, or the per-file
+ * changes for an existing directory, and optionally every file's content
+ * @param {string} targetPath - Where the skill would be created
+ * @param {{directories: string[], files: Array<{path: string, content: (string|Buffer)}>}} plan - The skill plan
+ * @param {boolean} showContents - Whether to print file contents
+ * @param {Array<{path: string, action: string}>|null} changes - Per-file changes when the directory exists
+ */
+function printDryRun(targetPath, plan, showContents, changes) {
+  console.log('Dry run: nothing was written.\n');
+  if (changes) {
+    console.log(`${targetPath}/`);
+    printChanges(changes);
+  } else {
+    console.log(formatPlanTree(targetPath, plan));
+    console.log(`\n${plan.files.length} files and ${plan.directories.length + 1} directories would be created.`);
+  }
 
-ARGUMENTS:
-  [skill-name]              Name of the skill to create (optional, will prompt if not provided)
+  if (showContents) {
+    plan.files.forEach(file => {
+      const text = contentAsText(file.content);
+      console.log(`\n==> ${file.path} <==`);
+      console.log(text === null ? `(binary, ${file.content.length} bytes)` : text.replace(/\n$/, ''));
+    });
+  }
+}
 
-OPTIONS:
-  -d, --description <desc>  Description for the skill (optional, will prompt if not provided)
-  --author <name>          Author name (optional)
-  --version-flag <ver>     Version number (optional)
-  --tags <tags>            Comma-separated tags (optional)
-  --license <license>      License type (optional)
-  -h, --help               Show this help message
-  -v, --version            Show version number
+/**
+ * Reports a fatal error and exits with code 1. In JSON mode the error is
+ * printed to stdout as `{ success: false, error: { code, message, details } }`.
+ * @param {Error} error - The error; SkillError instances carry a code and details
+ * @param {boolean} json - Whether to print machine-readable output
+ */
+function exitWithError(error, json) {
+  const code = error.code || ERROR_CODES.UNEXPECTED_ERROR;
+  const details = error.details || [];
 
-EXAMPLES:
-  # Interactive mode (prompts for all required fields)
-  npm create skills
+  if (json) {
+    console.log(JSON.stringify({ success: false, error: { code, message: error.message, details } }, null, 2));
+  } else {
+    console.error(`Error: ${error.message}`);
+    details.forEach(line => console.error(line));
+  }
+  process.exit(1);
+}
 
-  # Quick creation with name and description
-  npm create skills my-first-skill --description "My first skill"
+/**
+ * Runs the `validate` subcommand and exits non-zero if any skill is invalid
+ * @param {string[]} args - Arguments following `validate`
+ */
+function runValidate(args) {
+  let parsed;
+  try {
+    parsed = parseArgs(args, VALIDATE_OPTIONS);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 
-  # Complete example with all metadata
-  npm create skills pdf-processor --description "Process PDF files" --author "John Doe" --version-flag "1.0.0" --tags "pdf,processing" --license "MIT"
+  if (parsed.options.help) {
+    console.log('Usage: npx create-skills validate <skill-dir> [more-dirs...]');
+    console.log('\nChecks each skill against the Agent Skills spec and exits with code 1 if any is invalid.');
+    process.exit(0);
+  }
 
-  # Using npx
-  npx create-skills data-analyzer -d "Analyze datasets"
+  const dirs = parsed.positionals;
 
-DESCRIPTION:
-  Creates a new Agent Skill with the following structure:
+  if (dirs.length === 0) {
+    console.error('Error: Please provide the path of the skill to validate.');
+    console.error('Usage: npx create-skills validate <skill-dir> [more-dirs...]');
+    process.exit(1);
+  }
 
-  my-skill/
-  ├── SKILL.md          # Required: Main skill instructions and metadata
-  ├── scripts/          # Optional: Executable scripts
-  ├── references/       # Optional: Documentation and references
-  ├── assets/           # Optional: Templates and resources
-  └── README.md         # Usage information
+  let invalidCount = 0;
 
-  If you don't provide a skill name or description, you'll be prompted
-  to enter them interactively. Optional metadata fields (author, version,
-  tags, license) can also be provided via flags or will be prompted if omitted.
+  dirs.forEach(dir => {
+    const { valid, errors } = validateSkill(path.resolve(dir));
 
-For more information about Agent Skills, visit: https://agentskills.io
-`);
+    if (valid) {
+      console.log(`✓ ${dir} is a valid skill`);
+      return;
+    }
+
+    invalidCount++;
+    console.error(`✗ ${dir} has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`);
+    errors.forEach(error => {
+      const file = path.relative(process.cwd(), error.file) || error.file;
+      const location = error.line > 0 ? `${file}:${error.line}` : file;
+      console.error(`  ${location}  ${error.message}`);
+    });
+  });
+
+  if (invalidCount > 0) {
+    process.exit(1);
+  }
 }
 
 /**
- * Prints version information
+ * Runs the `lint` subcommand and exits non-zero if any problem has the
+ * 'error' severity
+ * @param {string[]} args - Arguments following `lint`
  */
-function printVersion() {
-  const packagePath = path.join(__dirname, '..', 'package.json');
-  const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
-  console.log(`create-skills v${packageJson.version}`);
-}
+function runLint(args) {
+  const usage = 'Usage: npx create-skills lint <skill-dir> [more-dirs...] [--format human|json|sarif] [--rule <rule>=<severity>]';
+  const fail = (message) => {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+  };
 
-// Run the CLI
-main().catch(error => {
+  let parsed;
+  try {
+    parsed = parseArgs(args, LINT_OPTIONS);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { options, positionals: dirs } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nChecks the content of each skill and exits with code 1 if any problem is an error.');
+    console.log('\nRULES:');
+    Object.keys(LINT_RULES).forEach(name => {
+      console.log(`  ${name.padEnd(20)}${LINT_RULES[name].severity.padEnd(9)}${LINT_RULES[name].description}`);
+    });
+    console.log('\nRules can be configured under "lint" in .create-skillsrc, e.g. "body-size: { severity: error, maxLines: 300 }".');
+    process.exit(0);
+  }
+
+  const format = options.format || 'human';
+  if (!LINT_FORMATS.includes(format)) {
+    fail(`Unknown format "${format}" (expected one of: ${LINT_FORMATS.join(', ')})`);
+  }
+
+  if (dirs.length === 0) {
+    fail(`Please provide the path of the skill to lint.\n${usage}`);
+  }
+
+  // Rule settings come from .create-skillsrc, with --rule on top
+  let rules;
+  try {
+    const settings = { ...loadConfig().values.lint };
+    (options.rule || []).forEach(assignment => {
+      const separator = assignment.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Invalid --rule "${assignment}" (use --rule <rule>=off|warning|error)`);
+      }
+      settings[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+    });
+    rules = resolveRules(settings);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const results = dirs.map(dir => ({ dir, problems: lintSkill(path.resolve(dir), rules) }));
+  const problems = results.flatMap(result => result.problems);
+  const errorCount = problems.filter(problem => problem.severity === 'error').length;
+  const warningCount = problems.length - errorCount;
+  const relative = file => path.relative(process.cwd(), file).split(path.sep).join('/') || file;
+
+  if (format === 'sarif') {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+    console.log(JSON.stringify(toSarif(problems, { version: packageJson.version }), null, 2));
+  } else if (format === 'json') {
+    console.log(JSON.stringify({
+      errorCount,
+      warningCount,
+      results: results.map(result => ({
+        path: result.dir,
+        problems: result.problems.map(problem => ({ ...problem, file: relative(problem.file) })),
+      })),
+    }, null, 2));
+  } else {
+    results.forEach(result => {
+      if (result.problems.length === 0) {
+        console.log(`✓ ${result.dir} has no lint problems`);
+        return;
+      }
+      console.log(result.dir);
+      result.problems.forEach(problem => {
+        const location = problem.line > 0 ? `${relative(problem.file)}:${problem.line}` : relative(problem.file);
+        console.log(`  ${location}  ${problem.severity.padEnd(7)}  ${problem.message}  (${problem.rule})`);
+      });
+    });
+    if (problems.length > 0) {
+      const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+      console.log(`\n${errorCount > 0 ? '✗' : '!'} ${plural(errorCount, 'error')} and ${plural(warningCount, 'warning')}`);
+    }
+  }
+
+  if (errorCount > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Runs the `package` subcommand: validates a skill, zips it and prints
+ * the manifest of packaged files with their checksums
+ * @param {string[]} args - Arguments following `package`
+ */
+function runPackage(args) {
+  const usage = 'Usage: npx create-skills package <skill-dir> [--output <dir-or-file.zip>] [--json]';
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, PACKAGE_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nValidates the skill and writes <name>-<version>.zip, leaving out .gitkeep files and');
+    console.log('anything listed in the skill\'s .skillignore. The archive is byte-for-byte reproducible.');
+    process.exit(0);
+  }
+
+  if (positionals.length !== 1) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide the path of one skill to package.', [usage]), json);
+  }
+
+  let result;
+  try {
+    result = packageSkill(path.resolve(positionals[0]), { output: options.output });
+  } catch (error) {
+    exitWithError(error, json);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ success: true, ...result }, null, 2));
+    return;
+  }
+
+  const archive = path.relative(process.cwd(), result.archivePath) || result.archivePath;
+  console.log(`✓ Packaged ${result.name}${result.version ? ` ${result.version}` : ''} into ${archive}\n`);
+  const sizeWidth = Math.max(...result.files.map(file => String(file.size).length));
+  result.files.forEach(file => {
+    console.log(`  ${file.sha256}  ${String(file.size).padStart(sizeWidth)}  ${file.path}`);
+  });
+  console.log(`\n${result.files.length} file${result.files.length === 1 ? '' : 's'}, ${result.size} bytes`);
+  console.log(`sha256 ${result.sha256}`);
+}
+
+/**
+ * Runs the `import` subcommand: safely extracts a packaged skill
+ * @param {string[]} args - Arguments following `import`
+ */
+async function runImport(args) {
+  const usage = 'Usage: npx create-skills import <skill.zip> [--dir <path>] [--json]';
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, IMPORT_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nExtracts a skill archive into a folder named after the skill. Archives with entries');
+    console.log('outside the skill, links pointing outside it, or an invalid SKILL.md are rejected.');
+    process.exit(0);
+  }
+
+  if (positionals.length !== 1) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide the path of one skill archive to import.', [usage]), json);
+  }
+
+  let result;
+  try {
+    result = await importSkill(path.resolve(positionals[0]), { dir: path.resolve(options.dir || '.') });
+  } catch (error) {
+    exitWithError(error, json);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ success: true, ...result }, null, 2));
+    return;
+  }
+
+  console.log(`✓ Imported skill "${result.name}" into ${path.relative(process.cwd(), result.path) || '.'}\n`);
+  result.files.forEach(file => console.log(`  ${file}`));
+}
+
+/**
+ * Runs the `init-repo` subcommand: creates the layout of a skills collection
+ * @param {string[]} args - Arguments following `init-repo`
+ */
+async function runInitRepo(args) {
+  const usage = 'Usage: npx create-skills init-repo [dir] [--name <title>] [--json]';
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, INIT_REPO_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nCreates a README.md with a skills catalog, a skills/ folder and a shared .create-skillsrc');
+    console.log('in <dir> (the current directory by default). Existing files are left untouched.');
+    process.exit(0);
+  }
+
+  if (positionals.length > 1) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide at most one directory.', [usage]), json);
+  }
+
+  const rootPath = path.resolve(positionals[0] || '.');
+  let changes;
+  try {
+    changes = await initCollection(rootPath, options.name ? { title: options.name } : {});
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.WRITE_FAILED, `Could not create the collection: ${error.message}`), json);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ success: true, path: rootPath, changes }, null, 2));
+    return;
+  }
+
+  console.log(`✓ Initialized skills collection in ${path.relative(process.cwd(), rootPath) || '.'}\n`);
+  changes.forEach(change => console.log(`  ${change.action.padEnd(6)}  ${change.path}`));
+  const skipped = changes.filter(change => change.action === 'skip').length;
+  if (skipped > 0) {
+    console.log(`\n${skipped} existing file${skipped === 1 ? ' was' : 's were'} left unchanged.`);
+  }
+  console.log('\nNext steps:');
+  console.log('  npx create-skills my-skill   # creates skills/my-skill');
+  console.log('  npx create-skills index      # updates the catalog');
+}
+
+/**
+ * Runs the `index` subcommand: regenerates the catalog of a skills collection
+ * @param {string[]} args - Arguments following `index`
+ */
+function runIndex(args) {
+  const usage = 'Usage: npx create-skills index [dir] [--json]';
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, INDEX_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log(`\nFinds every SKILL.md below <dir> (the current directory by default) and writes ${MANIFEST_FILE}`);
+    console.log('and a Markdown table of the skills between the skills-index markers of README.md');
+    console.log('(or into SKILLS.md when README.md has no markers).');
+    process.exit(0);
+  }
+
+  if (positionals.length > 1) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide at most one directory.', [usage]), json);
+  }
+
+  const rootPath = path.resolve(positionals[0] || '.');
+  if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, `"${positionals[0]}" is not a directory.`), json);
+  }
+
+  let result;
+  try {
+    result = writeIndex(rootPath);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.WRITE_FAILED, `Could not write the index: ${error.message}`), json);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ success: true, ...result }, null, 2));
+    return;
+  }
+
+  result.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+  const count = result.skills.length;
+  console.log(`✓ Indexed ${count} skill${count === 1 ? '' : 's'} into ${result.files.join(' and ')}`);
+}
+
+/**
+ * Runs the `export-manifest` subcommand: writes the manifest agent hosts
+ * read to discover skills, or with --check fails if the committed one is stale
+ * @param {string[]} args - Arguments following `export-manifest`
+ */
+function runExportManifest(args) {
+  const usage = `Usage: npx create-skills export-manifest [dir] [--format ${Object.keys(MANIFEST_FORMATS).join('|')}] [--output <file>] [--stdout] [--check] [--json]`;
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, EXPORT_MANIFEST_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nReads the skill or collection in <dir> (the current directory by default) and writes a manifest.');
+    console.log('\nFORMATS:');
+    Object.keys(MANIFEST_FORMATS).forEach(format => {
+      const style = MANIFEST_FORMATS[format];
+      console.log(`  ${format.padEnd(13)}${style.description} (${style.file.split(path.sep).join('/')})`);
+    });
+    console.log('\nOPTIONS:');
+    console.log('  -o, --output <file>  Write the manifest somewhere other than its default path');
+    console.log('  --stdout             Print the manifest instead of writing it');
+    console.log('  --check              Write nothing; exit with code 1 if the manifest file is missing or stale');
+    console.log('  --name <name>        Marketplace name (defaults to the directory name)');
+    console.log('  --owner <name>       Marketplace owner (defaults to "author" from .create-skillsrc)');
+    process.exit(0);
+  }
+
+  if (positionals.length > 1) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide at most one directory.', [usage]), json);
+  }
+
+  const rootPath = path.resolve(positionals[0] || '.');
+  if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, `"${positionals[0]}" is not a directory.`), json);
+  }
+
+  let manifest;
+  try {
+    const owner = options.owner || loadConfig({ cwd: rootPath }).values.author;
+    manifest = buildManifest(rootPath, { format: options.format, name: options.name, owner });
+  } catch (error) {
+    exitWithError(error.code ? error : new SkillError(ERROR_CODES.INVALID_CONFIG, error.message), json);
+  }
+
+  manifest.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+
+  if (options.stdout) {
+    process.stdout.write(manifest.content);
+    return;
+  }
+
+  const manifestPath = options.output ? path.resolve(options.output) : path.join(rootPath, manifest.file);
+  const displayPath = path.relative(process.cwd(), manifestPath) || manifestPath;
+
+  if (options.check) {
+    const { stale, reason } = checkManifest(manifestPath, manifest.content);
+    if (stale) {
+      const command = ['npx create-skills export-manifest', ...args.filter(arg => arg !== '--check' && arg !== '--json')].join(' ');
+      exitWithError(new SkillError(ERROR_CODES.MANIFEST_STALE, `${displayPath} ${reason}.`, [
+        `Run "${command}" to update it.`,
+      ]), json);
+    }
+    if (json) {
+      console.log(JSON.stringify({ success: true, format: manifest.format, path: manifestPath, stale: false }, null, 2));
+    } else {
+      console.log(`✓ ${displayPath} is up to date`);
+    }
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, manifest.content);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.WRITE_FAILED, `Could not write ${displayPath}: ${error.message}`), json);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ success: true, format: manifest.format, path: manifestPath, skills: manifest.skills }, null, 2));
+    return;
+  }
+
+  const count = manifest.skills.length;
+  console.log(`✓ Wrote ${manifest.format} manifest of ${count} skill${count === 1 ? '' : 's'} to ${displayPath}`);
+}
+
+/**
+ * Runs the `add` subcommand: adds a script, reference or asset to an
+ * existing skill and lists it in SKILL.md
+ * @param {string[]} args - Arguments following `add`
+ */
+async function runAdd(args) {
+  const usage = [
+    `Usage: npx create-skills add script <name> [--lang ${Object.keys(SCRIPT_LANGUAGES).join('|')}] [--skill <dir>]`,
+    '       npx create-skills add reference <name> [--skill <dir>]',
+    '       npx create-skills add asset <file> [--skill <dir>]',
+  ].join('\n');
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, ADD_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nAdds a file to the skill in --skill (the current directory by default), links it from');
+    console.log('SKILL.md and removes the folder\'s .gitkeep. Scripts are executable stubs with a shebang and');
+    console.log('argument parsing (--lang defaults to bash). Use -f, --force to overwrite an existing file.');
+    process.exit(0);
+  }
+
+  const [kind, name] = positionals;
+  if (positionals.length !== 2 || !RESOURCE_KINDS[kind]) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide what to add (script, reference or asset) and its name.', [usage]), json);
+  }
+  if (options.lang && kind !== 'script') {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, '--lang only applies to scripts.'), json);
+  }
+
+  const skillPath = path.resolve(options.skill || '.');
+  let result;
+  try {
+    if (kind === 'script') {
+      result = await addScript(skillPath, name, { lang: options.lang, force: options.force });
+    } else if (kind === 'reference') {
+      result = await addReference(skillPath, name, { force: options.force });
+    } else {
+      result = await addAsset(skillPath, path.resolve(name), { force: options.force });
+    }
+  } catch (error) {
+    exitWithError(error, json);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ success: true, ...result }, null, 2));
+    return;
+  }
+
+  const skillDir = path.relative(process.cwd(), skillPath);
+  console.log(`✓ Added ${result.path}${skillDir ? ` to ${skillDir}` : ''}`);
+  if (result.skillMdUpdated) {
+    console.log(`  Linked it from the ${RESOURCE_KINDS[kind].heading} section of SKILL.md`);
+  }
+  if (result.removedGitkeep) {
+    console.log(`  Removed ${RESOURCE_KINDS[kind].folder}/.gitkeep`);
+  }
+}
+
+/**
+ * Runs the `set` subcommand: changes one frontmatter field of a skill
+ * @param {string[]} args - Arguments following `set`
+ */
+async function runSet(args) {
+  const usage = [
+    'Usage: npx create-skills set <skill-dir> <field> <value>',
+    '       npx create-skills set <skill-dir> <list-field> --add <item> | --remove <item>',
+    '       npx create-skills set <skill-dir> metadata --add <key=value> | --remove <key>',
+    '       npx create-skills set <skill-dir> <field> --unset',
+  ].join('\n');
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, SET_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log(`\nFields: ${Object.keys(SKILL_FIELDS).join(', ')}. Lists take comma-separated values;`);
+    console.log('metadata is a map, changed with --add key=value and --remove key.');
+    console.log('Only the changed field is rewritten; comments, other fields and the Markdown body are kept');
+    console.log('as they are. The change is refused if the skill would no longer pass validation.');
+    process.exit(0);
+  }
+
+  if (positionals.length < 2 || positionals.length > 3) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide a skill directory, a field and its new value.', [usage]), json);
+  }
+
+  const [dir, field, value] = positionals;
+  let result;
+  try {
+    result = await setField(path.resolve(dir), field, {
+      value,
+      add: options.add,
+      remove: options.remove,
+      unset: options.unset,
+    });
+  } catch (error) {
+    exitWithError(error, json);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ success: true, ...result }, null, 2));
+    return;
+  }
+
+  const format = item => (Array.isArray(item)
+    ? `[${item.join(', ')}]`
+    : item && typeof item === 'object' ? `{ ${Object.keys(item).map(key => `${key}: ${item[key]}`).join(', ')} }` : item);
+  const skillMd = path.join(path.relative(process.cwd(), path.resolve(dir)), 'SKILL.md');
+  if (!result.changed) {
+    console.log(`${skillMd} already has ${field}${result.value === undefined ? ' unset' : ` ${format(result.value)}`}`);
+  } else if (result.value === undefined) {
+    console.log(`✓ Removed ${field} from ${skillMd}`);
+  } else {
+    console.log(`✓ Set ${field} to ${format(result.value)} in ${skillMd}`);
+  }
+}
+
+/**
+ * Runs the `bump` subcommand: releases a new version of a skill
+ * @param {string[]} args - Arguments following `bump`
+ */
+async function runBump(args) {
+  const usage = `Usage: npx create-skills bump <skill-dir> ${RELEASE_TYPES.join('|')} [--preid <id>] [-m <note>] [--commit] [--tag] [--json]`;
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, BUMP_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nUpdates the version in SKILL.md and adds a dated entry to the skill\'s CHANGELOG.md.');
+    console.log('\nOPTIONS:');
+    console.log('  --preid <id>          Pre-release identifier: "prerelease --preid beta" turns 1.0.0 into 1.0.1-beta.0');
+    console.log('  -m, --message <note>  Changelog line for the release (repeatable); notes already under');
+    console.log('                        an "Unreleased" heading are kept');
+    console.log('  --commit              Commit SKILL.md and CHANGELOG.md with the message <skill>@<version>');
+    console.log('  --tag                 Create the git tag <skill>@<version> on the release commit');
+    console.log('                        (needs --commit)');
+    process.exit(0);
+  }
+
+  if (positionals.length !== 2) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide a skill directory and the release type.', [usage]), json);
+  }
+
+  const [dir, type] = positionals;
+  let result;
+  try {
+    result = await bumpSkill(path.resolve(dir), type, {
+      preid: options.preid,
+      notes: options.message,
+      commit: options.commit,
+      tag: options.tag,
+    });
+  } catch (error) {
+    exitWithError(error, json);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ success: true, ...result }, null, 2));
+    return;
+  }
+
+  console.log(`✓ Bumped ${result.name} from ${result.previous} to ${result.version}`);
+  console.log(`  Updated ${path.relative(process.cwd(), result.changelog)}`);
+  if (result.committed) {
+    console.log(`  Committed ${result.name}@${result.version}`);
+  }
+  if (result.tag) {
+    console.log(`  Tagged ${result.tag}`);
+  }
+}
+
+/**
+ * Runs the info subcommand: prints a skill's metadata, resource files,
+ * instruction size and problems
+ * @param {string[]} args - Arguments after "info"
+ */
+function runInfo(args) {
+  const usage = 'Usage: npx create-skills info <skill-dir> [--json]';
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, INFO_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nShows a skill\'s frontmatter, the files in scripts/, references/ and assets/, the size of');
+    console.log('the SKILL.md body in lines, words and estimated tokens, and its lint errors and warnings.');
+    process.exit(0);
+  }
+
+  if (positionals.length !== 1) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide the path of one skill.', [usage]), json);
+  }
+
+  // Lint rule settings come from .create-skillsrc, as for lint
+  let info;
+  try {
+    info = getSkillInfo(path.resolve(positionals[0]), resolveRules({ ...loadConfig().values.lint }));
+  } catch (error) {
+    exitWithError(error.code ? error : new SkillError(ERROR_CODES.INVALID_CONFIG, error.message), json);
+  }
+
+  const relative = file => path.relative(process.cwd(), file).split(path.sep).join('/') || '.';
+  const problem = item => `  ${item.line > 0 ? `${relative(item.file)}:${item.line}` : relative(item.file)}  ${item.message}  (${item.rule})`;
+
+  if (json) {
+    const withRelativeFile = item => ({ ...item, file: relative(item.file) });
+    console.log(JSON.stringify({
+      success: true,
+      ...info,
+      errors: info.errors.map(withRelativeFile),
+      warnings: info.warnings.map(withRelativeFile),
+    }, null, 2));
+    return;
+  }
+
+  console.log(`${info.name || '(unnamed skill)'}  ${relative(info.path)}\n`);
+
+  console.log('Metadata:');
+  const fields = Object.keys(info.metadata);
+  const width = Math.max(...fields.map(field => field.length), 0) + 2;
+  fields.forEach(field => {
+    const value = info.metadata[field];
+    console.log(`  ${field.padEnd(width)}${Array.isArray(value) ? value.join(', ') : typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+  });
+
+  console.log('\nFiles:');
+  Object.keys(info.resources).forEach(folder => {
+    const files = info.resources[folder];
+    console.log(`  ${`${folder}/`.padEnd(13)}${files.length === 0 ? '(empty)' : `${files.length} file${files.length === 1 ? '' : 's'}`}`);
+    files.forEach(file => {
+      console.log(`    ${file.path.padEnd(30)} ${String(file.size).padStart(8)} bytes${file.linked ? '' : '  (not mentioned in SKILL.md)'}`);
+    });
+  });
+
+  const { body } = info;
+  console.log(`\nBody: ${body.lines} lines, ${body.words} words, ~${body.tokens} tokens`);
+
+  if (info.errors.length > 0) {
+    console.log('\nErrors:');
+    info.errors.forEach(item => console.log(problem(item)));
+  }
+  if (info.warnings.length > 0) {
+    console.log('\nWarnings:');
+    info.warnings.forEach(item => console.log(problem(item)));
+  }
+}
+
+/**
+ * Runs the rename subcommand: gives a skill a new name, moving its
+ * directory and updating its frontmatter, headings and collection index
+ * @param {string[]} args - Arguments after "rename"
+ */
+async function runRename(args) {
+  const usage = 'Usage: npx create-skills rename <skill-dir> <new-name> [--dry-run] [--json]';
+  const json = args.includes('--json');
+
+  let parsed;
+  try {
+    parsed = parseArgs(args, RENAME_OPTIONS);
+  } catch (error) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message), json);
+  }
+
+  const { options, positionals } = parsed;
+
+  if (options.help) {
+    console.log(usage);
+    console.log('\nRenames the skill\'s directory and updates the name in the SKILL.md frontmatter, the');
+    console.log('first heading of SKILL.md and README.md, and the index of the collection it belongs to.');
+    console.log('\nOPTIONS:');
+    console.log('  --dry-run  Show every change without making it');
+    process.exit(0);
+  }
+
+  if (positionals.length !== 2) {
+    exitWithError(new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Please provide a skill directory and the new name.', [usage]), json);
+  }
+
+  const [dir, newName] = positionals;
+  const dryRun = options['dry-run'];
+  let plan;
+  try {
+    plan = dryRun ? planRename(path.resolve(dir), newName) : await renameSkill(path.resolve(dir), newName);
+  } catch (error) {
+    exitWithError(error, json);
+  }
+
+  // Files inside the skill are reported at their new location
+  const relative = file => path.relative(process.cwd(), file.startsWith(plan.from + path.sep) ? path.join(plan.to, path.relative(plan.from, file)) : file);
+
+  if (json) {
+    console.log(JSON.stringify({
+      success: true,
+      dryRun: Boolean(dryRun),
+      from: plan.oldName,
+      to: plan.newName,
+      path: plan.to,
+      files: plan.files.map(file => relative(file.path)),
+    }, null, 2));
+    return;
+  }
+
+  const from = path.relative(process.cwd(), plan.from) || '.';
+  const to = path.relative(process.cwd(), plan.to) || '.';
+  if (!dryRun) {
+    console.log(`✓ Renamed ${plan.oldName} to ${plan.newName}`);
+    if (plan.to !== plan.from) {
+      console.log(`  Moved ${from} to ${to}`);
+    }
+    plan.files.forEach(file => console.log(`  Updated ${relative(file.path)}`));
+    return;
+  }
+
+  console.log(`Dry run: renaming ${plan.oldName} to ${plan.newName} (no changes made)\n`);
+  if (plan.to !== plan.from) {
+    console.log(`move  ${from} -> ${to}`);
+  }
+  plan.files.forEach(file => {
+    console.log(`\n--- ${relative(file.path)}`);
+    formatDiff(file.before, file.after).split('\n')
+      .filter(line => !line.startsWith('  '))
+      .forEach(line => console.log(line));
+  });
+}
+
+/**
+ * Prints the options resolved from config files, the preset and flags, with their sources
+ * @param {{files: string[], preset: (string|null), values: Object, sources: Object<string, string>}} config - Result of applyFlags
+ */
+function printResolvedConfig(config) {
+  console.log('Config files:');
+  if (config.files.length === 0) {
+    console.log('  (none found)');
+  }
+  config.files.forEach(file => console.log(`  ${file}`));
+  console.log(`\nPreset: ${config.preset || '(none)'}`);
+
+  console.log('\nResolved options:');
+  const keys = Object.keys(CONFIG_KEYS).filter(key => config.values[key] !== undefined);
+  if (keys.length === 0) {
+    console.log('  (none)');
+  }
+  keys.forEach(key => {
+    const value = config.values[key];
+    const source = `# from ${config.sources[key]}`;
+    if (CONFIG_KEYS[key] === 'map') {
+      console.log(`  ${key}:  ${source}`);
+      Object.keys(value).forEach(name => {
+        const item = value[name];
+        const text = item && typeof item === 'object'
+          ? `{ ${Object.keys(item).map(option => `${option}: ${formatScalar(item[option])}`).join(', ')} }`
+          : formatScalar(item);
+        console.log(`    ${name}: ${text}`);
+      });
+    } else if (Array.isArray(value)) {
+      console.log(`  ${key}: [${value.map(formatScalar).join(', ')}]  ${source}`);
+    } else {
+      console.log(`  ${key}: ${formatScalar(value)}  ${source}`);
+    }
+  });
+}
+
+/**
+ * Prints help information
+ */
+function printHelp() {
+  console.log(`
+create-skills - Scaffolding tool for Agent Skills
+
+USAGE:
+  npm create skills [skill-name] [options]
+  npx create-skills [skill-name] [options]
+  npx create-skills validate <skill-dir> [more-dirs...]
+
+COMMANDS:
+  validate <skill-dir>      Check an existing skill against the Agent Skills spec
+                            (exits with code 1 and lists each problem by file and line)
+  lint <skill-dir>          Check a skill's content for leftover placeholders, description
+                            length, body size and broken links (--format human|json|sarif,
+                            --rule <rule>=off|warning|error; see "lint --help")
+  package <skill-dir>       Validate a skill and bundle it into <name>-<version>.zip
+                            (-o, --output <dir-or-file.zip>; honours .skillignore)
+  import <skill.zip>        Extract a packaged skill after checking it is safe and valid
+                            (--dir <path> to choose where)
+  init-repo [dir]           Create a skills collection: README.md with a catalog, a
+                            skills/ folder and a shared .create-skillsrc (--name <title>)
+  index [dir]               Regenerate the collection's catalog in README.md and
+                            skills.json from every SKILL.md below <dir>
+  export-manifest [dir]     Write the manifest agent hosts use to discover skills
+                            (--format skills|marketplace, --check to fail when stale)
+  add script <name>         Add an executable script stub to scripts/ and link it from
+                            SKILL.md (--lang python|node|bash, --skill <dir>)
+  add reference <name>      Add a Markdown document to references/ and link it
+  add asset <file>          Copy a file into assets/ and link it
+  set <skill-dir> <field> <value>
+                            Change one frontmatter field in place (--add/--remove
+                            items of tags or allowed-tools, --add key=value and
+                            --remove key for metadata, --unset to remove a field)
+  bump <skill-dir> <type>   Release a new version (major, minor, patch or prerelease):
+                            updates SKILL.md and CHANGELOG.md (--commit to commit them,
+                            --tag to create the git tag <skill>@<version>)
+  info <skill-dir>          Show a skill's frontmatter, resource files, body size in
+                            words and estimated tokens, and lint problems (--json)
+  rename <skill-dir> <new-name>
+                            Rename a skill: moves the directory and updates the
+                            frontmatter, headings and collection index (--dry-run)
+
+ARGUMENTS:
+  [skill-name]              Name of the skill to create (optional, will prompt if not provided)
+
+OPTIONS:
+  -d, --description <desc>  Description for the skill (optional, will prompt if not provided)
+  --author <name>          Author name (optional)
+  --skill-version <ver>    Semantic version of the skill, e.g. 1.0.0 (optional)
+  --version-flag <ver>     Deprecated alias for --skill-version
+  --tags <tags>            Comma-separated tags (optional)
+  --license <license>      License type (optional)
+  --compatibility <text>   Environment requirements, e.g. "Requires git" (optional)
+  --allowed-tools <tools>  Tools the skill may use without asking, separated by
+                           commas or spaces, e.g. "Read, Bash(git:*)" (optional)
+  --meta <key=value>       Entry of the free-form metadata map (repeatable)
+  --dir <path>             Directory to create the skill in (created if missing;
+                           defaults to the current directory, or in a terminal
+                           to an existing skills/ or .claude/skills/ folder)
+  -t, --template <name>    Template to use (optional, will prompt if not provided):
+${listTemplates().map(template => `                             ${template.name.padEnd(14)}${template.description}`).join('\n')}
+                           or a local template directory (./path/to/template),
+                           a local bare git repository, or git+<url>[#ref]
+  --var <key=value>        Value for a custom template variable (repeatable)
+  --preset <name>          Apply a named group of defaults from .create-skillsrc
+  --slugify                Turn an invalid name such as "PDF Processor" into a valid
+                           one (pdf-processor) instead of failing
+  --print-config           Show the options resolved from config files, preset and flags
+  -y, --yes                Never prompt; use flags, config and defaults only
+  --non-interactive        Same as --yes
+  --dry-run                Show the files that would be created without writing anything
+  --contents               With --dry-run, also print the content of every file
+  -f, --force              Overwrite files in an existing skill directory
+  --merge                  Only add missing files to an existing skill directory
+  --json                   Print a JSON summary (or a JSON error with a stable
+                           code) instead of human-readable output; implies --yes
+  -h, --help               Show this help message
+  -v, --version            Show version number
+
+  Options accept "--option value" or "--option=value". Boolean options can be
+  turned off with "--no-<option>". The skill name may appear anywhere.
+
+EXAMPLES:
+  # Interactive mode (prompts for all required fields)
+  npm create skills
+
+  # Quick creation with name and description
+  npm create skills my-first-skill --description "My first skill"
+
+  # Complete example with all metadata
+  npm create skills pdf-processor --description "Process PDF files" --author "John Doe" --skill-version "1.0.0" --tags "pdf,processing" --license "MIT"
+
+  # Using npx
+  npx create-skills data-analyzer -d "Analyze datasets"
+
+  # Script-backed skill from the "tool" template
+  npx create-skills csv-cleaner -d "Clean CSV files" --template tool
+
+  # Company template kept in a git repository
+  npx create-skills report-writer -d "Write reports" --template git+file:///srv/git/skill-template.git --var team=docs
+
+  # Use the "internal" defaults from .create-skillsrc
+  npx create-skills audit-helper -d "Audit helper" --preset internal
+
+  # Scripted creation with machine-readable output
+  npx create-skills report-writer -d "Write reports" --yes --json
+
+  # Preview a skill without creating it
+  npx create-skills csv-cleaner -d "Clean CSV files" -t tool --dry-run --contents
+
+  # Validate an existing skill
+  npx create-skills validate ./pdf-processor
+
+  # Add a Python script to the skill in the current directory
+  npx create-skills add script convert --lang python
+
+  # Tag a skill without touching its body
+  npx create-skills set ./pdf-processor tags --add forms
+
+  # Release a new minor version with a changelog note and a git tag
+  npx create-skills bump ./pdf-processor minor -m "Support encrypted PDFs" --commit --tag
+
+  # Start a repository of skills and refresh its catalog
+  npx create-skills init-repo --name "Team Skills"
+  npx create-skills index
+
+  # Fail CI when the plugin marketplace manifest is out of date
+  npx create-skills export-manifest --format marketplace --check
+
+DESCRIPTION:
+  Creates a new Agent Skill. The default "${DEFAULT_TEMPLATE}" template has the following structure:
+
+  my-skill/
+  ├── SKILL.md          # Required: Main skill instructions and metadata
+  ├── scripts/          # Optional: Executable scripts
+  ├── references/       # Optional: Documentation and references
+  ├── assets/           # Optional: Templates and resources
+  ├── CHANGELOG.md      # Release history, updated by "create-skills bump"
+  └── README.md         # Usage information
+
+  If you don't provide a skill name or description, you'll be prompted
+  to enter them interactively. Optional metadata fields (author, version,
+  tags, license) can also be provided via flags or will be prompted if omitted.
+
+CONFIGURATION:
+  Defaults are read from .create-skillsrc (JSON or YAML; also .json, .yaml and
+  .yml extensions) in your home directory and in every directory from the
+  filesystem root down to the current one. Closer files win. Flags override
+  config, and config values are not prompted for.
+
+  author: Jane Doe
+  license: MIT
+  tags: [docs]
+  presets:
+    internal:
+      license: UNLICENSED
+      template: ./templates/company-skill
+
+For more information about Agent Skills, visit: https://agentskills.io
+`);
+}
+
+/**
+ * Prints version information
+ */
+function printVersion() {
+  const packagePath = path.join(__dirname, '..', 'package.json');
+  const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+  console.log(`create-skills v${packageJson.version}`);
+}
+
+// Run the CLI
+main().catch(error => {
+  if (process.argv.includes('--json')) {
+    exitWithError(error, true);
+  }
   console.error('Unexpected error:', error);
   process.exit(1);
 });
@@ -5,6 +5,8 @@ module.exports = {
     'bin/**',
     'lib/**',
     '!**/node_modules/**',
+    '!**/*.d.ts',
+    '!**/*.d.mts',
   ],
   testMatch: [
     '**/__tests__/**/*.js',
@@ -0,0 +1,152 @@
+/**
+ * Command-line argument parsing.
+ *
+ * Options are declared as a map of long names to specs:
+ *   - `type`: 'string' or 'boolean'
+ *   - `alias`: optional single-letter short form
+ *   - `multiple`: collect every occurrence of a string option into a list
+ *   - `deprecated`: the long name of the option that replaces this one
+ *
+ * Supports `--key value`, `--key=value`, `-k value`, `-k=value`, `--no-key`
+ * for booleans, positionals anywhere, and `--` to end option parsing.
+ */
+
+/**
+ * Computes the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits between them
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the known option closest to an unknown one
+ * @param {string} name - The unknown long option name (without dashes)
+ * @param {string[]} candidates - Known long option names
+ * @returns {string|null} - The best match, or null if none is close enough
+ */
+function suggestOption(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    // An abbreviation of at least three letters is the best kind of match
+    const distance = name.length >= 3 && candidate.startsWith(name)
+      ? 0.5
+      : editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? best : null;
+}
+
+/**
+ * Parses command-line arguments against an option spec
+ * @param {string[]} argv - The arguments, without the node and script paths
+ * @param {Object<string, {type: string, alias: string, multiple: boolean, deprecated: string}>} spec - Known options
+ * @returns {{options: Object, positionals: string[], warnings: string[]}}
+ *   - Option values by long name (deprecated names are stored under their replacement),
+ *     positional arguments in order, and deprecation warnings
+ * @throws {Error} - On unknown options, missing values or values given to booleans
+ */
+function parseArgs(argv, spec) {
+  const options = {};
+  const positionals = [];
+  const warnings = [];
+  const longNames = Object.keys(spec);
+  const aliases = {};
+  longNames.forEach(name => {
+    if (spec[name].alias) {
+      aliases[spec[name].alias] = name;
+    }
+  });
+
+  const set = (name, value) => {
+    const target = spec[name].deprecated || name;
+    if (spec[name].deprecated) {
+      warnings.push(`--${name} is deprecated, use --${target} instead`);
+    }
+    if (spec[target].multiple) {
+      options[target] = (options[target] || []).concat(value);
+    } else {
+      options[target] = value;
+    }
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const isLong = arg.startsWith('--');
+    const body = arg.slice(isLong ? 2 : 1);
+    const equals = body.indexOf('=');
+    const key = equals === -1 ? body : body.slice(0, equals);
+    const inlineValue = equals === -1 ? undefined : body.slice(equals + 1);
+    const display = isLong ? `--${key}` : `-${key}`;
+
+    let name = isLong ? key : aliases[key];
+    let negated = false;
+
+    if (isLong && !spec[name] && key.startsWith('no-') && spec[key.slice(3)] && spec[key.slice(3)].type === 'boolean') {
+      name = key.slice(3);
+      negated = true;
+    }
+
+    if (!name || !spec[name]) {
+      const suggestion = isLong ? suggestOption(key, longNames.filter(option => !spec[option].deprecated)) : null;
+      throw new Error(`Unknown option "${display}"${suggestion ? `. Did you mean "--${suggestion}"?` : ''}`);
+    }
+
+    if (spec[name].type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option "${display}" does not take a value`);
+      }
+      set(name, !negated);
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next === undefined || (next.startsWith('-') && next !== '-')) {
+        throw new Error(`Option "${display}" requires a value (use ${display}=<value> for values starting with "-")`);
+      }
+      value = next;
+      i++;
+    }
+    set(name, value);
+  }
+
+  return { options, positionals, warnings };
+}
+
+module.exports = {
+  parseArgs,
+  suggestOption,
+};
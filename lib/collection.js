@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { buildPlan, diffPlan, writePlanFiles } = require('./plan');
+const { CONFIG_FILES } = require('./config');
+
+/**
+ * Folder that holds the skills of a collection created by init-repo
+ */
+const SKILLS_FOLDER = 'skills';
+
+/**
+ * JSON manifest written by the index command, at the collection root
+ */
+const MANIFEST_FILE = 'skills.json';
+
+/**
+ * Markdown catalog written by the index command when the root README has no index markers
+ */
+const CATALOG_FILE = 'SKILLS.md';
+
+/**
+ * Markers delimiting the generated catalog inside the root README
+ */
+const INDEX_START = '<!-- skills-index:start -->';
+const INDEX_END = '<!-- skills-index:end -->';
+
+/**
+ * Directories never searched for skills
+ */
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+/**
+ * Builds the files of a new skills collection
+ * @param {string} title - The collection's name, used as the README title
+ * @returns {Array<{path: string, content: string, mode: number}>} - Root README, shared config and skills folder
+ */
+function collectionFiles(title) {
+  const readme = `# ${title}
+
+A collection of [Agent Skills](https://agentskills.io).
+
+## Skills
+
+${INDEX_START}
+${formatIndexTable([])}
+${INDEX_END}
+
+## Adding a skill
+
+\`\`\`bash
+npx create-skills my-skill
+\`\`\`
+
+New skills are created in \`${SKILLS_FOLDER}/\`, with the shared defaults in \`${CONFIG_FILES[0]}\`.
+After adding or changing a skill, regenerate the catalog above and \`${MANIFEST_FILE}\`:
+
+\`\`\`bash
+npx create-skills index
+\`\`\`
+`;
+
+  const config = `# Defaults for every skill in this collection.
+# See "npx create-skills --help" for all options.
+dir: ${SKILLS_FOLDER}
+# author: Your Team
+# license: MIT
+`;
+
+  return [
+    { path: 'README.md', content: readme, mode: 0o644 },
+    { path: CONFIG_FILES[0], content: config, mode: 0o644 },
+    { path: path.join(SKILLS_FOLDER, '.gitkeep'), content: '', mode: 0o644 },
+  ];
+}
+
+/**
+ * Creates the layout of a skills collection: a root README with a catalog
+ * section, a shared `.create-skillsrc` and a skills folder. Existing files
+ * are left untouched.
+ * @param {string} rootPath - The collection directory (created if missing)
+ * @param {Object} [options] - Collection options
+ * @param {string} [options.title] - README title, defaults to the directory name
+ * @returns {Promise<Array<{path: string, action: string}>>} - What happened to each file: 'create' or 'skip'
+ */
+async function initCollection(rootPath, { title = path.basename(path.resolve(rootPath)) } = {}) {
+  fs.mkdirSync(rootPath, { recursive: true });
+  const changes = diffPlan(rootPath, buildPlan(collectionFiles(title)))
+    .map(({ file, status }) => ({ file, action: status === 'create' ? 'create' : 'skip' }));
+  await writePlanFiles(rootPath, changes.filter(change => change.action === 'create').map(change => change.file));
+  return changes.map(change => ({ path: change.file.path.split(path.sep).join('/'), action: change.action }));
+}
+
+/**
+ * Finds every skill below a collection root and reads its metadata. A
+ * directory that is itself a skill is indexed as a single skill at `.`.
+ * @param {string} rootPath - The collection or skill directory
+ * @returns {{skills: Array<{name: string, description: string, version: (string|null), author: (string|null),
+ *   license: (string|null), tags: string[], path: string}>, warnings: string[]}} - Skills sorted by name with
+ *   forward-slash paths relative to the root, and a warning for each SKILL.md that could not be indexed
+ */
+function scanCollection(rootPath) {
+  const skills = [];
+  const warnings = [];
+  const optionalString = (value) => (typeof value === 'string' && value !== '' ? value : null);
+
+  const walk = (relativeDir) => {
+    const entries = fs.readdirSync(path.join(rootPath, relativeDir), { withFileTypes: true });
+    if (entries.some(entry => entry.isFile() && entry.name === 'SKILL.md')) {
+      const skillMdPath = path.join(rootPath, relativeDir, 'SKILL.md');
+      const { metadata, errors } = parseFrontmatter(fs.readFileSync(skillMdPath, 'utf8'));
+      const relativePath = relativeDir.split(path.sep).join('/') || '.';
+      if (errors.length > 0 || typeof metadata.name !== 'string' || typeof metadata.description !== 'string') {
+        warnings.push(`Skipped ${relativePath}: SKILL.md has no valid name and description (run "create-skills validate ${relativePath}")`);
+      } else {
+        skills.push({
+          name: metadata.name,
+          description: metadata.description.trim(),
+          version: optionalString(metadata.version),
+          author: optionalString(metadata.author),
+          license: optionalString(metadata.license),
+          tags: Array.isArray(metadata.tags) ? metadata.tags.map(String) : [],
+          path: relativePath,
+        });
+      }
+      // Skills do not contain other skills
+      return;
+    }
+    entries
+      .filter(entry => entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name))
+      .map(entry => entry.name)
+      .sort()
+      .forEach(name => walk(path.join(relativeDir, name)));
+  };
+
+  walk('');
+  skills.sort((a, b) => a.name.localeCompare(b.name) || a.path.localeCompare(b.path));
+  return { skills, warnings };
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {string} text - The cell text
+ * @returns {string} - Text on one line with pipes escaped
+ */
+function escapeCell(text) {
+  return text.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Formats skills as a Markdown table linking to each skill
+ * @param {Array<Object>} skills - From scanCollection
+ * @returns {string} - The table, or a note when there are no skills
+ */
+function formatIndexTable(skills) {
+  if (skills.length === 0) {
+    return '_No skills yet._';
+  }
+  return [
+    '| Skill | Description | Tags | Version |',
+    '|-------|-------------|------|---------|',
+    ...skills.map(skill => `| [${escapeCell(skill.name)}](${encodeURI(skill.path)}) | ${escapeCell(skill.description)} | ${escapeCell(skill.tags.join(', '))} | ${skill.version || ''} |`),
+  ].join('\n');
+}
+
+/**
+ * Formats skills as the JSON manifest written to skills.json
+ * @param {Array<Object>} skills - From scanCollection
+ * @returns {string} - The manifest, ending with a newline
+ */
+function formatManifest(skills) {
+  return `${JSON.stringify({ skills }, null, 2)}\n`;
+}
+
+/**
+ * Renders the catalog files of a collection: the JSON manifest, and the
+ * root README with the Markdown table between its index markers (or
+ * SKILLS.md when the README has no markers)
+ * @param {string} rootPath - The collection directory
+ * @param {Array<Object>} skills - From scanCollection
+ * @returns {Array<{path: string, content: string}>} - The files, relative to the collection directory
+ */
+function renderIndexFiles(rootPath, skills) {
+  const table = formatIndexTable(skills);
+
+  const readmePath = path.join(rootPath, 'README.md');
+  const readme = fs.existsSync(readmePath) ? fs.readFileSync(readmePath, 'utf8') : '';
+  const start = readme.indexOf(INDEX_START);
+  const end = readme.indexOf(INDEX_END);
+
+  const catalog = start !== -1 && end > start
+    ? { path: 'README.md', content: `${readme.slice(0, start + INDEX_START.length)}\n${table}\n${readme.slice(end)}` }
+    : { path: CATALOG_FILE, content: `# Skills\n\n${table}\n` };
+
+  return [catalog, { path: MANIFEST_FILE, content: formatManifest(skills) }];
+}
+
+/**
+ * Regenerates the catalog of a collection: the JSON manifest, and the
+ * Markdown table between the index markers of the root README (or in
+ * SKILLS.md when the README has no markers)
+ * @param {string} rootPath - The collection directory
+ * @returns {{skills: Array<Object>, warnings: string[], files: string[]}} - The indexed skills, warnings and the files written
+ */
+function writeIndex(rootPath) {
+  const { skills, warnings } = scanCollection(rootPath);
+  const files = renderIndexFiles(rootPath, skills);
+  files.forEach(file => fs.writeFileSync(path.join(rootPath, file.path), file.content));
+  return { skills, warnings, files: files.map(file => file.path) };
+}
+
+/**
+ * Finds the collection a skill belongs to: the closest directory above it
+ * holding an index manifest
+ * @param {string} skillPath - The skill directory
+ * @returns {string|null} - The collection directory, or null if the skill is not in an indexed collection
+ */
+function findCollectionRoot(skillPath) {
+  let dir = path.dirname(path.resolve(skillPath));
+  while (true) {
+    if (fs.existsSync(path.join(dir, MANIFEST_FILE))) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+module.exports = {
+  SKILLS_FOLDER,
+  MANIFEST_FILE,
+  CATALOG_FILE,
+  INDEX_START,
+  INDEX_END,
+  initCollection,
+  scanCollection,
+  formatIndexTable,
+  formatManifest,
+  renderIndexFiles,
+  writeIndex,
+  findCollectionRoot,
+};
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseYaml } = require('./frontmatter');
+const { RESERVED_VARIABLES } = require('./templates');
+const { resolveRules } = require('./lint');
+const { parseAllowedTools, validateMetadata } = require('./utils');
+const { isValidVersion } = require('./version');
+
+/**
+ * Config file names, checked in this order in each directory
+ */
+const CONFIG_FILES = ['.create-skillsrc', '.create-skillsrc.json', '.create-skillsrc.yaml', '.create-skillsrc.yml'];
+
+/**
+ * Options that may be set in a config file or a preset, with their types
+ */
+const CONFIG_KEYS = {
+  description: 'string',
+  author: 'string',
+  version: 'string',
+  tags: 'list',
+  license: 'string',
+  compatibility: 'string',
+  'allowed-tools': 'list',
+  metadata: 'map',
+  template: 'string',
+  dir: 'string',
+  vars: 'map',
+  lint: 'map',
+};
+
+/**
+ * Finds the config files that apply to a directory: the one in the home
+ * directory, then those from the filesystem root down to `cwd`
+ * @param {string} [cwd] - The directory to start from
+ * @param {string} [home] - The user's home directory
+ * @returns {string[]} - Config file paths, lowest precedence first
+ */
+function findConfigFiles(cwd = process.cwd(), home = os.homedir()) {
+  const findIn = (dir) => CONFIG_FILES
+    .map(file => path.join(dir, file))
+    .find(filePath => fs.existsSync(filePath) && fs.statSync(filePath).isFile());
+
+  const found = [];
+  let dir = path.resolve(cwd);
+  while (true) {
+    const filePath = findIn(dir);
+    if (filePath) {
+      found.unshift(filePath);
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      break;
+    }
+    dir = parent;
+  }
+
+  const homeFile = home ? findIn(path.resolve(home)) : undefined;
+  if (homeFile && !found.includes(homeFile)) {
+    found.unshift(homeFile);
+  }
+
+  return found;
+}
+
+/**
+ * Checks a set of options from a config file or preset, normalizing
+ * comma-separated tags (and allowed tools) to a list and resolving relative template and
+ * `dir` paths against the config file's directory
+ * @param {Object} options - The raw options
+ * @param {string} location - Where the options came from, for error messages
+ * @param {string} baseDir - Directory of the config file
+ * @returns {Object} - The checked options
+ * @throws {Error} - On unknown keys or values of the wrong type
+ */
+function normalizeOptions(options, location, baseDir) {
+  const normalized = {};
+
+  Object.keys(options).forEach(key => {
+    const type = CONFIG_KEYS[key];
+    let value = options[key];
+
+    if (!type) {
+      throw new Error(`${location}: unknown option "${key}" (expected one of: ${Object.keys(CONFIG_KEYS).join(', ')})`);
+    }
+
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    if (key === 'allowed-tools' && typeof value === 'string') {
+      value = parseAllowedTools(value);
+    } else if (type === 'list' && typeof value === 'string') {
+      value = value.split(',').map(item => item.trim()).filter(item => item);
+    }
+
+    const valid = type === 'list'
+      ? Array.isArray(value) && value.every(item => typeof item === 'string')
+      : type === 'map'
+        ? typeof value === 'object' && !Array.isArray(value)
+        : typeof value === 'string';
+
+    if (!valid) {
+      throw new Error(`${location}: option "${key}" must be a ${type === 'list' ? 'list of strings' : type}`);
+    }
+
+    if (key === 'vars') {
+      const reserved = Object.keys(value).find(name => RESERVED_VARIABLES.includes(name));
+      if (reserved) {
+        throw new Error(`${location}: vars.${reserved} would replace a built-in variable`);
+      }
+      value = Object.fromEntries(Object.entries(value).map(([name, item]) => [name, String(item)]));
+    }
+
+    if (key === 'metadata') {
+      value = Object.fromEntries(Object.entries(value).map(([name, item]) => [name, String(item)]));
+    }
+
+    if (['compatibility', 'allowed-tools', 'metadata'].includes(key)) {
+      const problem = validateMetadata({ [key]: value }).find(item => item.field === key);
+      if (problem) {
+        throw new Error(`${location}: ${problem.message}`);
+      }
+    }
+
+    if (key === 'version' && !isValidVersion(value)) {
+      throw new Error(`${location}: version "${value}" is not a semantic version (MAJOR.MINOR.PATCH, e.g. 1.0.0)`);
+    }
+
+    if (key === 'lint') {
+      try {
+        resolveRules(value);
+      } catch (error) {
+        throw new Error(`${location}: ${error.message}`);
+      }
+    }
+
+    if ((key === 'template' && /^\.\.?[\\/]/.test(value)) || key === 'dir') {
+      value = path.resolve(baseDir, value);
+    }
+
+    normalized[key] = value;
+  });
+
+  return normalized;
+}
+
+/**
+ * Reads one config file, as JSON if it looks like JSON and as YAML otherwise
+ * @param {string} filePath - The config file
+ * @returns {{options: Object, presets: Object<string, Object>}} - Default options and named presets
+ * @throws {Error} - If the file cannot be parsed or holds invalid options
+ */
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let raw;
+
+  if (filePath.endsWith('.json') || content.trim().startsWith('{')) {
+    try {
+      raw = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${filePath}: ${error.message}`);
+    }
+  } else {
+    const { value, errors } = parseYaml(content);
+    if (errors.length > 0) {
+      throw new Error(`${filePath}:${errors[0].line}: ${errors[0].message}`);
+    }
+    raw = value;
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${filePath}: expected a map of options`);
+  }
+
+  const { presets = {}, ...options } = raw;
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    throw new Error(`${filePath}: "presets" must be a map of preset names to options`);
+  }
+
+  return {
+    options: normalizeOptions(options, filePath, path.dirname(filePath)),
+    presets: Object.fromEntries(Object.keys(presets).map(name => {
+      const preset = presets[name];
+      if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error(`${filePath}: preset "${name}" must be a map of options`);
+      }
+      return [name, normalizeOptions(preset, `${filePath} (preset "${name}")`, path.dirname(filePath))];
+    })),
+  };
+}
+
+/**
+ * Loads and merges every config file that applies to a directory, and
+ * applies a preset on top. Closer files override farther ones and the
+ * preset overrides the files; maps (`vars`, `metadata` and `lint`) are merged key by key.
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.cwd] - The directory to start from
+ * @param {string} [options.home] - The user's home directory
+ * @param {string} [options.preset] - Name of the preset to apply
+ * @returns {{files: string[], preset: (string|null), values: Object, sources: Object<string, string>}}
+ *   - The files read, the applied preset, the merged options, and where each option came from
+ * @throws {Error} - If a file is invalid or the preset does not exist
+ */
+function loadConfig({ cwd = process.cwd(), home = os.homedir(), preset = null } = {}) {
+  const files = findConfigFiles(cwd, home);
+  const values = {};
+  const sources = {};
+  const presets = {};
+
+  const apply = (options, source) => {
+    Object.keys(options).forEach(key => {
+      values[key] = CONFIG_KEYS[key] === 'map' ? { ...values[key], ...options[key] } : options[key];
+      sources[key] = source;
+    });
+  };
+
+  files.forEach(filePath => {
+    const config = readConfigFile(filePath);
+    apply(config.options, filePath);
+    Object.keys(config.presets).forEach(name => {
+      presets[name] = { options: config.presets[name], file: filePath };
+    });
+  });
+
+  if (preset) {
+    if (!presets[preset]) {
+      const available = Object.keys(presets);
+      throw new Error(`Unknown preset "${preset}". ${available.length > 0
+        ? `Available presets: ${available.join(', ')}`
+        : 'No presets are defined in any .create-skillsrc file'}`);
+    }
+    apply(presets[preset].options, `preset "${preset}" (${presets[preset].file})`);
+  }
+
+  return { files, preset, values, sources };
+}
+
+/**
+ * Applies command-line flags on top of a loaded config. Empty flags
+ * (unset strings, empty lists and maps) leave the config value in place.
+ * @param {{files: string[], preset: (string|null), values: Object, sources: Object<string, string>}} config - Result of loadConfig
+ * @param {Object} flags - Option values given on the command line, keyed like CONFIG_KEYS
+ * @returns {{files: string[], preset: (string|null), values: Object, sources: Object<string, string>}} - The config with flags applied
+ */
+function applyFlags(config, flags) {
+  const values = { ...config.values };
+  const sources = { ...config.sources };
+
+  Object.keys(flags).forEach(key => {
+    const value = flags[key];
+    const isSet = Array.isArray(value)
+      ? value.length > 0
+      : value && typeof value === 'object' ? Object.keys(value).length > 0 : Boolean(value);
+
+    if (isSet) {
+      values[key] = CONFIG_KEYS[key] === 'map' ? { ...values[key], ...value } : value;
+      sources[key] = CONFIG_KEYS[key] === 'map' && config.values[key] ? `${sources[key]} and the command line` : 'the command line';
+    }
+  });
+
+  return { ...config, values, sources };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  CONFIG_KEYS,
+  findConfigFiles,
+  readConfigFile,
+  loadConfig,
+  applyFlags,
+};
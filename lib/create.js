@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSkillName, getSkillNameProblems, slugifySkillName, validateMetadata, buildFrontmatterFields } = require('./utils');
+const { DEFAULT_TEMPLATE, RESERVED_VARIABLES, resolveTemplate } = require('./templates');
+const { planSkill, applyPlan, diffPlan, writePlanFiles } = require('./plan');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * Checks a skill name before anything is created for it
+ * @param {string} name - The skill name
+ * @throws {SkillError} - MISSING_NAME if it is empty, INVALID_NAME if it is not usable; the
+ *   details list every reason and, when there is one, a valid name to use instead
+ */
+function checkSkillName(name) {
+  if (!name) {
+    throw new SkillError(ERROR_CODES.MISSING_NAME, 'Please provide a skill name.');
+  }
+  const problems = getSkillNameProblems(name);
+  if (problems.length > 0) {
+    const suggestion = slugifySkillName(name);
+    throw new SkillError(ERROR_CODES.INVALID_NAME, `Invalid skill name "${name}"`, [
+      'The name:',
+      ...problems.map(problem => `  - ${problem}`),
+      ...(suggestion !== name && validateSkillName(suggestion) ? [`Suggested name: ${suggestion}`] : []),
+    ]);
+  }
+}
+
+/**
+ * Checks whether a skill may be written to a directory: a missing
+ * directory always can be, an existing one only with `force` or `merge`
+ * @param {string} targetPath - The skill directory
+ * @param {Object} [options] - How to treat an existing directory
+ * @param {boolean} [options.force] - Overwrite existing files
+ * @param {boolean} [options.merge] - Add missing files only
+ * @param {Object} [options.fs] - Object with the API of Node's `fs` module, `fs` by default
+ * @returns {boolean} - Whether the directory already exists
+ * @throws {SkillError} - DIRECTORY_EXISTS if it cannot be written to
+ */
+function checkTarget(targetPath, { force = false, merge = false, fs: fileSystem = fs } = {}) {
+  const displayPath = path.relative(process.cwd(), targetPath) || '.';
+  if (!fileSystem.existsSync(targetPath)) {
+    return false;
+  }
+  if (!fileSystem.statSync(targetPath).isDirectory()) {
+    throw new SkillError(ERROR_CODES.DIRECTORY_EXISTS, `"${displayPath}" already exists and is not a directory.`);
+  }
+  if (!force && !merge) {
+    throw new SkillError(ERROR_CODES.DIRECTORY_EXISTS, `Directory "${displayPath}" already exists.`, [
+      'Please choose a different name, or use --merge to add the missing files or --force to overwrite existing ones.',
+    ]);
+  }
+  return true;
+}
+
+/**
+ * Creates a new skill from a template. This is what the CLI runs once it
+ * has gathered its answers; config files are not read and nothing is
+ * printed.
+ * @param {Object} options - What to create
+ * @param {Object} options.metadata - Frontmatter of the skill
+ * @param {string} options.metadata.name - The skill name, also used as the directory name
+ * @param {string} options.metadata.description - When to use the skill
+ * @param {string} [options.metadata.author] - Author
+ * @param {string} [options.metadata.version] - Semantic version
+ * @param {string[]} [options.metadata.tags] - Tags
+ * @param {string} [options.metadata.license] - License
+ * @param {(string|Object)} [options.template] - Template name or location, or a template from
+ *   resolveTemplate; DEFAULT_TEMPLATE by default
+ * @param {Object<string, string>} [options.variables] - Values for the template's own variables;
+ *   questions of the template that are not answered use their `initial` value
+ * @param {string} [options.dir] - Directory to create the skill in, the current directory by default
+ * @param {boolean} [options.force] - Overwrite files of an existing skill directory
+ * @param {boolean} [options.merge] - Add missing files to an existing skill directory
+ * @param {function(Object): Promise<string>} [options.resolveConflict] - With `merge`, decides for each
+ *   file that differs from the template whether to 'overwrite' or 'skip' it; skipped when not given
+ * @param {boolean} [options.dryRun] - Work out the result without writing anything
+ * @param {Object} [options.fs] - Object with the API of Node's `fs` module to write through, `fs` by default
+ * @returns {Promise<{name: string, path: string, template: string, dryRun: boolean, directories: string[],
+ *   files: string[], metadata: Object, changes: (Array<{path: string, action: string}>|null), plan: Object}>}
+ *   - The skill's absolute path, its directories and files relative to it with `/` separators, the
+ *   metadata written, what happened to each file of an existing directory, and the rendered plan
+ * @throws {SkillError} - MISSING_NAME, INVALID_NAME, MISSING_DESCRIPTION, INVALID_ARGUMENT,
+ *   INVALID_TEMPLATE, DIRECTORY_EXISTS or WRITE_FAILED
+ */
+async function createSkill({
+  metadata = {},
+  template: templateSpec = DEFAULT_TEMPLATE,
+  variables = {},
+  dir = process.cwd(),
+  force = false,
+  merge = false,
+  resolveConflict,
+  dryRun = false,
+  fs: fileSystem = fs,
+} = {}) {
+  checkSkillName(metadata.name);
+  if (!metadata.description) {
+    throw new SkillError(ERROR_CODES.MISSING_DESCRIPTION, 'Please provide a description.');
+  }
+  const problems = validateMetadata(metadata);
+  if (problems.length > 0) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid skill metadata', problems.map(problem => `  ${problem.message}`));
+  }
+  const fields = buildFrontmatterFields(metadata);
+  const reserved = Object.keys(variables).filter(key => RESERVED_VARIABLES.includes(key));
+  if (reserved.length > 0) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Template variable "${reserved[0]}" is built in and cannot be set`);
+  }
+
+  const targetPath = path.resolve(dir, fields.name);
+  const targetExists = checkTarget(targetPath, { force, merge, fs: fileSystem });
+
+  let template = templateSpec;
+  if (typeof templateSpec === 'string') {
+    try {
+      template = resolveTemplate(templateSpec);
+    } catch (error) {
+      throw new SkillError(ERROR_CODES.INVALID_TEMPLATE, error.message);
+    }
+  }
+
+  try {
+    const answers = { ...variables };
+    template.manifest.prompts.forEach(question => {
+      if (!Object.prototype.hasOwnProperty.call(answers, question.name)) {
+        answers[question.name] = question.initial === undefined ? '' : question.initial;
+      }
+    });
+
+    // Render the template in memory, then write it unless this is a dry run
+    const plan = planSkill({ template, metadata: fields, variables: answers });
+
+    // In an existing directory, decide per file what to do with conflicts
+    let changes = null;
+    if (targetExists) {
+      changes = [];
+      for (const { file, status } of diffPlan(targetPath, plan, fileSystem)) {
+        let action = status;
+        if (status === 'conflict') {
+          action = force ? 'overwrite' : resolveConflict && !dryRun ? await resolveConflict(file) : 'skip';
+        }
+        changes.push({ file, action });
+      }
+    }
+
+    try {
+      if (changes && !dryRun) {
+        const files = changes.filter(change => change.action === 'create' || change.action === 'overwrite');
+        await writePlanFiles(targetPath, files.map(change => change.file), fileSystem);
+      } else if (!dryRun) {
+        await applyPlan(targetPath, plan, fileSystem);
+      }
+    } catch (error) {
+      throw new SkillError(ERROR_CODES.WRITE_FAILED, `Could not create skill: ${error.message}`);
+    }
+
+    const toPosix = relativePath => relativePath.split(path.sep).join('/');
+    return {
+      name: fields.name,
+      path: targetPath,
+      template: template.name,
+      dryRun: Boolean(dryRun),
+      directories: plan.directories.map(toPosix),
+      files: plan.files.map(file => toPosix(file.path)),
+      metadata: fields,
+      changes: changes && changes.map(change => ({ path: toPosix(change.file.path), action: change.action })),
+      plan,
+    };
+  } finally {
+    // Only remove checkouts made here; a resolved template belongs to the caller
+    if (typeof templateSpec === 'string') {
+      template.cleanup();
+    }
+  }
+}
+
+module.exports = {
+  checkSkillName,
+  checkTarget,
+  createSkill,
+};
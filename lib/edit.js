@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter, serializeFrontmatter } = require('./frontmatter');
+const { SKILL_FIELDS, parseAllowedTools, validateSkillContent } = require('./utils');
+const { writePlanFiles } = require('./plan');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * Splits a comma-separated list given on the command line
+ * @param {string[]} values - Values, each possibly holding several comma-separated items
+ * @returns {string[]} - The trimmed, non-empty items
+ */
+function splitList(values) {
+  return values.flatMap(value => String(value).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parses `key=value` pairs given on the command line
+ * @param {string[]} pairs - The pairs
+ * @returns {Object<string, string>} - The values by key
+ * @throws {SkillError} - INVALID_ARGUMENT if a pair has no `=` or no key
+ */
+function parsePairs(pairs) {
+  const values = {};
+  pairs.forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Invalid value "${pair}" (expected key=value)`);
+    }
+    values[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+  });
+  return values;
+}
+
+/**
+ * Computes the new value of a frontmatter field
+ * @param {Object} metadata - The current metadata
+ * @param {string} field - One of SKILL_FIELDS
+ * @param {Object} change - The change to apply; exactly one of the properties
+ * @param {string} [change.value] - Replace the value (comma-separated for lists)
+ * @param {string[]} [change.add] - Items to add to a list, skipping ones already present,
+ *   or `key=value` pairs to set in a map
+ * @param {string[]} [change.remove] - Items to remove from a list, or keys to remove from a map
+ * @param {boolean} [change.unset] - Remove the field
+ * @returns {*} - The new value, or undefined when the field is removed
+ * @throws {SkillError} - INVALID_ARGUMENT if the change does not fit the field
+ */
+function applyFieldChange(metadata, field, { value, add, remove, unset }) {
+  const rule = SKILL_FIELDS[field];
+  if (!rule) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Unknown field "${field}" (expected one of: ${Object.keys(SKILL_FIELDS).join(', ')})`);
+  }
+
+  const given = [value !== undefined, Boolean(add && add.length), Boolean(remove && remove.length), Boolean(unset)]
+    .filter(Boolean).length;
+  if (given !== 1) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Give a new value for "${field}", or one of --add, --remove or --unset.`);
+  }
+
+  if (unset) {
+    if (rule.required) {
+      throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `"${field}" is required and cannot be removed.`);
+    }
+    return undefined;
+  }
+
+  if (rule.type === 'map') {
+    if (value !== undefined) {
+      throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `"${field}" is a map; change it with --add key=value or --remove key.`);
+    }
+    const current = metadata[field] && typeof metadata[field] === 'object' && !Array.isArray(metadata[field]) ? metadata[field] : {};
+    if (add && add.length) {
+      return { ...current, ...parsePairs(add) };
+    }
+    const removed = splitList(remove);
+    const remaining = Object.fromEntries(Object.entries(current).filter(([key]) => !removed.includes(key)));
+    return Object.keys(remaining).length > 0 ? remaining : undefined;
+  }
+
+  if (rule.type !== 'list') {
+    if (value === undefined) {
+      throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, '--add and --remove only apply to list fields such as "tags", and to "metadata".');
+    }
+    return value;
+  }
+
+  // Allowed tools may hold commas inside their patterns, as in Bash(git add:*)
+  const split = field === 'allowed-tools' ? items => items.flatMap(parseAllowedTools) : splitList;
+  if (value !== undefined) {
+    return split([value]);
+  }
+  const current = Array.isArray(metadata[field]) ? metadata[field] : [];
+  if (add && add.length) {
+    return current.concat(split(add).filter((item, index, items) => !current.includes(item) && items.indexOf(item) === index));
+  }
+  const removed = split(remove);
+  return current.filter(item => !removed.includes(item));
+}
+
+/**
+ * Replaces one field in the frontmatter of a SKILL.md, leaving every other
+ * line, including comments, other fields and the whole body, as it was.
+ * A new field is placed after the fields that precede it in SKILL_FIELDS.
+ * @param {string} content - The SKILL.md content; its frontmatter must parse
+ * @param {string} field - The field to replace
+ * @param {*} value - The new value, or undefined to remove the field
+ * @returns {string} - The updated content
+ */
+function replaceFrontmatterField(content, field, value) {
+  const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const lines = content.slice(bom.length).split(/(?<=\n)/);
+  const eol = lines[0].endsWith('\r\n') ? '\r\n' : '\n';
+  const { lines: fieldLines } = parseFrontmatter(content);
+  const isBlank = line => line.trim() === '';
+
+  const end = lines.findIndex((line, index) => index > 0 && ['---', '...'].includes(line.replace(/\r?\n$/, '').trimEnd()));
+
+  // The lines a field spans: its key line and any indented or blank lines after it, and
+  // list items at column 0, which the parser also accepts (`tags:\n- a`)
+  const spanOf = (key) => {
+    const start = fieldLines[key] - 1;
+    let stop = start + 1;
+    while (stop < end && (isBlank(lines[stop]) || /^(\s|-(\s|$))/.test(lines[stop]))) {
+      stop++;
+    }
+    while (stop - 1 > start && isBlank(lines[stop - 1])) {
+      stop--;
+    }
+    return { start, stop };
+  };
+
+  const replacement = value === undefined
+    ? []
+    : serializeFrontmatter({ [field]: value }).split('\n').slice(1, -1).map(line => `${line}${eol}`);
+
+  let start;
+  let stop;
+  if (fieldLines[field]) {
+    ({ start, stop } = spanOf(field));
+  } else {
+    const order = Object.keys(SKILL_FIELDS);
+    const preceding = order.slice(0, order.indexOf(field)).filter(key => fieldLines[key]);
+    const after = preceding.length > 0
+      ? Math.max(...preceding.map(key => spanOf(key).stop))
+      : 1;
+    start = after;
+    stop = after;
+  }
+
+  lines.splice(start, stop - start, ...replacement);
+  return bom + lines.join('');
+}
+
+/**
+ * Changes one frontmatter field of a skill and writes SKILL.md back. The
+ * Markdown body is left byte-for-byte untouched, and the change is refused
+ * if it would make the skill invalid.
+ * @param {string} skillPath - The skill directory
+ * @param {string} field - One of SKILL_FIELDS
+ * @param {Object} change - The change, as for applyFieldChange
+ * @returns {Promise<{field: string, previous: *, value: *, changed: boolean}>} - The old and new value
+ *   (undefined when absent) and whether SKILL.md was rewritten
+ * @throws {SkillError} - INVALID_ARGUMENT, INVALID_SKILL or WRITE_FAILED
+ */
+async function setField(skillPath, field, change) {
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  if (!fs.existsSync(skillMdPath)) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${skillPath} is not a skill (SKILL.md not found)`);
+  }
+
+  const content = fs.readFileSync(skillMdPath, 'utf8');
+  const { metadata, errors } = parseFrontmatter(content);
+  if (errors.length > 0) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, 'The frontmatter of SKILL.md cannot be read; fix it by hand first', errors.map(error => `  SKILL.md:${error.line}  ${error.message}`));
+  }
+
+  const value = applyFieldChange(metadata, field, change);
+  const previous = metadata[field];
+  if (JSON.stringify(value) === JSON.stringify(previous)) {
+    return { field, previous, value, changed: false };
+  }
+
+  const updated = replaceFrontmatterField(content, field, value);
+
+  // Problems the skill already had are not this change's fault
+  const before = new Set(validateSkillContent(skillPath, content).errors.map(error => error.message));
+  const introduced = validateSkillContent(skillPath, updated).errors.filter(error => !before.has(error.message));
+  if (introduced.length > 0) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `Setting "${field}" would make the skill invalid`, introduced.map(error => `  SKILL.md:${error.line}  ${error.message}`));
+  }
+
+  try {
+    await writePlanFiles(skillPath, [{ path: 'SKILL.md', content: updated, mode: fs.statSync(skillMdPath).mode & 0o777 }]);
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.WRITE_FAILED, `Could not write SKILL.md: ${error.message}`);
+  }
+
+  return { field, previous, value, changed: true };
+}
+
+module.exports = {
+  applyFieldChange,
+  replaceFrontmatterField,
+  setField,
+};
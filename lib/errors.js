@@ -0,0 +1,42 @@
+/**
+ * Stable error codes reported in `--json` output and on SkillError#code.
+ * Scripts may rely on these values; do not rename them.
+ */
+const ERROR_CODES = {
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  INVALID_TEMPLATE: 'INVALID_TEMPLATE',
+  INVALID_NAME: 'INVALID_NAME',
+  MISSING_NAME: 'MISSING_NAME',
+  MISSING_DESCRIPTION: 'MISSING_DESCRIPTION',
+  DIRECTORY_EXISTS: 'DIRECTORY_EXISTS',
+  FILE_EXISTS: 'FILE_EXISTS',
+  INVALID_SKILL: 'INVALID_SKILL',
+  INVALID_ARCHIVE: 'INVALID_ARCHIVE',
+  MANIFEST_STALE: 'MANIFEST_STALE',
+  GIT_FAILED: 'GIT_FAILED',
+  WRITE_FAILED: 'WRITE_FAILED',
+  UNEXPECTED_ERROR: 'UNEXPECTED_ERROR',
+};
+
+/**
+ * An expected failure with a stable code and optional explanatory lines
+ */
+class SkillError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - A one-line description of the problem
+   * @param {string[]} [details] - Extra lines explaining how to fix it
+   */
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'SkillError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  SkillError,
+};
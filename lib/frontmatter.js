@@ -0,0 +1,552 @@
+/**
+ * Reads and writes the YAML frontmatter block at the top of a SKILL.md file.
+ *
+ * Only the subset of YAML that skill frontmatter uses is supported:
+ * top-level `key: value` pairs, plain and quoted scalars, block scalars
+ * (`|` and `>`), flow lists (`[a, b]`), block lists (`- item`) and
+ * nested maps. The serializer only emits this subset, so
+ * anything it writes can be read back by the parser unchanged.
+ */
+
+const KEY_LINE = /^([A-Za-z0-9_][A-Za-z0-9_.-]*)\s*:(?:\s+(.*))?$/;
+const BLOCK_SCALAR_HEADER = /^([|>])([+-]?)([1-9]?)([+-]?)\s*(#.*)?$/;
+
+// Characters that cannot start a plain scalar
+const UNSAFE_PLAIN_START = /^[-?:,[\]{}#&*!|>'"%@`\s]/;
+// Plain scalars that YAML 1.1 or 1.2 would read as null, booleans, numbers or dates
+const RESERVED_PLAIN = /^(~|null|true|false|yes|no|on|off|y|n)$/i;
+const NUMBER_LIKE = /^[-+]?(\d[\d_]*(\.[\d_]*)?(e[-+]?\d+)?|\.\d[\d_]*(e[-+]?\d+)?|0x[0-9a-f_]+|0o[0-7_]+|0b[01_]+|\d[\d_]*(:[0-5]?\d)+(\.\d*)?|\.(inf|nan))$/i;
+const DATE_LIKE = /^\d{4}-\d\d?-\d\d?([Tt\s]|$)/;
+// Control characters force the double-quoted style, which can escape them
+const CONTROL_CHARS = /[\u0000-\u001f\u007f\u2028\u2029]/;
+
+/**
+ * Strips a trailing ` # comment` from a plain (unquoted) scalar
+ * @param {string} value - The raw scalar text
+ * @returns {string} - The scalar without the comment
+ */
+function stripComment(value) {
+  const index = ` ${value}`.search(/\s#/);
+  return (index === -1 ? value : value.slice(0, index)).trim();
+}
+
+/**
+ * Resolves a plain scalar to the type YAML would give it
+ * @param {string} value - The plain scalar text
+ * @returns {string|number|boolean|null} - The typed value
+ */
+function resolvePlain(value) {
+  if (value === '' || value === '~' || /^null$/i.test(value)) {
+    return null;
+  }
+  if (/^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  if (/^[-+]?(\d+|\d*\.\d+|\d+\.\d*)([eE][-+]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Parses a double-quoted scalar, handling the common escape sequences
+ * @param {string} text - Text starting with the opening quote
+ * @returns {{value: string, rest: string}|null} - Parsed value and trailing text, or null if unterminated
+ */
+function parseDoubleQuoted(text) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0' };
+  let value = '';
+  for (let i = 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      return { value, rest: text.slice(i + 1) };
+    }
+    if (char === '\\') {
+      const next = text[++i];
+      if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) {
+        value += String.fromCharCode(parseInt(text.slice(i + 1, i + 5), 16));
+        i += 4;
+      } else if (next in escapes) {
+        value += escapes[next];
+      } else {
+        return null;
+      }
+    } else {
+      value += char;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses a single-quoted scalar, where `''` stands for a literal quote
+ * @param {string} text - Text starting with the opening quote
+ * @returns {{value: string, rest: string}|null} - Parsed value and trailing text, or null if unterminated
+ */
+function parseSingleQuoted(text) {
+  let value = '';
+  for (let i = 1; i < text.length; i++) {
+    if (text[i] === '\'') {
+      if (text[i + 1] === '\'') {
+        value += '\'';
+        i++;
+      } else {
+        return { value, rest: text.slice(i + 1) };
+      }
+    } else {
+      value += text[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Splits the inside of a flow list on commas that are not inside quotes
+ * @param {string} body - The text between `[` and `]`
+ * @returns {string[]} - The raw item texts
+ */
+function splitFlowItems(body) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+  return items;
+}
+
+/**
+ * Parses an inline scalar (plain, quoted or a flow list)
+ * @param {string} raw - The text after `key:` or `- `
+ * @returns {{value: *}|{error: string}} - The parsed value or an error message
+ */
+function parseInlineValue(raw) {
+  const text = raw.trim();
+
+  if (text.startsWith('"') || text.startsWith('\'')) {
+    const parsed = text.startsWith('"') ? parseDoubleQuoted(text) : parseSingleQuoted(text);
+    if (!parsed) {
+      return { error: 'Unterminated quoted string' };
+    }
+    if (stripComment(parsed.rest) !== '') {
+      return { error: 'Unexpected text after quoted string' };
+    }
+    return { value: parsed.value };
+  }
+
+  if (text.startsWith('[')) {
+    const inner = stripComment(text);
+    if (!inner.endsWith(']')) {
+      return { error: 'Unterminated flow list' };
+    }
+    const body = inner.slice(1, -1).trim();
+    if (body === '') {
+      return { value: [] };
+    }
+    const items = [];
+    for (const part of splitFlowItems(body)) {
+      const item = parseInlineValue(part);
+      if (item.error) {
+        return item;
+      }
+      items.push(item.value);
+    }
+    return { value: items };
+  }
+
+  if (text === '{}') {
+    return { value: {} };
+  }
+
+  if (text.startsWith('{')) {
+    return { error: 'Flow maps are not supported; use an indented block instead' };
+  }
+
+  return { value: resolvePlain(stripComment(text)) };
+}
+
+/**
+ * Parses the SKILL.md frontmatter and separates it from the Markdown body
+ * @param {string} content - The full contents of a SKILL.md file
+ * @returns {{metadata: Object, body: string, bodyLine: number, errors: Array<{line: number, message: string}>,
+ *   lines: Object<string, number>}} - Parsed metadata, the Markdown body (with `\n` line endings) and the line
+ *   it starts on, parse errors and the line each key was declared on
+ */
+function parseFrontmatter(content) {
+  const result = { metadata: {}, body: '', bodyLine: 1, errors: [], lines: {} };
+  const source = String(content).replace(/^\uFEFF/, '');
+  const allLines = source.split(/\r?\n/);
+
+  if (allLines[0].trimEnd() !== '---') {
+    result.body = source;
+    result.errors.push({ line: 1, message: 'Missing YAML frontmatter (the file must start with "---")' });
+    return result;
+  }
+
+  let end = -1;
+  for (let i = 1; i < allLines.length; i++) {
+    if (allLines[i].trimEnd() === '---' || allLines[i].trimEnd() === '...') {
+      end = i;
+      break;
+    }
+  }
+
+  if (end === -1) {
+    result.errors.push({ line: 1, message: 'Unterminated YAML frontmatter (no closing "---")' });
+    return result;
+  }
+
+  result.body = allLines.slice(end + 1).join('\n');
+  result.bodyLine = end + 2;
+
+  const addError = (index, message) => {
+    result.errors.push({ line: index + 1, message });
+  };
+
+  let i = 1;
+  while (i < end) {
+    const line = allLines[i];
+
+    if (line.trim() === '' || line.trim().startsWith('#')) {
+      i++;
+      continue;
+    }
+
+    if (/^\s/.test(line)) {
+      addError(i, 'Unexpected indentation');
+      i++;
+      continue;
+    }
+
+    const match = line.match(KEY_LINE);
+    if (!match) {
+      addError(i, `Expected "key: value", got "${line.trim()}"`);
+      i++;
+      continue;
+    }
+
+    const key = match[1];
+    const rawValue = match[2] === undefined ? '' : match[2];
+    const keyIndex = i;
+    i++;
+
+    if (Object.prototype.hasOwnProperty.call(result.metadata, key)) {
+      addError(keyIndex, `Duplicate key "${key}"`);
+    }
+
+    let value;
+    const header = rawValue.trim().match(BLOCK_SCALAR_HEADER);
+    if (header) {
+      const blockLines = [];
+      while (i < end && (allLines[i].trim() === '' || /^\s/.test(allLines[i]))) {
+        blockLines.push(allLines[i]);
+        i++;
+      }
+      value = parseBlockScalar(header, blockLines);
+    } else if (stripComment(rawValue) !== '') {
+      const parsed = parseInlineValue(rawValue);
+      if (parsed.error) {
+        addError(keyIndex, parsed.error);
+        continue;
+      }
+      value = parsed.value;
+    } else {
+      // Collect the indented block that belongs to this key
+      const block = [];
+      while (i < end && (allLines[i].trim() === '' || /^\s/.test(allLines[i]) || /^-(\s|$)/.test(allLines[i]))) {
+        if (allLines[i].trim() !== '' && !allLines[i].trim().startsWith('#')) {
+          block.push({ index: i, indent: allLines[i].match(/^\s*/)[0].length, text: allLines[i].trim() });
+        }
+        i++;
+      }
+      value = parseBlock(block, addError);
+    }
+
+    result.metadata[key] = value;
+    result.lines[key] = keyIndex + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Parses the lines of a literal (`|`) or folded (`>`) block scalar
+ * @param {Array<string>} header - Match of BLOCK_SCALAR_HEADER: style, chomping and indentation indicators
+ * @param {string[]} lines - The raw lines following the header
+ * @returns {string} - The scalar value
+ */
+function parseBlockScalar(header, lines) {
+  const folded = header[1] === '>';
+  const chomping = header[2] || header[4];
+  const firstContent = lines.find(line => line.trim() !== '');
+  const indent = header[3]
+    ? Number(header[3])
+    : (firstContent ? firstContent.match(/^\s*/)[0].length : 0);
+
+  const content = lines.map(line => line.slice(indent));
+  let last = content.length - 1;
+  while (last >= 0 && content[last].trim() === '') {
+    last--;
+  }
+  const trailingBlankLines = content.length - 1 - last;
+  const kept = content.slice(0, last + 1);
+
+  let text;
+  if (folded) {
+    text = kept.reduce((folding, line, index) => {
+      if (index === 0) {
+        return line;
+      }
+      const previous = kept[index - 1];
+      if (line === '') {
+        return `${folding}\n`;
+      }
+      if (previous === '' || /^\s/.test(line) || /^\s/.test(previous)) {
+        return previous === '' ? folding + line : `${folding}\n${line}`;
+      }
+      return `${folding} ${line}`;
+    }, '');
+  } else {
+    text = kept.join('\n');
+  }
+
+  if (kept.length === 0 || chomping === '-') {
+    return text;
+  }
+  if (chomping === '+') {
+    return text + '\n'.repeat(trailingBlankLines + 1);
+  }
+  return `${text}\n`;
+}
+
+/**
+ * Parses the indented lines under a key as either a list or a map.
+ * Maps may nest further maps or lists; list items must be scalars.
+ * @param {Array<{index: number, indent: number, text: string}>} block - Non-empty lines of the block
+ * @param {Function} addError - Callback for reporting errors
+ * @returns {Array|Object|null} - The parsed list or map, or null for an empty block
+ */
+function parseBlock(block, addError) {
+  if (block.length === 0) {
+    return null;
+  }
+
+  const indent = block[0].indent;
+  const isListItem = text => /^-(\s|$)/.test(text);
+
+  if (isListItem(block[0].text)) {
+    const items = [];
+    block.forEach(({ index, indent: lineIndent, text }) => {
+      if (lineIndent !== indent || !isListItem(text)) {
+        addError(index, lineIndent > indent ? 'Nested lists are not supported' : 'Expected a list item ("- value")');
+        return;
+      }
+      const parsed = parseInlineValue(text.slice(1));
+      if (parsed.error) {
+        addError(index, parsed.error);
+        return;
+      }
+      items.push(parsed.value);
+    });
+    return items;
+  }
+
+  const map = {};
+  let i = 0;
+  while (i < block.length) {
+    const { index, indent: lineIndent, text } = block[i];
+    i++;
+
+    if (lineIndent !== indent) {
+      addError(index, 'Unexpected indentation');
+      continue;
+    }
+
+    const match = text.match(KEY_LINE);
+    if (!match) {
+      addError(index, `Expected "key: value", got "${text}"`);
+      continue;
+    }
+
+    const rawValue = match[2] === undefined ? '' : match[2];
+    if (stripComment(rawValue) !== '') {
+      const parsed = parseInlineValue(rawValue);
+      if (parsed.error) {
+        addError(index, parsed.error);
+        continue;
+      }
+      map[match[1]] = parsed.value;
+      continue;
+    }
+
+    // Deeper lines (or list items at the same indentation) belong to this key
+    const children = [];
+    while (i < block.length && (block[i].indent > indent || (block[i].indent === indent && isListItem(block[i].text)))) {
+      children.push(block[i]);
+      i++;
+    }
+    map[match[1]] = parseBlock(children, addError);
+  }
+  return map;
+}
+
+/**
+ * Parses a standalone YAML document using the same subset as the frontmatter parser
+ * @param {string} content - The YAML text
+ * @returns {{value: Object, errors: Array<{line: number, message: string}>}} - The top-level map and any errors
+ */
+function parseYaml(content) {
+  const { metadata, errors } = parseFrontmatter(`---\n${String(content).replace(/^\uFEFF/, '')}\n---\n`);
+  return {
+    value: metadata,
+    errors: errors.map(error => ({ line: error.line - 1, message: error.message })),
+  };
+}
+
+/**
+ * Escapes a string as a YAML double-quoted scalar
+ * @param {string} value - The string to quote
+ * @returns {string} - The quoted scalar
+ */
+function doubleQuote(value) {
+  const escapes = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\t': '\\t', '\r': '\\r' };
+  const escaped = value.replace(/[\\"\u0000-\u001f\u007f\u2028\u2029]/g, char => {
+    return escapes[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+  });
+  return `"${escaped}"`;
+}
+
+/**
+ * Checks whether YAML loaders read plain text as something other than a
+ * string: a boolean, null, a number or a date
+ * @param {string} text - The plain text
+ * @returns {boolean} - True if the text would be retyped
+ */
+function isTypedScalar(text) {
+  return RESERVED_PLAIN.test(text) || NUMBER_LIKE.test(text) || DATE_LIKE.test(text);
+}
+
+/**
+ * Formats a single value as an inline YAML scalar, quoting it only when
+ * the plain form would be misread or retyped
+ * @param {*} value - A string, number, boolean or null
+ * @returns {string} - The YAML scalar
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  const text = String(value);
+  if (CONTROL_CHARS.test(text)) {
+    return doubleQuote(text);
+  }
+
+  const needsQuotes = text === ''
+    || UNSAFE_PLAIN_START.test(text)
+    || /\s$/.test(text)
+    || /:(\s|$)/.test(text)
+    || /\s#/.test(text)
+    || isTypedScalar(text);
+
+  return needsQuotes ? `'${text.replace(/'/g, '\'\'')}'` : text;
+}
+
+/**
+ * Formats a multi-line string as a literal block scalar, or returns null
+ * when the string cannot be represented faithfully that way
+ * @param {string} value - The string to format
+ * @returns {string|null} - The block scalar (header and indented lines), or null
+ */
+function formatBlockScalar(value) {
+  if (/[\u0000-\u0009\u000b-\u001f\u007f\u2028\u2029]/.test(value) || /^\s/.test(value) || /\n\n$/.test(value)) {
+    return null;
+  }
+
+  const chomping = value.endsWith('\n') ? '' : '-';
+  const lines = value.replace(/\n$/, '').split('\n');
+  if (lines[lines.length - 1].trim() === '') {
+    // Chomping drops a trailing whitespace-only line when parsed back
+    return null;
+  }
+  return `|${chomping}\n${lines.map(line => (line === '' ? '' : `  ${line}`)).join('\n')}`;
+}
+
+/**
+ * Serializes metadata as a SKILL.md frontmatter block, quoting and
+ * escaping values so they parse back to exactly the same data
+ * @param {Object} metadata - Keys in output order; undefined values are skipped
+ * @returns {string} - The frontmatter, from the opening to the closing `---`
+ */
+function serializeFrontmatter(metadata) {
+  const lines = ['---'];
+
+  Object.keys(metadata).forEach(key => {
+    const value = metadata[key];
+
+    if (value === undefined) {
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        lines.push(`${key}: []`);
+      } else {
+        lines.push(`${key}:`);
+        value.forEach(item => lines.push(`  - ${formatScalar(item)}`));
+      }
+    } else if (value !== null && typeof value === 'object') {
+      const entries = Object.keys(value).filter(entry => value[entry] !== undefined);
+      if (entries.length === 0) {
+        lines.push(`${key}: {}`);
+      } else {
+        lines.push(`${key}:`);
+        entries.forEach(entry => lines.push(`  ${entry}: ${formatScalar(value[entry])}`));
+      }
+    } else if (typeof value === 'string' && value.includes('\n') && formatBlockScalar(value)) {
+      lines.push(`${key}: ${formatBlockScalar(value)}`);
+    } else {
+      lines.push(`${key}: ${formatScalar(value)}`);
+    }
+  });
+
+  lines.push('---');
+  return lines.join('\n');
+}
+
+/**
+ * Splits SKILL.md content where its Markdown body starts, keeping line
+ * endings and any byte order mark exactly as they are
+ * @param {string} content - The full contents of a SKILL.md file
+ * @returns {{frontmatter: string, body: string}} - The text up to and including the closing `---`
+ *   (empty without frontmatter), and the rest
+ */
+function splitFrontmatter(content) {
+  const { bodyLine } = parseFrontmatter(content);
+  const lines = String(content).split(/(?<=\n)/);
+  return { frontmatter: lines.slice(0, bodyLine - 1).join(''), body: lines.slice(bodyLine - 1).join('') };
+}
+
+module.exports = {
+  parseFrontmatter,
+  splitFrontmatter,
+  parseYaml,
+  serializeFrontmatter,
+  formatScalar,
+  isTypedScalar,
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter, validateSkill, getSkillNameProblems, validatePathAvailable } = require('./utils');
+const { readZip } = require('./zip');
+const { buildPlan, applyPlan } = require('./plan');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * Normalizes an archive entry path and checks that it stays inside the
+ * extraction directory
+ * @param {string} entryPath - The path stored in the archive
+ * @returns {string|null} - The normalized forward-slash path, or null if it escapes
+ */
+function safeEntryPath(entryPath) {
+  const normalized = path.posix.normalize(entryPath.replace(/\\/g, '/')).replace(/\/$/, '');
+  if (normalized === '..' || normalized.startsWith('../') || path.posix.isAbsolute(normalized) || /^[A-Za-z]:/.test(normalized)) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Most links followed while resolving one link, as in the kernel's limit
+ */
+const MAX_LINK_HOPS = 40;
+
+/**
+ * Resolves a symbolic link of an archive the way the file system will once
+ * the skill is extracted, following any other links of the archive that
+ * the path goes through
+ * @param {string} linkPath - Path of the link, relative to the skill
+ * @param {Map<string, string>} links - The target of every link in the skill, by path
+ * @returns {string|null} - The resolved path relative to the skill ('' for the skill itself),
+ *   or null if it leaves the skill, is absolute or loops
+ */
+function resolveLink(linkPath, links) {
+  const resolved = [];
+  const pending = linkPath.split('/');
+  let hops = 0;
+
+  while (pending.length > 0) {
+    const part = pending.shift();
+    if (part === '' || part === '.') {
+      continue;
+    }
+    if (part === '..') {
+      if (resolved.length === 0) {
+        return null;
+      }
+      resolved.pop();
+      continue;
+    }
+    resolved.push(part);
+    const target = links.get(resolved.join('/'));
+    if (target !== undefined) {
+      if (path.posix.isAbsolute(target) || ++hops > MAX_LINK_HOPS) {
+        return null;
+      }
+      // The target is relative to the folder holding the link
+      resolved.pop();
+      pending.unshift(...target.split('/'));
+    }
+  }
+
+  return resolved.join('/');
+}
+
+/**
+ * Finds the skill inside an archive: SKILL.md at the root, or in a single
+ * top-level folder
+ * @param {Array<{path: string, isDirectory: boolean}>} entries - Entries with safe paths
+ * @returns {string|null} - The folder prefix holding the skill ('' for the root, or 'folder/'), or null if there is no SKILL.md
+ */
+function findSkillRoot(entries) {
+  const files = entries.filter(entry => !entry.isDirectory);
+  if (files.some(entry => entry.path === 'SKILL.md')) {
+    return '';
+  }
+  const topLevel = new Set(entries.map(entry => entry.path.split('/')[0]));
+  if (topLevel.size === 1) {
+    const [folder] = topLevel;
+    if (files.some(entry => entry.path === `${folder}/SKILL.md`)) {
+      return `${folder}/`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Extracts a packaged skill into a directory named after the skill. Entries
+ * that would escape the target and symbolic links pointing outside it are
+ * rejected, and the skill must pass the same name, collision and validation
+ * checks as a newly created one.
+ * @param {string} archivePath - The zip archive
+ * @param {Object} [options] - Import options
+ * @param {string} [options.dir] - Directory to extract the skill into; defaults to the current directory
+ * @returns {Promise<{name: string, path: string, files: string[]}>} - The skill name, its directory and the extracted files
+ * @throws {SkillError} - INVALID_ARCHIVE, INVALID_NAME, DIRECTORY_EXISTS, INVALID_SKILL or WRITE_FAILED
+ */
+async function importSkill(archivePath, { dir = process.cwd() } = {}) {
+  let entries;
+  try {
+    entries = readZip(fs.readFileSync(archivePath));
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.INVALID_ARCHIVE, `Cannot read ${archivePath}: ${error.message}`);
+  }
+
+  const unsafe = [];
+  entries = entries
+    .map(entry => ({ ...entry, path: safeEntryPath(entry.path), originalPath: entry.path }))
+    .filter(entry => {
+      if (entry.path === null) {
+        unsafe.push(`  ${entry.originalPath}  escapes the target directory`);
+        return false;
+      }
+      return entry.path !== '.';
+    });
+
+  const root = findSkillRoot(entries);
+  if (unsafe.length === 0 && root === null) {
+    throw new SkillError(ERROR_CODES.INVALID_ARCHIVE, `${archivePath} has no SKILL.md at its root or in a single top-level folder`);
+  }
+
+  const skillEntries = entries
+    .filter(entry => entry.path.startsWith(root || '') && `${entry.path}/` !== root)
+    .map(entry => ({ ...entry, path: entry.path.slice((root || '').length) }));
+
+  // Links may point anywhere inside the skill, but not out of it, also not through other links
+  const links = new Map(skillEntries
+    .filter(entry => entry.isSymlink)
+    .map(entry => [entry.path, entry.content.toString('utf8')]));
+  skillEntries.filter(entry => entry.isSymlink).forEach(entry => {
+    if (resolveLink(entry.path, links) === null) {
+      unsafe.push(`  ${entry.originalPath}  is a symbolic link to "${links.get(entry.path)}" outside the skill`);
+    }
+  });
+
+  if (unsafe.length > 0) {
+    throw new SkillError(ERROR_CODES.INVALID_ARCHIVE, `${archivePath} contains unsafe entries`, unsafe);
+  }
+
+  const skillMd = skillEntries.find(entry => entry.path === 'SKILL.md');
+  const { metadata } = parseFrontmatter(skillMd.content.toString('utf8'));
+  const name = typeof metadata.name === 'string' ? metadata.name : '';
+  const nameProblems = getSkillNameProblems(name);
+  if (nameProblems.length > 0) {
+    throw new SkillError(ERROR_CODES.INVALID_NAME, `Invalid skill name "${name}" in ${archivePath}`, nameProblems.map(problem => `  - ${problem}`));
+  }
+
+  const targetPath = path.resolve(dir, name);
+  if (!validatePathAvailable(targetPath)) {
+    throw new SkillError(ERROR_CODES.DIRECTORY_EXISTS, `Directory "${path.relative(process.cwd(), targetPath)}" already exists.`);
+  }
+
+  const plan = buildPlan(skillEntries
+    .filter(entry => !entry.isDirectory)
+    .map(entry => ({
+      path: entry.path.split('/').join(path.sep),
+      content: entry.content,
+      mode: entry.mode || 0o644,
+      symlink: entry.isSymlink ? entry.content.toString('utf8') : undefined,
+    })));
+  // Keep empty directories stored in the archive
+  skillEntries.filter(entry => entry.isDirectory).forEach(entry => {
+    const dirPath = entry.path.split('/').join(path.sep);
+    if (!plan.directories.includes(dirPath)) {
+      plan.directories.push(dirPath);
+    }
+  });
+  plan.directories.sort();
+
+  try {
+    await applyPlan(targetPath, plan);
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.WRITE_FAILED, `Could not import skill: ${error.message}`);
+  }
+
+  const validation = validateSkill(targetPath);
+  if (!validation.valid) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${archivePath} does not contain a valid skill`, validation.errors.map(error => {
+      const location = error.line > 0 ? `${path.relative(targetPath, error.file)}:${error.line}` : path.relative(targetPath, error.file);
+      return `  ${location || 'SKILL.md'}  ${error.message}`;
+    }));
+  }
+
+  return {
+    name,
+    path: targetPath,
+    files: plan.files.map(file => file.path.split(path.sep).join('/')),
+  };
+}
+
+module.exports = {
+  safeEntryPath,
+  findSkillRoot,
+  importSkill,
+};
@@ -0,0 +1,7 @@
+/**
+ * Type declarations for the ES module entry point, lib/index.mjs
+ */
+import * as api from './index.js';
+
+export * from './index.js';
+export default api;
@@ -0,0 +1,95 @@
+/**
+ * Type declarations for the package entry point, lib/index.js
+ */
+import type { SkillMetadata } from './utils';
+
+export * from './utils';
+
+/** Stable error codes carried by SkillError#code */
+export declare const ERROR_CODES: {
+  readonly INVALID_ARGUMENT: 'INVALID_ARGUMENT';
+  readonly INVALID_CONFIG: 'INVALID_CONFIG';
+  readonly INVALID_TEMPLATE: 'INVALID_TEMPLATE';
+  readonly INVALID_NAME: 'INVALID_NAME';
+  readonly MISSING_NAME: 'MISSING_NAME';
+  readonly MISSING_DESCRIPTION: 'MISSING_DESCRIPTION';
+  readonly DIRECTORY_EXISTS: 'DIRECTORY_EXISTS';
+  readonly FILE_EXISTS: 'FILE_EXISTS';
+  readonly INVALID_SKILL: 'INVALID_SKILL';
+  readonly INVALID_ARCHIVE: 'INVALID_ARCHIVE';
+  readonly MANIFEST_STALE: 'MANIFEST_STALE';
+  readonly GIT_FAILED: 'GIT_FAILED';
+  readonly WRITE_FAILED: 'WRITE_FAILED';
+  readonly UNEXPECTED_ERROR: 'UNEXPECTED_ERROR';
+};
+
+export type ErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
+/** An expected failure with a stable code and lines explaining how to fix it */
+export declare class SkillError extends Error {
+  constructor(code: ErrorCode, message: string, details?: string[]);
+  name: 'SkillError';
+  code: ErrorCode;
+  details: string[];
+}
+
+/** A file of a rendered template */
+export interface PlannedFile {
+  /** Path relative to the skill directory */
+  path: string;
+  content: string | Buffer;
+  mode: number;
+}
+
+/** A template resolved from a name, folder or git URL */
+export interface ResolvedTemplate {
+  name: string;
+  path: string;
+  manifest: Record<string, unknown> & { prompts: Array<{ name: string; message: string; initial?: string }> };
+  /** Removes any temporary checkout */
+  cleanup(): void;
+}
+
+export interface CreateSkillOptions {
+  metadata: SkillMetadata;
+  /** Template name or location, or a resolved template; `basic` by default */
+  template?: string | ResolvedTemplate;
+  /** Values for the template's own variables */
+  variables?: Record<string, string>;
+  /** Directory to create the skill in, the current directory by default */
+  dir?: string;
+  /** Overwrite files of an existing skill directory */
+  force?: boolean;
+  /** Add missing files to an existing skill directory */
+  merge?: boolean;
+  /** With `merge`, decides for each file that differs from the template what to do with it */
+  resolveConflict?: (file: PlannedFile) => Promise<'overwrite' | 'skip'>;
+  /** Work out the result without writing anything */
+  dryRun?: boolean;
+  /** Object with the API of Node's `fs` module to write through */
+  fs?: typeof import('fs');
+}
+
+export interface CreateSkillResult {
+  name: string;
+  /** Absolute path of the skill directory */
+  path: string;
+  /** Name of the template used */
+  template: string;
+  dryRun: boolean;
+  /** Directories of the skill, relative with `/` separators */
+  directories: string[];
+  /** Files of the skill, relative with `/` separators */
+  files: string[];
+  metadata: SkillMetadata;
+  /** What happened to each file of an existing directory, null for a new one */
+  changes: Array<{ path: string; action: 'create' | 'overwrite' | 'skip' | 'identical' }> | null;
+  /** The rendered files and directories */
+  plan: { directories: string[]; files: PlannedFile[] };
+}
+
+/** Creates a new skill from a template; rejects with a SkillError */
+export declare function createSkill(options: CreateSkillOptions): Promise<CreateSkillResult>;
+
+/** The available built-in templates, the default first */
+export declare function listTemplates(): Array<{ name: string; description: string }>;
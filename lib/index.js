@@ -0,0 +1,17 @@
+/**
+ * Public API of the package: `require('create-skills')`. Everything
+ * lib/utils.js exported while it was the package entry point is still
+ * exported from here.
+ */
+const utils = require('./utils');
+const { createSkill } = require('./create');
+const { listTemplates } = require('./templates');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+module.exports = {
+  ...utils,
+  createSkill,
+  listTemplates,
+  ERROR_CODES,
+  SkillError,
+};
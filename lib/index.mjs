@@ -0,0 +1,35 @@
+/**
+ * ES module entry point: `import { createSkill } from 'create-skills'`.
+ * Re-exports the CommonJS API of lib/index.js.
+ */
+import api from './index.js';
+
+export const {
+  SKILL_FIELDS,
+  SKILLS_DIRECTORIES,
+  TOOL_PATTERN,
+  parseAllowedTools,
+  isValidVersion,
+  validateSkillName,
+  getSkillNameProblems,
+  slugifySkillName,
+  validateMetadata,
+  validateSkill,
+  validateSkillContent,
+  parseFrontmatter,
+  serializeFrontmatter,
+  validatePathAvailable,
+  findSkillsDirectories,
+  createDirectoryStructure,
+  createSkillMd,
+  createReadme,
+  generateSkillMdContent,
+  buildFrontmatterFields,
+  getTemplateVariables,
+  createSkill,
+  listTemplates,
+  ERROR_CODES,
+  SkillError,
+} = api;
+
+export default api;
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { RESOURCE_KINDS } = require('./resources');
+const { resolveRules, lintSkill } = require('./lint');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * Rough number of characters per token of English text, as used for
+ * estimating how much of an agent's context a skill takes up
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Lists the files below a folder of a skill, skipping `.gitkeep`
+ * @param {string} skillPath - The skill directory
+ * @param {string} folder - The folder, relative to the skill
+ * @returns {Array<{path: string, size: number}>} - Files relative to the skill with `/` separators, sorted
+ */
+function listFiles(skillPath, folder) {
+  const files = [];
+  const walk = (relativeDir) => {
+    const dirPath = path.join(skillPath, relativeDir);
+    fs.readdirSync(dirPath, { withFileTypes: true }).forEach(entry => {
+      const relativePath = `${relativeDir}/${entry.name}`;
+      if (entry.isDirectory()) {
+        walk(relativePath);
+      } else if (entry.name !== '.gitkeep') {
+        files.push({ path: relativePath, size: fs.statSync(path.join(skillPath, relativePath)).size });
+      }
+    });
+  };
+
+  if (fs.existsSync(path.join(skillPath, folder)) && fs.statSync(path.join(skillPath, folder)).isDirectory()) {
+    walk(folder);
+  }
+  return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Counts the size of a Markdown body
+ * @param {string} body - The body text
+ * @returns {{lines: number, words: number, tokens: number}} - Line and word counts, and an
+ *   estimate of the tokens the body takes up in an agent's context
+ */
+function countBody(body) {
+  const text = body.replace(/\n$/, '');
+  return {
+    lines: text === '' ? 0 : text.split('\n').length,
+    // Markdown markers such as `#` and `-` are not words
+    words: text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length,
+    tokens: Math.ceil(text.length / CHARS_PER_TOKEN),
+  };
+}
+
+/**
+ * Gathers what is known about an existing skill: its metadata, the files in
+ * its resource folders, the size of its instructions and any problems
+ * @param {string} skillPath - The skill directory
+ * @param {Object<string, {severity: string, options: Object}>} [rules] - Lint rules for the errors and warnings, from resolveRules
+ * @returns {{name: (string|null), path: string, metadata: Object, body: {line: number, lines: number, words: number, tokens: number},
+ *   resources: Object<string, Array<{path: string, size: number, linked: boolean}>>,
+ *   errors: Array<{rule: string, file: string, line: number, message: string}>,
+ *   warnings: Array<{rule: string, file: string, line: number, message: string}>}}
+ *   - The skill; resources are listed by folder with whether SKILL.md mentions them, and errors and
+ *   warnings are the lint problems of each severity (`validate` problems come from the `spec` rule)
+ * @throws {SkillError} - INVALID_SKILL if the directory has no SKILL.md
+ */
+function getSkillInfo(skillPath, rules = resolveRules()) {
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  if (!fs.existsSync(skillMdPath)) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${skillPath} is not a skill (SKILL.md not found)`);
+  }
+
+  const content = fs.readFileSync(skillMdPath, 'utf8');
+  const { metadata, body, bodyLine } = parseFrontmatter(content);
+
+  const problems = lintSkill(skillPath, rules);
+  const withoutSeverity = ({ rule, file, line, message }) => ({ rule, file, line, message });
+
+  const resources = {};
+  Object.values(RESOURCE_KINDS).forEach(({ folder }) => {
+    resources[folder] = listFiles(skillPath, folder).map(file => ({
+      ...file,
+      linked: body.includes(file.path) || body.includes(encodeURI(file.path)),
+    }));
+  });
+
+  return {
+    name: typeof metadata.name === 'string' ? metadata.name : null,
+    path: skillPath,
+    metadata,
+    body: { line: bodyLine, ...countBody(body) },
+    resources,
+    errors: problems.filter(problem => problem.severity === 'error').map(withoutSeverity),
+    warnings: problems.filter(problem => problem.severity === 'warning').map(withoutSeverity),
+  };
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  countBody,
+  getSkillInfo,
+};
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { validateSkill } = require('./utils');
+
+/**
+ * Severities a rule can be configured with; 'off' disables the rule
+ */
+const SEVERITIES = ['off', 'warning', 'error'];
+
+/**
+ * Placeholder text emitted by the built-in templates, which should be
+ * replaced before a skill is shared
+ */
+const PLACEHOLDERS = [
+  'Use this skill when you need to...',
+  'Use this skill when the user asks you to...',
+  'Use this skill when the user asks about...',
+  'First step...',
+  'Second step...',
+  'Third step...',
+  'Provide examples of how to use this skill...',
+  'Add any additional notes or considerations here...',
+  'Describe the first action to take...',
+  'Describe how to verify the result...',
+  'Describe a typical user request here...',
+  'Describe what a good response looks like...',
+  'Collect the input from the user...',
+  'Summarize the output for the user...',
+  'read its message and...',
+  'Prefer...',
+  'Avoid...',
+  'Ask for clarification when...',
+];
+
+/**
+ * Folders whose files SKILL.md may link to
+ */
+const LINKED_FOLDERS = ['scripts', 'references', 'assets'];
+
+/**
+ * Checks a skill's content. Each check receives the parsed skill and the
+ * rule's options and returns problems as `{line, message}`.
+ */
+const LINT_RULES = {
+  spec: {
+    severity: 'error',
+    description: 'The skill follows the Agent Skills spec (same checks as `validate`)',
+    options: {},
+    check: (skill) => skill.validation.errors.map(error => ({
+      file: error.file,
+      line: error.line,
+      message: error.message,
+    })),
+  },
+  'no-placeholders': {
+    severity: 'warning',
+    description: 'SKILL.md no longer holds the placeholder text of its template',
+    options: {},
+    check: (skill) => {
+      const problems = [];
+      if (typeof skill.metadata.description === 'string'
+        && /^A skill for .+ functionality\.$/.test(skill.metadata.description)) {
+        problems.push({ line: skill.fieldLines.description, message: 'The description is still the generated default' });
+      }
+      skill.bodyLines.forEach(({ line, text }) => {
+        PLACEHOLDERS.filter(placeholder => text.includes(placeholder)).forEach(placeholder => {
+          problems.push({ line, message: `Placeholder text "${placeholder}" has not been replaced` });
+        });
+      });
+      return problems;
+    },
+  },
+  'description-length': {
+    severity: 'warning',
+    description: 'The description is long enough for agents to discover the skill, and within the spec limit',
+    options: { min: 40, max: 1024 },
+    check: (skill, options) => {
+      const { description } = skill.metadata;
+      if (typeof description !== 'string' || description.trim() === '') {
+        return [];
+      }
+      const length = description.trim().length;
+      if (length < options.min) {
+        return [{
+          line: skill.fieldLines.description,
+          message: `The description is ${length} characters long; use at least ${options.min} so agents know when to use the skill`,
+        }];
+      }
+      if (length > options.max) {
+        return [{
+          line: skill.fieldLines.description,
+          message: `The description is ${length} characters long; the limit is ${options.max}`,
+        }];
+      }
+      return [];
+    },
+  },
+  'body-size': {
+    severity: 'warning',
+    description: 'The SKILL.md body is short enough to load in full; move details into references/',
+    options: { maxLines: 500 },
+    check: (skill, options) => {
+      if (skill.bodyLineCount <= options.maxLines) {
+        return [];
+      }
+      return [{
+        line: skill.bodyStart + options.maxLines,
+        message: `The SKILL.md body has ${skill.bodyLineCount} lines; keep it under ${options.maxLines} and move details into references/`,
+      }];
+    },
+  },
+  'broken-links': {
+    severity: 'error',
+    description: `Relative links to files under ${LINKED_FOLDERS.map(folder => `${folder}/`).join(', ')} point to existing files`,
+    options: {},
+    check: (skill) => {
+      const problems = [];
+      skill.bodyLines.forEach(({ line, text }) => {
+        findLinks(text).forEach(target => {
+          const relativePath = decodePath(target.replace(/[#?].*$/, '')).replace(/^\.\//, '');
+          const isLinkedFolder = LINKED_FOLDERS.some(folder => relativePath === folder || relativePath.startsWith(`${folder}/`));
+          if (isLinkedFolder && !fs.existsSync(path.join(skill.path, relativePath))) {
+            problems.push({ line, message: `Link to "${target}" points to a missing file` });
+          }
+        });
+      });
+      return problems;
+    },
+  },
+};
+
+/**
+ * Finds the link targets in a line of Markdown: `[text](target)` links and
+ * inline code spans holding a single path such as `scripts/run.sh`
+ * @param {string} text - The line
+ * @returns {string[]} - Link targets in order of appearance
+ */
+function findLinks(text) {
+  const targets = [];
+  const linkPattern = /\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+  const codePattern = /`((?:\.\/)?(?:scripts|references|assets)\/[^`\s]*)`/g;
+  let match;
+  while ((match = linkPattern.exec(text)) !== null) {
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(match[1]) && !match[1].startsWith('/')) {
+      targets.push(match[1]);
+    }
+  }
+  while ((match = codePattern.exec(text)) !== null) {
+    targets.push(match[1]);
+  }
+  return targets;
+}
+
+/**
+ * Decodes percent-escapes in a link target, leaving malformed ones as they are
+ * @param {string} target - The link target
+ * @returns {string} - The decoded path
+ */
+function decodePath(target) {
+  try {
+    return decodeURI(target);
+  } catch (error) {
+    return target;
+  }
+}
+
+/**
+ * Resolves rule settings from a config file or the command line on top of
+ * the defaults. A setting is a severity or a map of `severity` and options.
+ * @param {Object<string, (string|Object)>} [settings] - Settings by rule name
+ * @returns {Object<string, {severity: string, options: Object}>} - The severity and options of every rule
+ * @throws {Error} - On unknown rules, severities or options
+ */
+function resolveRules(settings = {}) {
+  const rules = {};
+  Object.keys(LINT_RULES).forEach(name => {
+    rules[name] = { severity: LINT_RULES[name].severity, options: { ...LINT_RULES[name].options } };
+  });
+
+  Object.keys(settings).forEach(name => {
+    if (!LINT_RULES[name]) {
+      throw new Error(`Unknown lint rule "${name}". Available rules: ${Object.keys(LINT_RULES).join(', ')}`);
+    }
+    const setting = settings[name];
+    const { severity = rules[name].severity, ...options } = typeof setting === 'string'
+      ? { severity: setting }
+      : setting || {};
+
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for lint rule "${name}" (expected one of: ${SEVERITIES.join(', ')})`);
+    }
+    Object.keys(options).forEach(option => {
+      const expected = typeof LINT_RULES[name].options[option];
+      if (expected === 'undefined') {
+        throw new Error(`Unknown option "${option}" for lint rule "${name}"`);
+      }
+      const value = expected === 'number' ? Number(options[option]) : options[option];
+      if (expected === 'number' && !Number.isFinite(value)) {
+        throw new Error(`Option "${option}" of lint rule "${name}" must be a number`);
+      }
+      rules[name].options[option] = value;
+    });
+    rules[name].severity = severity;
+  });
+
+  return rules;
+}
+
+/**
+ * Reads a skill for linting
+ * @param {string} skillPath - The skill directory
+ * @returns {Object} - The skill's path, validation result, metadata, field lines, and the
+ *   body's first line number, line count and lines outside fenced code blocks
+ */
+function readSkill(skillPath) {
+  const skill = {
+    path: skillPath,
+    skillMdPath: path.join(skillPath, 'SKILL.md'),
+    validation: validateSkill(skillPath),
+    metadata: {},
+    fieldLines: {},
+    bodyStart: 1,
+    bodyLineCount: 0,
+    bodyLines: [],
+  };
+
+  if (!fs.existsSync(skill.skillMdPath)) {
+    return skill;
+  }
+
+  const content = fs.readFileSync(skill.skillMdPath, 'utf8');
+  const { metadata, body, bodyLine, lines } = parseFrontmatter(content);
+  const bodyText = body.replace(/\n$/, '');
+
+  skill.metadata = metadata;
+  skill.fieldLines = lines;
+  skill.bodyStart = bodyLine;
+  skill.bodyLineCount = bodyText === '' ? 0 : bodyText.split('\n').length;
+
+  // Lines inside fenced code blocks are examples, not content to check
+  let inFence = false;
+  bodyText.split('\n').forEach((text, index) => {
+    const isFence = /^\s*(```|~~~)/.test(text);
+    if (isFence) {
+      inFence = !inFence;
+    }
+    if (!isFence && !inFence) {
+      skill.bodyLines.push({ line: bodyLine + index, text: text.replace(/\r$/, '') });
+    }
+  });
+
+  return skill;
+}
+
+/**
+ * Lints a skill directory
+ * @param {string} skillPath - The skill directory
+ * @param {Object<string, {severity: string, options: Object}>} [rules] - From resolveRules
+ * @returns {Array<{rule: string, severity: string, file: string, line: number, message: string}>}
+ *   - Problems ordered by file and line; `line` is 0 when a problem has no location
+ */
+function lintSkill(skillPath, rules = resolveRules()) {
+  const skill = readSkill(skillPath);
+  const problems = [];
+
+  Object.keys(LINT_RULES).forEach(name => {
+    const { severity, options } = rules[name];
+    if (severity === 'off') {
+      return;
+    }
+    LINT_RULES[name].check(skill, options).forEach(problem => {
+      problems.push({
+        rule: name,
+        severity,
+        file: problem.file || skill.skillMdPath,
+        line: problem.line || 0,
+        message: problem.message,
+      });
+    });
+  });
+
+  return problems.sort((a, b) => (a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1));
+}
+
+/**
+ * Converts lint results to a SARIF 2.1.0 log for code review tools
+ * @param {Array<{rule: string, severity: string, file: string, line: number, message: string}>} problems - From lintSkill
+ * @param {Object} [options] - Report options
+ * @param {string} [options.cwd] - Directory that file locations are made relative to
+ * @param {string} [options.version] - The create-skills version
+ * @returns {Object} - The SARIF log
+ */
+function toSarif(problems, { cwd = process.cwd(), version } = {}) {
+  const ruleNames = Object.keys(LINT_RULES);
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'create-skills',
+          ...(version ? { version } : {}),
+          informationUri: 'https://github.com/liangshuai/create-skills',
+          rules: ruleNames.map(name => ({
+            id: name,
+            shortDescription: { text: LINT_RULES[name].description },
+            defaultConfiguration: { level: LINT_RULES[name].severity },
+          })),
+        },
+      },
+      results: problems.map(problem => ({
+        ruleId: problem.rule,
+        ruleIndex: ruleNames.indexOf(problem.rule),
+        level: problem.severity,
+        message: { text: problem.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: path.relative(cwd, problem.file).split(path.sep).join('/') },
+            ...(problem.line > 0 ? { region: { startLine: problem.line } } : {}),
+          },
+        }],
+      })),
+    }],
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  PLACEHOLDERS,
+  LINT_RULES,
+  resolveRules,
+  lintSkill,
+  toSarif,
+};
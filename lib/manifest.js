@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_FILE, scanCollection, formatManifest } = require('./collection');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * Manifest styles export-manifest can write. Each builds the manifest from
+ * the skills found by scanCollection; `file` is where the manifest lives,
+ * relative to the skill or collection directory.
+ */
+const MANIFEST_FORMATS = {
+  skills: {
+    description: 'Generic skills.json index (the file written by `index`)',
+    file: MANIFEST_FILE,
+    build: (skills) => formatManifest(skills),
+  },
+  marketplace: {
+    description: 'Claude Code plugin marketplace, one plugin per skill',
+    file: path.join('.claude-plugin', 'marketplace.json'),
+    build: (skills, { name, owner }) => `${JSON.stringify({
+      name,
+      owner: { name: owner },
+      plugins: skills.map(skill => ({
+        name: skill.name,
+        description: skill.description,
+        ...(skill.version ? { version: skill.version } : {}),
+        ...(skill.author ? { author: { name: skill.author } } : {}),
+        ...(skill.license ? { license: skill.license } : {}),
+        ...(skill.tags.length > 0 ? { keywords: skill.tags } : {}),
+        source: './',
+        strict: false,
+        skills: [skill.path === '.' ? './' : `./${skill.path}`],
+      })),
+    }, null, 2)}\n`,
+  },
+};
+
+/**
+ * Builds a manifest for a skill or a collection of skills
+ * @param {string} rootPath - The skill or collection directory
+ * @param {Object} [options] - Manifest options
+ * @param {string} [options.format] - One of MANIFEST_FORMATS, 'skills' by default
+ * @param {string} [options.name] - Marketplace name, defaults to the directory name
+ * @param {string} [options.owner] - Marketplace owner, defaults to the marketplace name
+ * @returns {{format: string, file: string, content: string, skills: Array<Object>, warnings: string[]}}
+ *   - The manifest, its default path relative to the directory, the skills it lists and scan warnings
+ * @throws {SkillError} - INVALID_ARGUMENT for an unknown format
+ */
+function buildManifest(rootPath, { format = 'skills', name, owner } = {}) {
+  const style = MANIFEST_FORMATS[format];
+  if (!style) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Unknown manifest format "${format}" (expected one of: ${Object.keys(MANIFEST_FORMATS).join(', ')})`);
+  }
+
+  const { skills, warnings } = scanCollection(rootPath);
+  const manifestName = name || path.basename(path.resolve(rootPath));
+  return {
+    format,
+    file: style.file,
+    content: style.build(skills, { name: manifestName, owner: owner || manifestName }),
+    skills,
+    warnings,
+  };
+}
+
+/**
+ * Compares a manifest with the file committed for it. Whitespace and
+ * indentation differences are ignored; any other difference makes the
+ * file stale.
+ * @param {string} manifestPath - The committed manifest
+ * @param {string} content - The freshly built manifest
+ * @returns {{stale: boolean, reason: (string|null)}} - Whether the file needs regenerating, and why
+ */
+function checkManifest(manifestPath, content) {
+  if (!fs.existsSync(manifestPath)) {
+    return { stale: true, reason: 'does not exist' };
+  }
+  let committed;
+  try {
+    committed = JSON.stringify(JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+  } catch (error) {
+    return { stale: true, reason: 'is not valid JSON' };
+  }
+  if (committed !== JSON.stringify(JSON.parse(content))) {
+    return { stale: true, reason: 'is out of date' };
+  }
+  return { stale: false, reason: null };
+}
+
+module.exports = {
+  MANIFEST_FORMATS,
+  buildManifest,
+  checkManifest,
+};
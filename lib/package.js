@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter, validateSkill } = require('./utils');
+const { globToRegExp } = require('./templates');
+const { createZip } = require('./zip');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * File in a skill directory listing patterns to leave out of the package
+ */
+const IGNORE_FILE = '.skillignore';
+
+/**
+ * Patterns that are never packaged, in `.skillignore` syntax
+ */
+const DEFAULT_IGNORES = ['.git/', 'node_modules/', '.DS_Store', '.gitkeep', IGNORE_FILE];
+
+/**
+ * Parses `.skillignore` patterns. The syntax follows `.gitignore`: blank
+ * lines and `#` comments are skipped, a trailing `/` matches directories
+ * only, a pattern containing `/` is relative to the skill directory while
+ * one without matches at any depth, and `!` re-includes a path.
+ * @param {string} content - The ignore file's content
+ * @returns {Array<{regex: RegExp, negate: boolean, directoryOnly: boolean}>} - Rules in file order
+ */
+function parseIgnorePatterns(content) {
+  return content.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '' && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      let pattern = negate ? line.slice(1) : line;
+      const directoryOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+      return { regex: globToRegExp(anchored ? pattern : `**/${pattern}`), negate, directoryOnly };
+    });
+}
+
+/**
+ * Checks a path against ignore rules; the last matching rule wins
+ * @param {string} relativePath - Forward-slash path relative to the skill directory
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @param {Array<{regex: RegExp, negate: boolean, directoryOnly: boolean}>} rules - From parseIgnorePatterns
+ * @returns {boolean} - True if the path is ignored
+ */
+function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+  rules.forEach(rule => {
+    if ((!rule.directoryOnly || isDirectory) && rule.regex.test(relativePath)) {
+      ignored = !rule.negate;
+    }
+  });
+  return ignored;
+}
+
+/**
+ * Lists the files of a skill that go into its package, skipping the
+ * default ignores and anything matched by the skill's `.skillignore`.
+ * Files inside an ignored directory cannot be re-included. Symbolic links
+ * are listed as links, never followed, and must point inside the skill.
+ * @param {string} skillPath - The skill directory
+ * @returns {Array<{path: string, fullPath: string, mode: number, symlink: (string|undefined)}>} - Files with
+ *   forward-slash relative paths, sorted; `symlink` is the target of a link
+ * @throws {SkillError} - INVALID_SKILL if a link points outside the skill, or cannot be resolved
+ */
+function listPackageFiles(skillPath) {
+  const ignoreFile = path.join(skillPath, IGNORE_FILE);
+  const rules = parseIgnorePatterns(DEFAULT_IGNORES.join('\n'))
+    .concat(fs.existsSync(ignoreFile) ? parseIgnorePatterns(fs.readFileSync(ignoreFile, 'utf8')) : []);
+  const root = fs.realpathSync(skillPath);
+  const files = [];
+  const unsafe = [];
+
+  // Resolving the link on disk also follows any links it points through
+  const isInside = (fullPath, linkTarget) => {
+    if (path.isAbsolute(linkTarget)) {
+      return false;
+    }
+    try {
+      const resolved = fs.realpathSync(fullPath);
+      return resolved === root || resolved.startsWith(`${root}${path.sep}`);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const walk = (relativeDir) => {
+    fs.readdirSync(path.join(skillPath, relativeDir)).sort().forEach(entry => {
+      const relativePath = relativeDir ? `${relativeDir}/${entry}` : entry;
+      const fullPath = path.join(skillPath, relativePath);
+      const stats = fs.lstatSync(fullPath);
+      if (isIgnored(relativePath, stats.isDirectory(), rules)) {
+        return;
+      }
+      if (stats.isSymbolicLink()) {
+        const linkTarget = fs.readlinkSync(fullPath);
+        if (isInside(fullPath, linkTarget)) {
+          files.push({ path: relativePath, fullPath, mode: 0o777, symlink: linkTarget });
+        } else {
+          unsafe.push(`  ${relativePath}  is a symbolic link to "${linkTarget}" outside the skill, or one that cannot be resolved`);
+        }
+      } else if (stats.isDirectory()) {
+        walk(relativePath);
+      } else {
+        files.push({ path: relativePath, fullPath, mode: stats.mode & 0o777 });
+      }
+    });
+  };
+
+  walk('');
+  if (unsafe.length > 0) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${skillPath} contains symbolic links that cannot be packaged`,
+      unsafe.concat('Replace them with copies of the files, or leave them out in .skillignore.'));
+  }
+  return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Computes the SHA-256 checksum of some data
+ * @param {Buffer} data - The data
+ * @returns {string} - The hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Validates a skill and bundles it into a deterministic zip archive named
+ * `<name>-<version>.zip` (or `<name>.zip` without a version). Files are
+ * stored under a top-level `<name>/` folder.
+ * @param {string} skillPath - The skill directory
+ * @param {Object} [options] - Packaging options
+ * @param {string} [options.output] - Directory to write the archive to, or a path ending in `.zip`; defaults to the current directory
+ * @returns {{name: string, version: (string|null), archivePath: string, size: number, sha256: string,
+ *   files: Array<{path: string, size: number, sha256: string}>}} - The archive and its manifest
+ * @throws {SkillError} - INVALID_SKILL if validation fails or a symbolic link points outside the skill,
+ *   WRITE_FAILED if the archive cannot be written
+ */
+function packageSkill(skillPath, { output = process.cwd() } = {}) {
+  const validation = validateSkill(skillPath);
+  if (!validation.valid) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${skillPath} is not a valid skill`, validation.errors.map(error => {
+      const location = error.line > 0 ? `${error.file}:${error.line}` : error.file;
+      return `  ${location}  ${error.message}`;
+    }));
+  }
+
+  const { metadata } = parseFrontmatter(fs.readFileSync(path.join(skillPath, 'SKILL.md'), 'utf8'));
+  const version = typeof metadata.version === 'string' ? metadata.version : null;
+  const archiveName = version ? `${metadata.name}-${version}.zip` : `${metadata.name}.zip`;
+  const archivePath = output.endsWith('.zip') ? path.resolve(output) : path.resolve(output, archiveName);
+
+  const entries = listPackageFiles(skillPath)
+    .filter(file => file.fullPath !== archivePath)
+    .map(file => ({
+      path: `${metadata.name}/${file.path}`,
+      content: file.symlink === undefined ? fs.readFileSync(file.fullPath) : Buffer.from(file.symlink, 'utf8'),
+      // Only the executable bit matters; normalizing keeps archives identical across machines
+      mode: file.symlink !== undefined ? 0o777 : file.mode & 0o111 ? 0o755 : 0o644,
+      symlink: file.symlink !== undefined,
+    }));
+  const archive = createZip(entries);
+
+  try {
+    fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+    fs.writeFileSync(archivePath, archive);
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.WRITE_FAILED, `Could not write ${archivePath}: ${error.message}`);
+  }
+
+  return {
+    name: metadata.name,
+    version,
+    archivePath,
+    size: archive.length,
+    sha256: sha256(archive),
+    files: entries.map(entry => ({ path: entry.path, size: entry.content.length, sha256: sha256(entry.content) })),
+  };
+}
+
+module.exports = {
+  IGNORE_FILE,
+  DEFAULT_IGNORES,
+  parseIgnorePatterns,
+  isIgnored,
+  listPackageFiles,
+  packageSkill,
+};
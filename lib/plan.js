@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getTemplateVariables } = require('./utils');
+const { renderTemplate } = require('./templates');
+
+/**
+ * Computes the files and directories a new skill consists of, without
+ * touching the disk
+ * @param {Object} options - What to scaffold
+ * @param {{path: string, manifest: Object}} options.template - A template from resolveTemplate
+ * @param {Object} options.metadata - Skill metadata (name, description and optional fields)
+ * @param {Object<string, string>} [options.variables] - Extra template variables
+ * @returns {{directories: string[], files: Array<{path: string, content: (string|Buffer), mode: number}>}}
+ *   - Relative directory and file paths, sorted
+ */
+function planSkill({ template, metadata, variables = {} }) {
+  const files = renderTemplate(template.path, { ...variables, ...getTemplateVariables(metadata) }, template.manifest);
+  return buildPlan(files);
+}
+
+/**
+ * Builds a plan from a list of files, deriving the directories they need
+ * @param {Array<{path: string, content: (string|Buffer), mode: number}>} files - Files with relative paths
+ * @returns {{directories: string[], files: Array<{path: string, content: (string|Buffer), mode: number}>}}
+ *   - Relative directory and file paths, sorted
+ */
+function buildPlan(files) {
+  const directories = new Set();
+  files.forEach(file => {
+    let dir = path.dirname(file.path);
+    while (dir !== '.' && dir !== path.sep && !directories.has(dir)) {
+      directories.add(dir);
+      dir = path.dirname(dir);
+    }
+  });
+
+  return {
+    directories: Array.from(directories).sort(),
+    files: files.slice().sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0)),
+  };
+}
+
+/**
+ * Staging directories of plans currently being applied, with the file
+ * system each is written to
+ */
+const stagingDirs = new Map();
+
+/**
+ * Writes a plan into a staging directory next to the target and renames it
+ * into place once every file is written, so a failure never leaves a
+ * half-built skill behind
+ * @param {string} targetPath - The skill directory, which must not exist yet (its parents are created)
+ * @param {{directories: string[], files: Array<{path: string, content: (string|Buffer), mode: number, symlink: string}>}} plan
+ *   - From planSkill or buildPlan; files with a `symlink` target are created as symbolic links
+ * @param {Object} [fileSystem] - Object with the API of Node's `fs` module to write through, `fs` by default
+ * @returns {Promise<void>} - Resolves once the skill directory is in place
+ * @throws {Error} - If writing fails or the target appeared meanwhile; the staging directory is removed
+ */
+async function applyPlan(targetPath, plan, fileSystem = fs) {
+  const stagingPath = path.join(
+    path.dirname(targetPath),
+    `.${path.basename(targetPath)}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`
+  );
+
+  fileSystem.mkdirSync(path.dirname(targetPath), { recursive: true });
+  fileSystem.mkdirSync(stagingPath);
+  stagingDirs.set(stagingPath, fileSystem);
+
+  try {
+    for (const dir of plan.directories) {
+      await fileSystem.promises.mkdir(path.join(stagingPath, dir), { recursive: true });
+    }
+    for (const file of plan.files) {
+      if (file.symlink) {
+        await fileSystem.promises.symlink(file.symlink, path.join(stagingPath, file.path));
+      } else {
+        await fileSystem.promises.writeFile(path.join(stagingPath, file.path), file.content, { mode: file.mode });
+      }
+    }
+    // rename() would silently replace an empty directory, so check first
+    if (fileSystem.existsSync(targetPath)) {
+      throw new Error(`"${targetPath}" was created while the skill was being written`);
+    }
+    fileSystem.renameSync(stagingPath, targetPath);
+  } catch (error) {
+    fileSystem.rmSync(stagingPath, { recursive: true, force: true });
+    throw error;
+  } finally {
+    stagingDirs.delete(stagingPath);
+  }
+}
+
+/**
+ * Removes the staging directories of plans that are still being applied,
+ * e.g. when the process is interrupted
+ */
+function removeStagingDirs() {
+  stagingDirs.forEach((fileSystem, dir) => fileSystem.rmSync(dir, { recursive: true, force: true }));
+  stagingDirs.clear();
+}
+
+/**
+ * Compares a plan with an existing skill directory. `.gitkeep` files are
+ * dropped for directories that already hold other files.
+ * @param {string} targetPath - The existing skill directory
+ * @param {{directories: string[], files: Array<{path: string, content: (string|Buffer), mode: number}>}} plan - From planSkill or buildPlan
+ * @param {Object} [fileSystem] - Object with the API of Node's `fs` module to read through, `fs` by default
+ * @returns {Array<{file: Object, status: string}>} - Each planned file with a status of
+ *   'create' (missing), 'identical' (same content on disk) or 'conflict' (different content on disk)
+ */
+function diffPlan(targetPath, plan, fileSystem = fs) {
+  return plan.files
+    .filter(file => {
+      if (path.basename(file.path) !== '.gitkeep') {
+        return true;
+      }
+      const dirPath = path.join(targetPath, path.dirname(file.path));
+      return !fileSystem.existsSync(dirPath) || fileSystem.readdirSync(dirPath).every(entry => entry === '.gitkeep');
+    })
+    .map(file => {
+      const filePath = path.join(targetPath, file.path);
+      if (!fileSystem.existsSync(filePath)) {
+        return { file, status: 'create' };
+      }
+      const existing = fileSystem.statSync(filePath).isFile() ? fileSystem.readFileSync(filePath) : null;
+      return { file, status: existing && existing.equals(Buffer.from(file.content)) ? 'identical' : 'conflict' };
+    });
+}
+
+/**
+ * Writes files into an existing skill directory, leaving every other file
+ * alone. Each file is written to a temporary name first and renamed over
+ * the original, so no file is ever left half-written.
+ * @param {string} targetPath - The existing skill directory
+ * @param {Array<{path: string, content: (string|Buffer), mode: number}>} files - The files to create or overwrite
+ * @param {Object} [fileSystem] - Object with the API of Node's `fs` module to write through, `fs` by default
+ * @returns {Promise<void>} - Resolves once every file is written
+ * @throws {Error} - If a file cannot be written
+ */
+async function writePlanFiles(targetPath, files, fileSystem = fs) {
+  for (const file of files) {
+    const filePath = path.join(targetPath, file.path);
+    const tempPath = `${filePath}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    await fileSystem.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fileSystem.promises.writeFile(tempPath, file.content, { mode: file.mode });
+      await fileSystem.promises.rename(tempPath, filePath);
+    } catch (error) {
+      fileSystem.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Formats a line-by-line diff between two texts, marking removed lines
+ * with `-`, added lines with `+` and unchanged lines with a space
+ * @param {string} oldText - The current text
+ * @param {string} newText - The proposed text
+ * @returns {string} - The diff, one line per input line
+ */
+function formatDiff(oldText, newText) {
+  const a = oldText.replace(/\n$/, '').split('\n');
+  const b = newText.replace(/\n$/, '').split('\n');
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Formats a plan as a directory tree
+ * @param {string} rootName - Label for the top of the tree
+ * @param {{directories: string[], files: Array<{path: string}>}} plan - From planSkill or buildPlan
+ * @returns {string} - The tree, one entry per line
+ */
+function formatPlanTree(rootName, plan) {
+  const root = {};
+  const insert = (relativePath, isDirectory) => {
+    let node = root;
+    relativePath.split(path.sep).forEach((part, index, parts) => {
+      const last = index === parts.length - 1;
+      node[part] = node[part] || (last && !isDirectory ? null : {});
+      node = node[part];
+    });
+  };
+  plan.directories.forEach(dir => insert(dir, true));
+  plan.files.forEach(file => insert(file.path, false));
+
+  const lines = [`${rootName}/`];
+  const walk = (node, prefix) => {
+    const names = Object.keys(node).sort();
+    names.forEach((name, index) => {
+      const last = index === names.length - 1;
+      const isDirectory = node[name] !== null;
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${name}${isDirectory ? '/' : ''}`);
+      if (isDirectory) {
+        walk(node[name], `${prefix}${last ? '    ' : '│   '}`);
+      }
+    });
+  };
+  walk(root, '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Returns a file's content as text, or null if it looks binary
+ * @param {string|Buffer} content - The file content
+ * @returns {string|null} - The text, or null for binary data
+ */
+function contentAsText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return content.includes(0) ? null : content.toString('utf8');
+}
+
+module.exports = {
+  planSkill,
+  buildPlan,
+  applyPlan,
+  removeStagingDirs,
+  diffPlan,
+  writePlanFiles,
+  formatDiff,
+  formatPlanTree,
+  contentAsText,
+};
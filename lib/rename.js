@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter, splitFrontmatter } = require('./frontmatter');
+const { validatePathAvailable } = require('./utils');
+const { checkSkillName } = require('./create');
+const { replaceFrontmatterField } = require('./edit');
+const { writePlanFiles } = require('./plan');
+const { scanCollection, renderIndexFiles, findCollectionRoot } = require('./collection');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * Capitalizes a skill name the way templates render `{{title}}`
+ * @param {string} name - The skill name
+ * @returns {string} - The title
+ */
+function toTitle(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Replaces the skill's name in the first H1 heading of a Markdown text.
+ * Both the plain name and its title form are replaced; headings inside
+ * fenced code blocks are skipped.
+ * @param {string} content - The Markdown text
+ * @param {string} oldName - The current skill name
+ * @param {string} newName - The new skill name
+ * @returns {string} - The updated text
+ */
+function renameHeading(content, oldName, newName) {
+  const lines = content.split('\n');
+  let inFence = false;
+  const index = lines.findIndex(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return false;
+    }
+    return !inFence && /^# /.test(line);
+  });
+  if (index === -1) {
+    return content;
+  }
+  // Whole names only, so renaming `pdf` leaves `# Pdf-tools` alone
+  const replaceName = (text, from, to) => {
+    const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.replace(new RegExp(`(^|[^A-Za-z0-9_-])${escaped}(?![A-Za-z0-9_-])`, 'g'), `$1${to.replace(/\$/g, '$$$$')}`);
+  };
+  lines[index] = replaceName(replaceName(lines[index], oldName, newName), toTitle(oldName), toTitle(newName));
+  return lines.join('\n');
+}
+
+/**
+ * Works out every change renaming a skill involves, without touching the disk
+ * @param {string} skillPath - The skill directory
+ * @param {string} newName - The new skill name, which also names the directory
+ * @returns {{oldName: string, newName: string, from: string, to: string,
+ *   files: Array<{path: string, before: string, after: string}>}} - The skill's current and new name and
+ *   directory, and each file that changes with its absolute path (inside the old directory for the skill's own files)
+ * @throws {SkillError} - INVALID_SKILL, MISSING_NAME, INVALID_NAME, INVALID_ARGUMENT or DIRECTORY_EXISTS
+ */
+function planRename(skillPath, newName) {
+  const from = path.resolve(skillPath);
+  const skillMdPath = path.join(from, 'SKILL.md');
+  if (!fs.existsSync(skillMdPath)) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${skillPath} is not a skill (SKILL.md not found)`);
+  }
+
+  const skillMd = fs.readFileSync(skillMdPath, 'utf8');
+  const { metadata, errors } = parseFrontmatter(skillMd);
+  if (errors.length > 0 || typeof metadata.name !== 'string') {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `The frontmatter of ${path.join(skillPath, 'SKILL.md')} cannot be read; run "create-skills validate ${skillPath}"`);
+  }
+  const oldName = metadata.name;
+
+  checkSkillName(newName);
+  if (newName === oldName && path.basename(from) === newName) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `The skill is already named "${newName}".`);
+  }
+
+  const to = path.join(path.dirname(from), newName);
+  if (to !== from && !validatePathAvailable(to)) {
+    throw new SkillError(ERROR_CODES.DIRECTORY_EXISTS, `Directory "${path.relative(process.cwd(), to)}" already exists.`);
+  }
+
+  const files = [];
+  const change = (filePath, before, after) => {
+    if (after !== before) {
+      files.push({ path: filePath, before, after });
+    }
+  };
+
+  const { frontmatter, body } = splitFrontmatter(replaceFrontmatterField(skillMd, 'name', newName));
+  change(skillMdPath, skillMd, frontmatter + renameHeading(body, oldName, newName));
+
+  const readmePath = path.join(from, 'README.md');
+  if (fs.existsSync(readmePath)) {
+    const readme = fs.readFileSync(readmePath, 'utf8');
+    change(readmePath, readme, renameHeading(readme, oldName, newName));
+  }
+
+  // Catalog entries of the collection the skill belongs to
+  const root = findCollectionRoot(from);
+  if (root) {
+    const oldPath = path.relative(root, from).split(path.sep).join('/');
+    const newPath = path.relative(root, to).split(path.sep).join('/');
+    const skills = scanCollection(root).skills
+      .map(skill => (skill.path === oldPath ? { ...skill, name: newName, path: newPath } : skill))
+      .sort((a, b) => a.name.localeCompare(b.name) || a.path.localeCompare(b.path));
+    renderIndexFiles(root, skills).forEach(file => {
+      const filePath = path.join(root, file.path);
+      change(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '', file.content);
+    });
+  }
+
+  return { oldName, newName, from, to, files };
+}
+
+/**
+ * Renames a skill: updates its files, then moves the directory. If the
+ * move fails, the skill's files are restored.
+ * @param {string} skillPath - The skill directory
+ * @param {string} newName - The new skill name
+ * @returns {Promise<Object>} - The plan from planRename that was carried out
+ * @throws {SkillError} - As planRename, or WRITE_FAILED
+ */
+async function renameSkill(skillPath, newName) {
+  const plan = planRename(skillPath, newName);
+  const own = plan.files.filter(file => file.path.startsWith(plan.from + path.sep));
+  const others = plan.files.filter(file => !own.includes(file));
+  const toPlanFile = (file, content) => ({
+    path: path.relative(plan.from, file.path),
+    content,
+    mode: fs.statSync(file.path).mode & 0o777,
+  });
+
+  try {
+    await writePlanFiles(plan.from, own.map(file => toPlanFile(file, file.after)));
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.WRITE_FAILED, `Could not update the skill: ${error.message}`);
+  }
+
+  try {
+    if (plan.to !== plan.from) {
+      fs.renameSync(plan.from, plan.to);
+    }
+  } catch (error) {
+    await writePlanFiles(plan.from, own.map(file => toPlanFile(file, file.before)));
+    throw new SkillError(ERROR_CODES.WRITE_FAILED, `Could not move the skill to ${plan.to}: ${error.message}`);
+  }
+
+  try {
+    others.forEach(file => fs.writeFileSync(file.path, file.after));
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.WRITE_FAILED, `Renamed the skill but could not update the collection index: ${error.message}`, [
+      'Run "npx create-skills index" in the collection to regenerate it.',
+    ]);
+  }
+
+  return plan;
+}
+
+module.exports = {
+  renameHeading,
+  planRename,
+  renameSkill,
+};
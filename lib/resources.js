@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const { splitFrontmatter } = require('./frontmatter');
+const { writePlanFiles } = require('./plan');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * Script stubs by language. Each stub has a shebang, parses its
+ * arguments and prints usage for --help, so it runs as soon as it is added.
+ */
+const SCRIPT_LANGUAGES = {
+  python: {
+    extension: '.py',
+    stub: ({ file, skill }) => `#!/usr/bin/env python3
+"""${file}: part of the ${skill} skill.
+
+Replace this stub with the script's logic.
+"""
+
+import argparse
+import sys
+
+
+def main(argv=None):
+    parser = argparse.ArgumentParser(description="Part of the ${skill} skill.")
+    parser.add_argument("input", help="input to process")
+    parser.add_argument("-v", "--verbose", action="store_true", help="print progress details")
+    args = parser.parse_args(argv)
+
+    if args.verbose:
+        print(f"Processing {args.input}...", file=sys.stderr)
+    print(f"Processing: {args.input}")
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
+`,
+  },
+  node: {
+    extension: '.js',
+    stub: ({ file, skill }) => `#!/usr/bin/env node
+// ${file}: part of the ${skill} skill.
+// Replace this stub with the script's logic.
+
+function usage() {
+  console.log('Usage: ${file} [--verbose] <input>');
+  console.log();
+  console.log('Part of the ${skill} skill.');
+}
+
+const args = process.argv.slice(2);
+if (args.includes('-h') || args.includes('--help')) {
+  usage();
+  process.exit(0);
+}
+
+const verbose = args.includes('-v') || args.includes('--verbose');
+const [input] = args.filter(arg => !arg.startsWith('-'));
+if (input === undefined) {
+  usage();
+  process.exit(2);
+}
+
+if (verbose) {
+  console.error(\`Processing \${input}...\`);
+}
+console.log(\`Processing: \${input}\`);
+`,
+  },
+  bash: {
+    extension: '.sh',
+    stub: ({ file, skill }) => `#!/usr/bin/env bash
+# ${file}: part of the ${skill} skill.
+# Replace this stub with the script's logic.
+set -euo pipefail
+
+usage() {
+  echo "Usage: $(basename "$0") [--verbose] <input>"
+  echo
+  echo "Part of the ${skill} skill."
+}
+
+verbose=false
+input=""
+for arg in "$@"; do
+  case "$arg" in
+    -h|--help) usage; exit 0 ;;
+    -v|--verbose) verbose=true ;;
+    *) input="$arg" ;;
+  esac
+done
+
+if [[ -z "$input" ]]; then
+  usage
+  exit 2
+fi
+
+if [[ "$verbose" == true ]]; then
+  echo "Processing \${input}..." >&2
+fi
+echo "Processing: \${input}"
+`,
+  },
+};
+
+/**
+ * The kinds of resource `add` creates: the folder each goes into and the
+ * SKILL.md section listing them
+ */
+const RESOURCE_KINDS = {
+  script: { folder: 'scripts', heading: 'Scripts' },
+  reference: { folder: 'references', heading: 'References' },
+  asset: { folder: 'assets', heading: 'Assets' },
+};
+
+/**
+ * Checks a resource file name: a single path segment of letters, digits,
+ * dots, hyphens and underscores
+ * @param {string} name - The file name
+ * @throws {SkillError} - INVALID_NAME if the name is not usable
+ */
+function checkResourceName(name) {
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name || '')) {
+    throw new SkillError(ERROR_CODES.INVALID_NAME, `Invalid file name "${name || ''}"`, [
+      'Use letters, numbers, dots, hyphens and underscores, starting with a letter or number.',
+    ]);
+  }
+}
+
+/**
+ * Turns a file name into a title, e.g. `api-guide.md` into `Api Guide`
+ * @param {string} name - The file name
+ * @returns {string} - The title
+ */
+function titleFromName(name) {
+  return path.basename(name, path.extname(name))
+    .split(/[-_.]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Adds a list item to a section of a SKILL.md body, creating the section at
+ * the end of the body if it does not exist. Headings inside fenced code
+ * blocks are ignored, and a link that is already listed is not added again.
+ * The frontmatter and the body's line endings are kept as they are.
+ * @param {string} content - The SKILL.md content
+ * @param {string} heading - The level-2 heading of the section
+ * @param {string} item - The list item, starting with `- `
+ * @param {string} target - The link target, used to detect an existing link
+ * @returns {string} - The updated content
+ */
+function insertResourceLink(content, heading, item, target) {
+  const { frontmatter: prefix, body } = splitFrontmatter(content);
+  if (body.includes(`](${target})`)) {
+    return content;
+  }
+
+  const eol = body.includes('\r\n') ? '\r\n' : '\n';
+  const lines = body.split(/\r?\n/);
+  const headingPattern = new RegExp(`^##\\s+${heading}\\s*$`, 'i');
+  let inFence = false;
+  let start = -1;
+  let end = lines.length;
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      return;
+    }
+    if (start === -1 && headingPattern.test(line)) {
+      start = index;
+    } else if (start !== -1 && end === lines.length && /^#{1,2}\s/.test(line)) {
+      end = index;
+    }
+  });
+
+  if (start === -1) {
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+    lines.push('', `## ${heading}`, item, '');
+    return prefix + lines.join(eol);
+  }
+
+  let last = end - 1;
+  while (last > start && lines[last].trim() === '') {
+    last--;
+  }
+  const continuesList = last === start || /^\s*[-*+]\s/.test(lines[last]);
+  lines.splice(last + 1, 0, ...(continuesList ? [item] : ['', item]));
+  return prefix + lines.join(eol);
+}
+
+/**
+ * Writes a new resource into a skill, lists it in SKILL.md and removes the
+ * folder's `.gitkeep`
+ * @param {string} skillPath - The skill directory
+ * @param {string} kind - One of RESOURCE_KINDS
+ * @param {{name: string, content: (string|Buffer), mode: number, item: function(string): string}} resource
+ *   - The file name, its content and mode, and a function building the SKILL.md list item from the file's relative path
+ * @param {boolean} force - Whether to overwrite an existing file
+ * @returns {Promise<{kind: string, path: string, skillMdUpdated: boolean, removedGitkeep: boolean}>} - What was changed
+ */
+async function addResource(skillPath, kind, resource, force) {
+  const { folder, heading } = RESOURCE_KINDS[kind];
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  if (!fs.existsSync(skillMdPath)) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${skillPath} is not a skill (SKILL.md not found)`);
+  }
+
+  const relativePath = `${folder}/${resource.name}`;
+  const filePath = path.join(skillPath, folder, resource.name);
+  if (fs.existsSync(filePath) && !force) {
+    throw new SkillError(ERROR_CODES.FILE_EXISTS, `${relativePath} already exists in the skill.`, [
+      'Choose a different name, or use --force to overwrite it.',
+    ]);
+  }
+
+  const skillMd = fs.readFileSync(skillMdPath, 'utf8');
+  const target = encodeURI(relativePath);
+  const updated = insertResourceLink(skillMd, heading, resource.item(target), target);
+
+  const files = [{ path: path.join(folder, resource.name), content: resource.content, mode: resource.mode }];
+  if (updated !== skillMd) {
+    files.push({ path: 'SKILL.md', content: updated, mode: fs.statSync(skillMdPath).mode & 0o777 });
+  }
+  try {
+    await writePlanFiles(skillPath, files);
+    // writeFile leaves the mode of an overwritten file alone
+    fs.chmodSync(filePath, resource.mode);
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.WRITE_FAILED, `Could not write ${relativePath}: ${error.message}`);
+  }
+
+  const gitkeepPath = path.join(skillPath, folder, '.gitkeep');
+  const removedGitkeep = fs.existsSync(gitkeepPath);
+  fs.rmSync(gitkeepPath, { force: true });
+
+  return { kind, path: relativePath, skillMdUpdated: updated !== skillMd, removedGitkeep };
+}
+
+/**
+ * Adds an executable script stub to `scripts/`
+ * @param {string} skillPath - The skill directory
+ * @param {string} name - The script name; the language's extension is added if missing
+ * @param {Object} [options] - Script options
+ * @param {string} [options.lang] - One of SCRIPT_LANGUAGES, 'bash' by default
+ * @param {boolean} [options.force] - Overwrite an existing script
+ * @returns {Promise<{kind: string, path: string, skillMdUpdated: boolean, removedGitkeep: boolean}>} - What was changed
+ * @throws {SkillError} - INVALID_ARGUMENT, INVALID_NAME, INVALID_SKILL, FILE_EXISTS or WRITE_FAILED
+ */
+async function addScript(skillPath, name, { lang = 'bash', force = false } = {}) {
+  const language = SCRIPT_LANGUAGES[lang];
+  if (!language) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `Unknown script language "${lang}" (expected one of: ${Object.keys(SCRIPT_LANGUAGES).join(', ')})`);
+  }
+  checkResourceName(name);
+  const file = name.endsWith(language.extension) ? name : `${name}${language.extension}`;
+  const skill = path.basename(path.resolve(skillPath));
+
+  return addResource(skillPath, 'script', {
+    name: file,
+    content: language.stub({ file, skill }),
+    mode: 0o755,
+    item: target => `- [${file}](${target}) - Run \`${target} --help\` for usage`,
+  }, force);
+}
+
+/**
+ * Adds a Markdown reference document to `references/`
+ * @param {string} skillPath - The skill directory
+ * @param {string} name - The document name; `.md` is added if it has no extension
+ * @param {Object} [options] - Reference options
+ * @param {boolean} [options.force] - Overwrite an existing document
+ * @returns {Promise<{kind: string, path: string, skillMdUpdated: boolean, removedGitkeep: boolean}>} - What was changed
+ * @throws {SkillError} - INVALID_NAME, INVALID_SKILL, FILE_EXISTS or WRITE_FAILED
+ */
+async function addReference(skillPath, name, { force = false } = {}) {
+  checkResourceName(name);
+  const file = path.extname(name) ? name : `${name}.md`;
+  const title = titleFromName(file);
+
+  return addResource(skillPath, 'reference', {
+    name: file,
+    content: `# ${title}\n\nDescribe what this document covers and when to read it...\n`,
+    mode: 0o644,
+    item: target => `- [${title}](${target})`,
+  }, force);
+}
+
+/**
+ * Copies a file into `assets/`
+ * @param {string} skillPath - The skill directory
+ * @param {string} sourcePath - The file to copy; the asset keeps its file name
+ * @param {Object} [options] - Asset options
+ * @param {boolean} [options.force] - Overwrite an existing asset
+ * @returns {Promise<{kind: string, path: string, skillMdUpdated: boolean, removedGitkeep: boolean}>} - What was changed
+ * @throws {SkillError} - INVALID_ARGUMENT, INVALID_NAME, INVALID_SKILL, FILE_EXISTS or WRITE_FAILED
+ */
+async function addAsset(skillPath, sourcePath, { force = false } = {}) {
+  if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isFile()) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, `"${sourcePath}" is not a file.`);
+  }
+  const file = path.basename(sourcePath);
+  checkResourceName(file);
+
+  return addResource(skillPath, 'asset', {
+    name: file,
+    content: fs.readFileSync(sourcePath),
+    mode: 0o644,
+    item: target => `- [${file}](${target})`,
+  }, force);
+}
+
+module.exports = {
+  SCRIPT_LANGUAGES,
+  RESOURCE_KINDS,
+  insertResourceLink,
+  addScript,
+  addReference,
+  addAsset,
+};
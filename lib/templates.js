@@ -0,0 +1,315 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+
+/**
+ * Directory holding the built-in skill templates
+ */
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+/**
+ * Template used when none is selected
+ */
+const DEFAULT_TEMPLATE = 'basic';
+
+/**
+ * Name of the manifest file describing a template (never copied into the skill)
+ */
+const MANIFEST_FILE = 'template.json';
+
+/**
+ * Variables provided by create-skills itself, which template prompts may not redefine
+ */
+const RESERVED_VARIABLES = [
+  'name', 'title', 'description', 'author', 'version', 'license', 'compatibility', 'tags', 'date', 'year', 'release', 'frontmatter',
+];
+
+/**
+ * Converts a glob pattern to a regular expression. Supports `**` (any
+ * number of directories), `*` (anything but a slash) and `?`.
+ * @param {string} pattern - The glob, using forward slashes
+ * @returns {RegExp} - A regular expression matching whole relative paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches zero directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a relative path matches any of the given globs
+ * @param {string} relativePath - Path relative to the template directory
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean} - True if any pattern matches
+ */
+function matchesAny(relativePath, patterns) {
+  const normalized = relativePath.split(path.sep).join('/');
+  return patterns.some(pattern => globToRegExp(pattern).test(normalized));
+}
+
+/**
+ * Reads and checks a template's manifest
+ * @param {string} templatePath - The template directory
+ * @returns {Object} - The manifest, with `prompts`, `copy`, `render` and `directories` defaulted
+ * @throws {Error} - If the manifest is not valid JSON or has the wrong shape
+ */
+function readManifest(templatePath) {
+  const manifestPath = path.join(templatePath, MANIFEST_FILE);
+  let manifest = {};
+
+  if (fs.existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid template manifest ${manifestPath}: ${error.message}`);
+    }
+  }
+
+  const fail = (message) => {
+    throw new Error(`Invalid template manifest ${manifestPath}: ${message}`);
+  };
+
+  ['prompts', 'copy', 'render', 'directories'].forEach(key => {
+    if (manifest[key] !== undefined && !Array.isArray(manifest[key])) {
+      fail(`"${key}" must be a list`);
+    }
+  });
+
+  (manifest.prompts || []).forEach(question => {
+    if (!question || typeof question.name !== 'string' || typeof question.message !== 'string') {
+      fail('every prompt needs a "name" and a "message"');
+    }
+    if (RESERVED_VARIABLES.includes(question.name)) {
+      fail(`prompt "${question.name}" would replace a built-in variable`);
+    }
+  });
+
+  return {
+    description: '',
+    ...manifest,
+    prompts: manifest.prompts || [],
+    copy: manifest.copy || [],
+    render: manifest.render || null,
+    directories: manifest.directories || [],
+  };
+}
+
+/**
+ * Lists the built-in templates
+ * @returns {Array<{name: string, description: string}>} - Templates sorted with the default first
+ */
+function listTemplates() {
+  return fs.readdirSync(TEMPLATES_DIR)
+    .filter(entry => fs.statSync(path.join(TEMPLATES_DIR, entry)).isDirectory())
+    .sort((a, b) => (a === DEFAULT_TEMPLATE ? -1 : b === DEFAULT_TEMPLATE ? 1 : a.localeCompare(b)))
+    .map(name => ({
+      name,
+      description: readManifest(path.join(TEMPLATES_DIR, name)).description,
+    }));
+}
+
+/**
+ * Checks whether a directory is a bare git repository
+ * @param {string} dirPath - The directory to check
+ * @returns {boolean} - True for a bare repository
+ */
+function isBareRepository(dirPath) {
+  return ['HEAD', 'objects', 'refs'].every(entry => fs.existsSync(path.join(dirPath, entry)))
+    && !fs.existsSync(path.join(dirPath, '.git'));
+}
+
+/**
+ * Shallow-clones a git-hosted template into a temporary directory
+ * @param {string} url - The repository URL, optionally followed by `#<ref>`
+ * @returns {{path: string, cleanup: Function}} - The checkout and a function removing it
+ * @throws {Error} - If git is missing or the clone fails
+ */
+function cloneTemplate(url) {
+  const [repository, ref] = url.split('#');
+  const checkoutPath = fs.mkdtempSync(path.join(os.tmpdir(), 'create-skills-template-'));
+  const cleanup = () => fs.rmSync(checkoutPath, { recursive: true, force: true });
+
+  const args = ['clone', '--quiet', '--depth', '1'];
+  if (ref) {
+    args.push('--branch', ref);
+  }
+  args.push('--', repository, checkoutPath);
+
+  try {
+    execFileSync('git', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+  } catch (error) {
+    cleanup();
+    const reason = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new Error(`Could not clone template from "${url}": ${reason}`);
+  }
+
+  return { path: checkoutPath, cleanup };
+}
+
+/**
+ * Resolves a template from a built-in name, a local directory, a local
+ * bare git repository, or a `git+<url>` reference
+ * @param {string} [spec] - The template name or location, defaults to DEFAULT_TEMPLATE
+ * @param {string} [cwd] - Directory that relative template paths are resolved from
+ * @returns {{name: string, path: string, manifest: Object, cleanup: Function}}
+ *   - The template; call `cleanup` once done with it to remove any temporary checkout
+ * @throws {Error} - If the template cannot be found, fetched, or has an invalid manifest
+ */
+function resolveTemplate(spec = DEFAULT_TEMPLATE, cwd = process.cwd()) {
+  let source;
+
+  if (spec.startsWith('git+')) {
+    source = { name: spec, ...cloneTemplate(spec.slice('git+'.length)) };
+  } else if (spec.startsWith('.') || spec.startsWith('~') || path.isAbsolute(spec) || /[\\/]/.test(spec)) {
+    const localPath = path.resolve(cwd, spec.replace(/^~(?=$|[\\/])/, os.homedir()));
+
+    if (!fs.existsSync(localPath) || !fs.statSync(localPath).isDirectory()) {
+      throw new Error(`Template directory "${spec}" not found`);
+    }
+
+    source = isBareRepository(localPath)
+      ? { name: spec, ...cloneTemplate(pathToFileURL(localPath).href) }
+      : { name: spec, path: localPath, cleanup: () => {} };
+  } else {
+    const available = listTemplates().map(template => template.name);
+    if (!available.includes(spec)) {
+      throw new Error(`Unknown template "${spec}". Available templates: ${available.join(', ')}`);
+    }
+    source = { name: spec, path: path.join(TEMPLATES_DIR, spec), cleanup: () => {} };
+  }
+
+  try {
+    if (!fs.existsSync(path.join(source.path, 'SKILL.md'))) {
+      throw new Error(`Template "${spec}" has no SKILL.md`);
+    }
+    return { ...source, manifest: readManifest(source.path) };
+  } catch (error) {
+    source.cleanup();
+    throw error;
+  }
+}
+
+/**
+ * Replaces `{{variable}}` placeholders in a string. Placeholders for
+ * unknown variables are left untouched so that template files can
+ * contain other `{{...}}` syntax.
+ * @param {string} content - The template text
+ * @param {Object<string, string>} variables - Values by variable name
+ * @returns {string} - The rendered text
+ */
+function renderString(content, variables) {
+  return content.replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (placeholder, key) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, key)) {
+      return placeholder;
+    }
+    const value = variables[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Lists the files of a template, relative to the template directory
+ * @param {string} templatePath - The template directory
+ * @returns {string[]} - Relative file paths in a stable order, excluding the manifest and `.git`
+ */
+function listTemplateFiles(templatePath) {
+  const files = [];
+
+  const walk = (relativeDir) => {
+    fs.readdirSync(path.join(templatePath, relativeDir)).sort().forEach(entry => {
+      const relativePath = path.join(relativeDir, entry);
+      if (relativePath === MANIFEST_FILE || entry === '.git') {
+        return;
+      }
+      if (fs.statSync(path.join(templatePath, relativePath)).isDirectory()) {
+        walk(relativePath);
+      } else {
+        files.push(relativePath);
+      }
+    });
+  };
+
+  walk('');
+  return files;
+}
+
+/**
+ * Renders every file of a template. Files matching the manifest's `copy`
+ * globs (or not matching its `render` globs, when given) are copied
+ * verbatim as Buffers; all others have their placeholders replaced.
+ * @param {string} templatePath - The template directory
+ * @param {Object<string, string>} variables - Values for the placeholders
+ * @param {Object} [manifest] - The template manifest, read from the directory if omitted
+ * @returns {Array<{path: string, content: (string|Buffer), mode: number}>} - Files with relative paths and file modes
+ */
+function renderTemplate(templatePath, variables, manifest = readManifest(templatePath)) {
+  const files = listTemplateFiles(templatePath).map(relativePath => {
+    const sourcePath = path.join(templatePath, relativePath);
+    const verbatim = matchesAny(relativePath, manifest.copy)
+      || (manifest.render !== null && !matchesAny(relativePath, manifest.render));
+
+    return {
+      path: relativePath,
+      content: verbatim
+        ? fs.readFileSync(sourcePath)
+        : renderString(fs.readFileSync(sourcePath, 'utf8'), variables),
+      mode: fs.statSync(sourcePath).mode & 0o777,
+    };
+  });
+
+  // Declared directories without any files get a .gitkeep so they are tracked
+  manifest.directories.forEach(dir => {
+    const prefix = path.join(dir, path.sep);
+    if (!files.some(file => file.path.startsWith(prefix))) {
+      files.push({ path: path.join(dir, '.gitkeep'), content: '', mode: 0o644 });
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Renders a single file of a built-in template
+ * @param {string} templateName - The built-in template name
+ * @param {string} relativePath - The file path inside the template
+ * @param {Object<string, string>} variables - Values for the placeholders
+ * @returns {string} - The rendered file content
+ */
+function renderBuiltinFile(templateName, relativePath, variables) {
+  const content = fs.readFileSync(path.join(TEMPLATES_DIR, templateName, relativePath), 'utf8');
+  return renderString(content, variables);
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  DEFAULT_TEMPLATE,
+  MANIFEST_FILE,
+  RESERVED_VARIABLES,
+  globToRegExp,
+  readManifest,
+  listTemplates,
+  resolveTemplate,
+  renderString,
+  renderTemplate,
+  renderBuiltinFile,
+};
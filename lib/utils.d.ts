@@ -0,0 +1,116 @@
+/**
+ * Type declarations for lib/utils.js
+ */
+
+/** A frontmatter field's rule: its type, whether a skill must have it and how long it may be */
+export interface SkillFieldRule {
+  type: 'string' | 'list' | 'map';
+  required?: boolean;
+  maxLength?: number;
+}
+
+/** Frontmatter of a skill, as written to SKILL.md */
+export interface SkillMetadata {
+  /** The skill name, also used as the directory name */
+  name: string;
+  /** When to use the skill */
+  description: string;
+  author?: string;
+  /** Semantic version, e.g. 1.0.0 */
+  version?: string;
+  tags?: string[];
+  license?: string;
+  /** Environment requirements, such as the products or network access the skill needs */
+  compatibility?: string;
+  /** Tools the agent may use without asking, e.g. `Read` or `Bash(git:*)`; text is split on commas and spaces */
+  'allowed-tools'?: string[] | string;
+  /** Free-form key/value pairs */
+  metadata?: Record<string, string>;
+}
+
+/** A problem found in a skill, with the file and line it is on */
+export interface SkillProblem {
+  file: string;
+  line: number;
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: SkillProblem[];
+}
+
+export interface ParsedFrontmatter {
+  /** The parsed fields; values are strings, lists, maps or other YAML scalars */
+  metadata: Record<string, unknown>;
+  /** The Markdown after the frontmatter, with `\n` line endings */
+  body: string;
+  /** The line the body starts on */
+  bodyLine: number;
+  errors: Array<{ line: number; message: string }>;
+  /** The line each key was declared on */
+  lines: Record<string, number>;
+}
+
+/** Frontmatter fields understood by the generator and the validator, in output order */
+export declare const SKILL_FIELDS: Readonly<Record<keyof SkillMetadata, SkillFieldRule>>;
+
+/** Well-known folders that projects keep their skills in, in order of preference */
+export declare const SKILLS_DIRECTORIES: readonly string[];
+
+/** A tool name, optionally followed by a parenthesized argument pattern */
+export declare const TOOL_PATTERN: RegExp;
+
+/** Splits `allowed-tools` text on commas and spaces outside parentheses; lists are returned as they are */
+export declare function parseAllowedTools(value: string | string[]): string[];
+
+/** Checks whether a string is a semantic version such as `1.2.0` or `2.0.0-beta.1` */
+export declare function isValidVersion(version: unknown): boolean;
+
+/** Checks a skill name against the spec: lowercase letters, digits and single hyphens, at most 64 characters */
+export declare function validateSkillName(name: unknown): boolean;
+
+/** Every spec rule a skill name breaks, e.g. "must be lowercase"; empty if it is valid */
+export declare function getSkillNameProblems(name: unknown): string[];
+
+/** Turns free text such as "PDF Processor" into a skill name such as `pdf-processor` */
+export declare function slugifySkillName(text: string): string;
+
+/** Checks a metadata object against SKILL_FIELDS; empty if valid */
+export declare function validateMetadata(metadata: Record<string, unknown>): Array<{ field: string; message: string }>;
+
+/** Validates an existing skill directory against the Agent Skills spec */
+export declare function validateSkill(skillPath: string): ValidationResult;
+
+/** Validates SKILL.md content for a skill directory, whose name must match the skill name */
+export declare function validateSkillContent(skillPath: string, content: string): ValidationResult;
+
+/** Parses a SKILL.md into its frontmatter and body; problems are reported in `errors` with their line */
+export declare function parseFrontmatter(content: string): ParsedFrontmatter;
+
+/** Serializes fields as frontmatter, from the opening to the closing `---`; undefined values are skipped */
+export declare function serializeFrontmatter(metadata: Record<string, unknown>): string;
+
+/** Returns true if nothing exists at the path */
+export declare function validatePathAvailable(targetPath: string): boolean;
+
+/** The folders from SKILLS_DIRECTORIES that exist in a project, relative to `cwd` */
+export declare function findSkillsDirectories(cwd?: string): string[];
+
+/** Creates directories in a skill, each with a `.gitkeep` */
+export declare function createDirectoryStructure(skillPath: string, directories?: string[]): void;
+
+/** Writes SKILL.md for the metadata */
+export declare function createSkillMd(skillPath: string, metadata: SkillMetadata): void;
+
+/** Writes a README.md with usage instructions */
+export declare function createReadme(skillPath: string, skillName: string): void;
+
+/** Renders SKILL.md for the metadata with the default template */
+export declare function generateSkillMdContent(metadata: SkillMetadata): string;
+
+/** The frontmatter fields for a skill, keeping only optional fields that have values */
+export declare function buildFrontmatterFields(metadata: Partial<SkillMetadata> & { name: string }): SkillMetadata;
+
+/** The placeholder values available to template files, such as `name`, `title` and `frontmatter` */
+export declare function getTemplateVariables(metadata: Partial<SkillMetadata> & { name: string }): Record<string, string>;
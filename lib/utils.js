@@ -1,33 +1,309 @@
 const fs = require('fs');
 const path = require('path');
+const { parseFrontmatter, serializeFrontmatter, isTypedScalar } = require('./frontmatter');
+const { DEFAULT_TEMPLATE, renderBuiltinFile } = require('./templates');
 
 /**
- * Validates a skill name to ensure it's safe to use as a directory name
+ * Frontmatter fields understood by the generator and the validator.
+ * Keys are emitted in this order; `type` is 'string', 'list' or 'map'
+ * (of strings), and `maxLength` limits the length of a string.
+ */
+const SKILL_FIELDS = {
+  name: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  author: { type: 'string' },
+  version: { type: 'string' },
+  tags: { type: 'list' },
+  license: { type: 'string' },
+  compatibility: { type: 'string', maxLength: 500 },
+  'allowed-tools': { type: 'list' },
+  metadata: { type: 'map' },
+};
+
+/**
+ * A tool an agent may be allowed to use: a tool name such as `Read` or
+ * `mcp__github__create_issue`, optionally followed by a parenthesized
+ * argument pattern such as `Bash(git:*)`
+ */
+const TOOL_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*(\([^()]+\))?$/;
+
+/**
+ * Keys allowed in the `metadata` map: the keys the frontmatter parser reads.
+ * Keys are written unquoted, so ones YAML would retype are refused as well.
+ */
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+/**
+ * Semantic version as defined by semver.org 2.0.0: MAJOR.MINOR.PATCH with
+ * an optional pre-release and build metadata, without a leading `v`
+ */
+const SEMVER_PATTERN = new RegExp([
+  '^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)',
+  '(?:-((?:0|[1-9]\\d*|\\d*[A-Za-z-][0-9A-Za-z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[A-Za-z-][0-9A-Za-z-]*))*))?',
+  '(?:\\+([0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*))?$',
+].join(''));
+
+/**
+ * Well-known folders that projects keep their skills in, in order of preference
+ */
+const SKILLS_DIRECTORIES = ['skills', path.join('.claude', 'skills')];
+
+/**
+ * Longest skill name the Agent Skills spec allows
+ */
+const SKILL_NAME_MAX_LENGTH = 64;
+
+/**
+ * Words agent hosts reserve, which may not appear in a skill name
+ */
+const RESERVED_NAME_WORDS = ['anthropic', 'claude'];
+
+/**
+ * Checks a skill name against the Agent Skills spec: at most 64 lowercase
+ * letters, digits and hyphens, without a hyphen at either end, consecutive
+ * hyphens or a reserved word. Such a name is also safe as a directory name.
+ * @param {string} name - The skill name to check
+ * @returns {string[]} - Every rule the name breaks, such as "must be lowercase"; empty if it is valid
+ */
+function getSkillNameProblems(name) {
+  if (typeof name !== 'string') {
+    return ['must be a string'];
+  }
+  if (name.trim().length === 0) {
+    return ['must not be empty'];
+  }
+
+  const errors = [];
+  if (name.length > SKILL_NAME_MAX_LENGTH) {
+    errors.push(`must be at most ${SKILL_NAME_MAX_LENGTH} characters (it has ${name.length})`);
+  }
+  if (/[A-Z]/.test(name)) {
+    errors.push('must be lowercase');
+  }
+  const invalid = [...new Set(name.replace(/[A-Za-z0-9-]/g, ''))];
+  if (invalid.length > 0) {
+    errors.push(`must only contain letters, digits and hyphens (found ${invalid.map(char => `"${char}"`).join(', ')})`);
+  }
+  if (name.startsWith('-') || name.endsWith('-')) {
+    errors.push('must not start or end with a hyphen');
+  }
+  if (name.includes('--')) {
+    errors.push('must not contain consecutive hyphens');
+  }
+  RESERVED_NAME_WORDS
+    .filter(word => name.toLowerCase().split(/[^a-z0-9]+/).includes(word))
+    .forEach(word => errors.push(`must not contain the reserved word "${word}"`));
+
+  return errors;
+}
+
+/**
+ * Checks whether a string is a semantic version such as `1.2.0` or `2.0.0-beta.1`
+ * @param {string} version - The version to check
+ * @returns {boolean} - True if valid
+ */
+function isValidVersion(version) {
+  return typeof version === 'string' && SEMVER_PATTERN.test(version);
+}
+
+/**
+ * Validates a skill name against the Agent Skills spec; see
+ * getSkillNameProblems for the rules and the reasons a name is invalid
  * @param {string} name - The skill name to validate
  * @returns {boolean} - True if valid, false otherwise
  */
 function validateSkillName(name) {
-  if (!name || typeof name !== 'string') {
-    return false;
+  return getSkillNameProblems(name).length === 0;
+}
+
+/**
+ * Turns free text such as "PDF Processor" into a skill name such as
+ * `pdf-processor`. Reserved words are kept, so the result may still be invalid.
+ * @param {string} text - The text
+ * @returns {string} - The name; empty if the text has no letters or digits
+ */
+function slugifySkillName(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, SKILL_NAME_MAX_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Splits an `allowed-tools` value written as text, separated by commas or
+ * spaces (`Bash(git:*) Read` or `Bash, Read`), into tools. Separators
+ * inside an argument pattern's parentheses are kept.
+ * @param {string|string[]} value - The tools as text, or already as a list
+ * @returns {string[]} - The tools
+ */
+function parseAllowedTools(value) {
+  if (Array.isArray(value)) {
+    return value;
   }
+  const tools = [];
+  let current = '';
+  let depth = 0;
+  for (const char of String(value)) {
+    depth += char === '(' ? 1 : char === ')' && depth > 0 ? -1 : 0;
+    if (depth === 0 && /[\s,]/.test(char)) {
+      tools.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  tools.push(current);
+  return tools.map(tool => tool.trim()).filter(Boolean);
+}
 
-  // Check for empty string or just whitespace
-  if (name.trim().length === 0) {
-    return false;
+/**
+ * Checks a metadata object against the frontmatter rules in SKILL_FIELDS
+ * @param {Object} metadata - Parsed or user-supplied skill metadata
+ * @returns {Array<{field: string, message: string}>} - One entry per problem, empty if valid
+ */
+function validateMetadata(metadata) {
+  const problems = [];
+
+  Object.keys(SKILL_FIELDS).forEach(field => {
+    const rule = SKILL_FIELDS[field];
+    // The spec writes allowed tools as one space-separated string
+    const value = field === 'allowed-tools' && typeof metadata[field] === 'string'
+      ? parseAllowedTools(metadata[field])
+      : metadata[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        problems.push({ field, message: `Missing required field "${field}"` });
+      }
+      return;
+    }
+
+    if (rule.type === 'string' && typeof value !== 'string') {
+      problems.push({ field, message: `Field "${field}" must be a string, got ${describeType(value)}` });
+    } else if (rule.type === 'list') {
+      if (!Array.isArray(value)) {
+        problems.push({ field, message: `Field "${field}" must be a list, got ${describeType(value)}` });
+      } else if (value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        problems.push({ field, message: `Field "${field}" must only contain non-empty strings` });
+      } else if (field === 'allowed-tools') {
+        value.filter(tool => !TOOL_PATTERN.test(tool)).forEach(tool => {
+          problems.push({ field, message: `Invalid tool "${tool}" in "${field}" (use a tool name such as Read, optionally with a pattern such as Bash(git:*))` });
+        });
+      }
+    } else if (rule.type === 'map') {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        problems.push({ field, message: `Field "${field}" must be a map, got ${describeType(value)}` });
+      } else {
+        Object.keys(value).forEach(key => {
+          if (!METADATA_KEY_PATTERN.test(key)) {
+            problems.push({ field, message: `Invalid key "${key}" in "${field}" (use letters, digits, "_", "." and "-")` });
+          } else if (isTypedScalar(key)) {
+            problems.push({ field, message: `Invalid key "${key}" in "${field}" (YAML reads it as a boolean, null, number or date; use a word)` });
+          } else if (typeof value[key] !== 'string') {
+            problems.push({ field, message: `Field "${field}" must map keys to strings; "${key}" is ${describeType(value[key])}` });
+          }
+        });
+      }
+    } else if (rule.type === 'string' && value.trim() === '') {
+      problems.push({ field, message: `Field "${field}" must not be empty` });
+    } else if (rule.maxLength && value.length > rule.maxLength) {
+      problems.push({ field, message: `Field "${field}" is ${value.length} characters long; the limit is ${rule.maxLength}` });
+    } else if (field === 'version' && !isValidVersion(value)) {
+      problems.push({ field, message: `Invalid version "${value}" (use a semantic version such as 1.0.0 or 2.1.0-beta.1)` });
+    }
+  });
+
+  const nameProblems = getSkillNameProblems(metadata.name);
+  if (typeof metadata.name === 'string' && metadata.name !== '' && nameProblems.length > 0) {
+    problems.push({ field: 'name', message: `Invalid skill name "${metadata.name}" (${nameProblems.join('; ')})` });
   }
 
-  // Check for invalid characters (only allow alphanumeric, hyphens, and underscores)
-  const validNameRegex = /^[a-zA-Z0-9-_]+$/;
-  if (!validNameRegex.test(name)) {
-    return false;
+  Object.keys(metadata).forEach(field => {
+    if (!Object.prototype.hasOwnProperty.call(SKILL_FIELDS, field)) {
+      problems.push({ field, message: `Unknown field "${field}"` });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Describes the YAML type of a parsed value for error messages
+ * @param {*} value - The value to describe
+ * @returns {string} - A short type name
+ */
+function describeType(value) {
+  if (Array.isArray(value)) {
+    return 'a list';
   }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'object') {
+    return 'a map';
+  }
+  return `a ${typeof value}`;
+}
+
+/**
+ * Validates an existing skill directory against the Agent Skills spec
+ * @param {string} skillPath - The path to the skill directory
+ * @returns {{valid: boolean, errors: Array<{file: string, line: number, message: string}>}}
+ *   - Whether the skill is valid, and the problems found with file and line
+ */
+function validateSkill(skillPath) {
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
 
-  // Check if it starts with a dot or hyphen (hidden directory issues)
-  if (name.startsWith('.') || name.startsWith('-')) {
-    return false;
+  if (!fs.existsSync(skillPath) || !fs.statSync(skillPath).isDirectory()) {
+    return { valid: false, errors: [{ file: skillPath, line: 0, message: 'Skill directory not found' }] };
   }
 
-  return true;
+  if (!fs.existsSync(skillMdPath)) {
+    return { valid: false, errors: [{ file: skillMdPath, line: 0, message: 'SKILL.md not found' }] };
+  }
+
+  return validateSkillContent(skillPath, fs.readFileSync(skillMdPath, 'utf8'));
+}
+
+/**
+ * Validates the content of a skill's SKILL.md, which need not be written yet
+ * @param {string} skillPath - The path to the skill directory, whose name must match the skill name
+ * @param {string} content - The SKILL.md content
+ * @returns {{valid: boolean, errors: Array<{file: string, line: number, message: string}>}}
+ *   - Whether the content is valid, and the problems found with file and line
+ */
+function validateSkillContent(skillPath, content) {
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  const errors = [];
+
+  const { metadata, errors: parseErrors, lines } = parseFrontmatter(content);
+  parseErrors.forEach(error => errors.push({ file: skillMdPath, ...error }));
+
+  // Without a readable frontmatter every field would be reported missing
+  if (parseErrors.length > 0 && Object.keys(metadata).length === 0) {
+    return { valid: false, errors };
+  }
+
+  validateMetadata(metadata).forEach(({ field, message }) => {
+    errors.push({ file: skillMdPath, line: lines[field] || 1, message });
+  });
+
+  const dirName = path.basename(path.resolve(skillPath));
+  if (typeof metadata.name === 'string' && metadata.name !== dirName) {
+    errors.push({
+      file: skillMdPath,
+      line: lines.name,
+      message: `Skill name "${metadata.name}" does not match directory name "${dirName}"`,
+    });
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { valid: errors.length === 0, errors };
 }
 
 /**
@@ -39,6 +315,18 @@ function validatePathAvailable(targetPath) {
   return !fs.existsSync(targetPath);
 }
 
+/**
+ * Finds the well-known skills folders that exist in a project directory
+ * @param {string} [cwd] - The project directory
+ * @returns {string[]} - Existing folders from SKILLS_DIRECTORIES, relative to `cwd`
+ */
+function findSkillsDirectories(cwd = process.cwd()) {
+  return SKILLS_DIRECTORIES.filter(dir => {
+    const dirPath = path.join(cwd, dir);
+    return fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory();
+  });
+}
+
 /**
  * Creates a directory structure for a skill
  * @param {string} skillPath - The base path for the skill
@@ -55,75 +343,76 @@ function createDirectoryStructure(skillPath, directories = []) {
 }
 
 /**
- * Generates the content for SKILL.md file
+ * Builds the frontmatter fields for a skill, keeping only optional fields that have values
  * @param {Object} metadata - Skill metadata object
- * @param {string} metadata.name - The name of the skill (required)
- * @param {string} metadata.description - Description of when to use this skill (required)
- * @param {string} [metadata.author] - Optional author information
- * @param {string} [metadata.version] - Optional version number
- * @param {string[]} [metadata.tags] - Optional tags for categorization
- * @param {string} [metadata.license] - Optional license information
- * @returns {string} - The content for SKILL.md
+ * @returns {Object} - Fields in SKILL_FIELDS order, ready for serializeFrontmatter
  */
-function generateSkillMdContent(metadata) {
+function buildFrontmatterFields(metadata) {
   const {
     name,
     description = `A skill for ${name} functionality.`,
     author,
     version,
     tags,
-    license
+    license,
+    compatibility,
+    'allowed-tools': allowedTools,
+    metadata: extra,
   } = metadata;
 
-  // Build YAML frontmatter
-  let frontmatter = `---
-name: ${name}
-description: ${description}
-`;
-
-  if (author) {
-    frontmatter += `author: ${author}\n`;
-  }
-
-  if (version) {
-    frontmatter += `version: ${version}\n`;
-  }
-
-  if (tags && tags.length > 0) {
-    frontmatter += `tags:\n`;
-    tags.forEach(tag => {
-      frontmatter += `  - ${tag}\n`;
-    });
-  }
-
-  if (license) {
-    frontmatter += `license: ${license}\n`;
-  }
-
-  frontmatter += `---`;
-
-  // Build content body
-  const titleName = name.charAt(0).toUpperCase() + name.slice(1);
-  const content = `${frontmatter}
+  const fields = { name, description };
+  if (author) fields.author = author;
+  if (version) fields.version = version;
+  if (tags && tags.length > 0) fields.tags = tags;
+  if (license) fields.license = license;
+  if (compatibility) fields.compatibility = compatibility;
+  if (allowedTools && parseAllowedTools(allowedTools).length > 0) fields['allowed-tools'] = parseAllowedTools(allowedTools);
+  if (extra && Object.keys(extra).length > 0) fields.metadata = extra;
 
-# ${titleName} Skill
-
-## When to use this skill
-Use this skill when you need to...
-
-## How it works
-1. First step...
-2. Second step...
-3. Third step...
-
-## Examples
-Provide examples of how to use this skill...
+  return fields;
+}
 
-## Notes
-Add any additional notes or considerations here...
-`;
+/**
+ * Builds the placeholder values available to template files
+ * @param {Object} metadata - Skill metadata object
+ * @returns {Object<string, string>} - Values by placeholder name
+ */
+function getTemplateVariables(metadata) {
+  const fields = buildFrontmatterFields(metadata);
+  const today = new Date().toISOString().slice(0, 10);
+
+  return {
+    name: fields.name,
+    title: fields.name.charAt(0).toUpperCase() + fields.name.slice(1),
+    description: fields.description,
+    author: fields.author || '',
+    version: fields.version || '',
+    license: fields.license || '',
+    compatibility: fields.compatibility || '',
+    tags: (fields.tags || []).join(', '),
+    date: today,
+    year: today.slice(0, 4),
+    release: fields.version ? `[${fields.version}] - ${today}` : 'Unreleased',
+    frontmatter: serializeFrontmatter(fields),
+  };
+}
 
-  return content;
+/**
+ * Generates the content for SKILL.md file
+ * @param {Object} metadata - Skill metadata object
+ * @param {string} metadata.name - The name of the skill (required)
+ * @param {string} metadata.description - Description of when to use this skill (required)
+ * @param {string} [metadata.author] - Optional author information
+ * @param {string} [metadata.version] - Optional version number
+ * @param {string[]} [metadata.tags] - Optional tags for categorization
+ * @param {string} [metadata.license] - Optional license information
+ * @param {string} [metadata.compatibility] - Optional environment requirements
+ * @param {string[]} [metadata['allowed-tools']] - Optional tools the agent may use without asking
+ * @param {Object<string, string>} [metadata.metadata] - Optional free-form key/value pairs
+ * @returns {string} - The content for SKILL.md
+ */
+function generateSkillMdContent(metadata) {
+  return renderBuiltinFile(DEFAULT_TEMPLATE, 'SKILL.md', getTemplateVariables(metadata));
 }
 
 /**
@@ -142,47 +431,30 @@ function createSkillMd(skillPath, metadata) {
  * @param {string} skillName - The name of the skill
  */
 function createReadme(skillPath, skillName) {
-  const content = `# ${skillName} Skill
-
-This is an Agent Skill created with \`create-skills\`.
-
-## Structure
-
-\`\`\`
-${skillName}/
-├── SKILL.md          # Required: Main skill instructions and metadata
-├── scripts/          # Optional: Executable scripts
-├── references/       # Optional: Documentation and references
-├── assets/           # Optional: Templates and resources
-└── README.md         # This file
-\`\`\`
-
-## Usage
-
-1. Edit \`SKILL.md\` to add your skill's instructions
-2. Add any scripts to the \`scripts/\` directory
-3. Add reference materials to \`references/\`
-4. Add templates or other assets to \`assets/\`
-
-## Next Steps
-
-- Customize the \`description\` in SKILL.md frontmatter
-- Add detailed instructions in the SKILL.md body
-- Include examples and use cases
-- Add any necessary scripts or resources
-
-For more information about Agent Skills, visit:
-https://agentskills.io
-`;
-
+  const content = renderBuiltinFile(DEFAULT_TEMPLATE, 'README.md', { name: skillName });
   fs.writeFileSync(path.join(skillPath, 'README.md'), content);
 }
 
 module.exports = {
+  SKILL_FIELDS,
+  SKILLS_DIRECTORIES,
+  TOOL_PATTERN,
+  parseAllowedTools,
+  isValidVersion,
   validateSkillName,
+  getSkillNameProblems,
+  slugifySkillName,
+  validateMetadata,
+  validateSkill,
+  validateSkillContent,
+  parseFrontmatter,
+  serializeFrontmatter,
   validatePathAvailable,
+  findSkillsDirectories,
   createDirectoryStructure,
   createSkillMd,
   createReadme,
   generateSkillMdContent,
+  buildFrontmatterFields,
+  getTemplateVariables,
 };
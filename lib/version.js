@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseFrontmatter } = require('./frontmatter');
+const { isValidVersion } = require('./utils');
+const { setField } = require('./edit');
+const { writePlanFiles } = require('./plan');
+const { ERROR_CODES, SkillError } = require('./errors');
+
+/**
+ * Parts of a version that bump can increment
+ */
+const RELEASE_TYPES = ['major', 'minor', 'patch', 'prerelease'];
+
+/**
+ * File in a skill directory recording the changes of each version
+ */
+const CHANGELOG_FILE = 'CHANGELOG.md';
+
+/**
+ * Splits a semantic version into its parts
+ * @param {string} version - A valid semantic version
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array<(string|number)>}} - The parts;
+ *   build metadata is dropped
+ */
+function parseVersion(version) {
+  const [, major, minor, patch, prerelease] = version.match(/^(\d+)\.(\d+)\.(\d+)(?:-([^+]+))?/);
+  return {
+    major: Number(major),
+    minor: Number(minor),
+    patch: Number(patch),
+    prerelease: prerelease ? prerelease.split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part)) : [],
+  };
+}
+
+/**
+ * Computes the next version, following `npm version`: bumping a part of a
+ * pre-release version that would already be released by dropping the
+ * pre-release (1.0.0-beta.2 to 1.0.0 for major), and `prerelease`
+ * incrementing the last number of the pre-release (1.0.0-beta.2 to
+ * 1.0.0-beta.3) or starting one on the next patch (1.0.0 to 1.0.1-0)
+ * @param {string} version - The current semantic version
+ * @param {string} type - One of RELEASE_TYPES
+ * @param {string} [preid] - Identifier for a new pre-release, such as `beta`
+ * @returns {string} - The next version
+ * @throws {Error} - On an invalid version, release type or identifier
+ */
+function bumpVersion(version, type, preid) {
+  if (!isValidVersion(version)) {
+    throw new Error(`"${version}" is not a semantic version`);
+  }
+  if (!RELEASE_TYPES.includes(type)) {
+    throw new Error(`Unknown release type "${type}" (expected one of: ${RELEASE_TYPES.join(', ')})`);
+  }
+  if (preid !== undefined && !/^[0-9A-Za-z-]+$/.test(preid)) {
+    throw new Error(`Invalid pre-release identifier "${preid}"`);
+  }
+
+  const { major, minor, patch, prerelease } = parseVersion(version);
+  const isPrerelease = prerelease.length > 0;
+
+  if (type === 'major') {
+    return isPrerelease && minor === 0 && patch === 0 ? `${major}.0.0` : `${major + 1}.0.0`;
+  }
+  if (type === 'minor') {
+    return isPrerelease && patch === 0 ? `${major}.${minor}.0` : `${major}.${minor + 1}.0`;
+  }
+  if (type === 'patch') {
+    return isPrerelease ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch + 1}`;
+  }
+
+  const start = preid ? `${preid}.0` : '0';
+  if (!isPrerelease) {
+    return `${major}.${minor}.${patch + 1}-${start}`;
+  }
+  if (preid && prerelease[0] !== preid) {
+    return `${major}.${minor}.${patch}-${start}`;
+  }
+  const parts = [...prerelease];
+  const last = parts.map(part => typeof part === 'number').lastIndexOf(true);
+  if (last === -1) {
+    parts.push(0);
+  } else {
+    parts[last] += 1;
+  }
+  return `${major}.${minor}.${patch}-${parts.join('.')}`;
+}
+
+/**
+ * Adds a release to a changelog, newest first. An `Unreleased` section at
+ * the top becomes the release, keeping its notes.
+ * @param {string} content - The changelog, or '' to start one
+ * @param {string} version - The released version
+ * @param {string} date - The release date, as YYYY-MM-DD
+ * @param {string[]} notes - Lines describing the changes, without the leading `- `
+ * @returns {string} - The updated changelog
+ */
+function addChangelogEntry(content, version, date, notes) {
+  const heading = `## [${version}] - ${date}`;
+  const lines = (content || '# Changelog\n').replace(/\n*$/, '\n').split('\n');
+  const first = lines.findIndex(line => /^## /.test(line));
+
+  if (first !== -1 && /^## \[?unreleased\]?\s*$/i.test(lines[first])) {
+    let end = lines.findIndex((line, index) => index > first && /^## /.test(line));
+    end = end === -1 ? lines.length - 1 : end;
+    let last = end - 1;
+    while (last > first && lines[last].trim() === '') {
+      last--;
+    }
+    const hasNotes = last > first;
+    const added = notes.length > 0 || hasNotes ? notes : ['No notable changes.'];
+    lines.splice(last + 1, 0, ...added.map(note => `- ${note}`));
+    lines[first] = heading;
+    return lines.join('\n');
+  }
+
+  const entry = [heading, ...(notes.length > 0 ? notes : ['No notable changes.']).map(note => `- ${note}`), ''];
+  if (first === -1) {
+    if (lines[lines.length - 2] !== '') {
+      lines.splice(lines.length - 1, 0, '');
+    }
+    lines.splice(lines.length - 1, 0, ...entry.slice(0, -1));
+    return lines.join('\n');
+  }
+  lines.splice(first, 0, ...entry);
+  return lines.join('\n');
+}
+
+/**
+ * Runs git in a directory
+ * @param {string} cwd - The directory
+ * @param {string[]} args - The git arguments
+ * @returns {string} - Standard output
+ * @throws {Error} - With git's error message if the command fails
+ */
+function git(cwd, args) {
+  try {
+    return execFileSync('git', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'], encoding: 'utf8' });
+  } catch (error) {
+    throw new Error(error.stderr ? error.stderr.trim() : error.message);
+  }
+}
+
+/**
+ * Releases a new version of a skill: updates the frontmatter `version`,
+ * records the release in CHANGELOG.md and, if asked, commits both files
+ * and creates the git tag `<name>@<version>` on that commit.
+ * @param {string} skillPath - The skill directory
+ * @param {string} type - One of RELEASE_TYPES
+ * @param {Object} [options] - Release options
+ * @param {string} [options.preid] - Identifier for a new pre-release, such as `beta`
+ * @param {string[]} [options.notes] - Changelog lines for the release
+ * @param {boolean} [options.commit] - Commit SKILL.md and CHANGELOG.md
+ * @param {boolean} [options.tag] - Create the git tag for the release; needs `commit`
+ * @param {string} [options.date] - Release date, today by default
+ * @returns {Promise<{name: string, previous: string, version: string, changelog: string, committed: boolean, tag: (string|null)}>}
+ *   - The old and new version, the changelog path, whether the release was committed and the created tag
+ * @throws {SkillError} - INVALID_ARGUMENT, INVALID_SKILL, GIT_FAILED or WRITE_FAILED
+ */
+async function bumpSkill(skillPath, type, { preid, notes = [], commit = false, tag = false, date = new Date().toISOString().slice(0, 10) } = {}) {
+  if (tag && !commit) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, 'Tagging a release needs --commit, so the tag points at the commit that holds the new version.');
+  }
+
+  const skillMdPath = path.join(skillPath, 'SKILL.md');
+  if (!fs.existsSync(skillMdPath)) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${skillPath} is not a skill (SKILL.md not found)`);
+  }
+
+  const { metadata } = parseFrontmatter(fs.readFileSync(skillMdPath, 'utf8'));
+  const previous = metadata.version;
+  if (previous === undefined) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `${metadata.name || skillPath} has no version yet.`, [
+      `Set one first, e.g. "npx create-skills set ${skillPath} version 0.1.0".`,
+    ]);
+  }
+  if (!isValidVersion(previous)) {
+    throw new SkillError(ERROR_CODES.INVALID_SKILL, `The version "${previous}" is not a semantic version (MAJOR.MINOR.PATCH, e.g. 1.0.0).`, [
+      `Fix it first, e.g. "npx create-skills set ${skillPath} version 1.0.0".`,
+    ]);
+  }
+
+  let version;
+  try {
+    version = bumpVersion(previous, type, preid);
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.INVALID_ARGUMENT, error.message);
+  }
+
+  const release = `${metadata.name}@${version}`;
+  const tagName = tag ? release : null;
+  if (commit) {
+    try {
+      git(skillPath, ['rev-parse', '--is-inside-work-tree']);
+    } catch (error) {
+      throw new SkillError(ERROR_CODES.GIT_FAILED, `Cannot commit the release: ${skillPath} is not in a git repository`);
+    }
+    if (tagName && git(skillPath, ['tag', '--list', tagName]).trim() !== '') {
+      throw new SkillError(ERROR_CODES.GIT_FAILED, `The tag ${tagName} already exists`);
+    }
+  }
+
+  await setField(skillPath, 'version', { value: version });
+
+  const changelogPath = path.join(skillPath, CHANGELOG_FILE);
+  const changelog = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, 'utf8') : '';
+  try {
+    await writePlanFiles(skillPath, [{ path: CHANGELOG_FILE, content: addChangelogEntry(changelog, version, date, notes), mode: 0o644 }]);
+  } catch (error) {
+    throw new SkillError(ERROR_CODES.WRITE_FAILED, `Could not write ${CHANGELOG_FILE}: ${error.message}`);
+  }
+
+  if (commit) {
+    try {
+      git(skillPath, ['add', '--', 'SKILL.md', CHANGELOG_FILE]);
+      git(skillPath, ['commit', '--quiet', '-m', release, '--', 'SKILL.md', CHANGELOG_FILE]);
+    } catch (error) {
+      throw new SkillError(ERROR_CODES.GIT_FAILED, `Updated the version but could not commit the release: ${error.message}`);
+    }
+  }
+  if (tagName) {
+    try {
+      git(skillPath, ['tag', tagName]);
+    } catch (error) {
+      throw new SkillError(ERROR_CODES.GIT_FAILED, `Updated the version but could not tag the release: ${error.message}`);
+    }
+  }
+
+  return { name: metadata.name, previous, version, changelog: changelogPath, committed: commit, tag: tagName };
+}
+
+module.exports = {
+  RELEASE_TYPES,
+  CHANGELOG_FILE,
+  isValidVersion,
+  parseVersion,
+  bumpVersion,
+  addChangelogEntry,
+  bumpSkill,
+};
@@ -0,0 +1,192 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP archive support using only Node's zlib, so packaging and
+ * importing work without an external zip binary. Archives are
+ * deterministic: entries are written in the given order with a fixed
+ * timestamp.
+ */
+
+/**
+ * DOS date and time written for every entry: 1980-01-01 00:00, the
+ * earliest time a ZIP archive can hold
+ */
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum ZIP archives use
+ * @param {Buffer} buffer - The data
+ * @returns {number} - The unsigned checksum
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a ZIP archive in memory. Entries are deflated when that makes
+ * them smaller and stored otherwise; Unix file modes are kept.
+ * @param {Array<{path: string, content: Buffer, mode: number, symlink: (boolean|undefined)}>} entries - Files with
+ *   forward-slash paths, in archive order; the content of a symbolic link is its target
+ * @returns {Buffer} - The archive
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.path, 'utf8');
+    const deflated = zlib.deflateRawSync(entry.content, { level: 9 });
+    const compress = deflated.length < entry.content.length;
+    const data = compress ? deflated : entry.content;
+    const crc = crc32(entry.content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(compress ? 8 : 0, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(entry.content.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // Made by Unix, so the mode below is honoured
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(compress ? 8 : 0, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(entry.content.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE((((entry.symlink ? 0o120000 : 0o100000) | (entry.mode & 0o777)) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Reads every entry of a ZIP archive. Only stored and deflated entries
+ * are supported; ZIP64 and encrypted archives are rejected.
+ * @param {Buffer} archive - The archive
+ * @returns {Array<{path: string, isDirectory: boolean, isSymlink: boolean, mode: number, content: Buffer}>}
+ *   - Entries in archive order; `mode` is 0 when the archive holds no Unix mode, and
+ *     the content of a symbolic link is its target
+ * @throws {Error} - If the archive is malformed, uses unsupported features or fails a checksum
+ */
+function readZip(archive) {
+  // The end record is at least 22 bytes long and may be followed by a comment
+  let end = -1;
+  for (let i = archive.length - 22; i >= Math.max(0, archive.length - 22 - 0xffff); i--) {
+    if (archive.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > archive.length || archive.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt zip archive: bad central directory');
+    }
+    const madeBy = archive.readUInt16LE(offset + 4) >> 8;
+    const flags = archive.readUInt16LE(offset + 8);
+    const method = archive.readUInt16LE(offset + 10);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const attributes = archive.readUInt32LE(offset + 38);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (flags & 0x0001) {
+      throw new Error(`Entry "${name}" is encrypted`);
+    }
+    if (method !== 0 && method !== 8) {
+      throw new Error(`Entry "${name}" uses an unsupported compression method`);
+    }
+    if (localOffset + 30 > archive.length || archive.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt zip archive: bad local header for "${name}"`);
+    }
+
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const data = archive.subarray(dataStart, dataStart + compressedSize);
+    let content;
+    try {
+      // Limit the output to the declared size so a crafted entry cannot exhaust memory
+      content = method === 8 ? zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }) : data;
+    } catch (error) {
+      throw new Error(`Corrupt zip archive: cannot inflate "${name}"`);
+    }
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new Error(`Corrupt zip archive: checksum mismatch for "${name}"`);
+    }
+
+    const mode = madeBy === 3 ? attributes >>> 16 : 0;
+    entries.push({
+      path: name,
+      isDirectory: name.endsWith('/') || (mode & 0o170000) === 0o040000,
+      isSymlink: (mode & 0o170000) === 0o120000,
+      mode: mode & 0o777,
+      content: Buffer.from(content),
+    });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip,
+};
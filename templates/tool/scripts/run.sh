@@ -0,0 +1,17 @@
+#!/usr/bin/env bash
+# {{name}}: {{title}} tool entry point.
+set -euo pipefail
+
+usage() {
+  echo "Usage: $(basename "$0") <input>"
+  echo
+  echo "Replace this stub with the logic of the {{name}} skill."
+}
+
+if [[ $# -eq 0 || "$1" == "-h" || "$1" == "--help" ]]; then
+  usage
+  exit 0
+fi
+
+input="$1"
+echo "Processing: ${input}"